@@ -0,0 +1,77 @@
+const moment = require('moment');
+const Collection = require('../collection');
+const SuperCollection = require('./common/supercollection');
+const { DEFAULT_SETTINGS } = require('../../utils/bankroll');
+
+// Bankroll Settings collection
+const bankrollSettingsCollection = new Collection('bankroll-settings', { autoIncrementId: 'bankroll-settings', autoIncrementPrefix: 10 });
+
+/**
+ * Bankroll Settings Schema - One document per owner
+ * Currency the bankroll is shown in, the user maintained rate table and the stake rules
+ */
+const bankrollSettingsSchema = {
+  ownerId: String,
+  currency: String, // '$'
+  rates: Array, // [ { currency: '€', rate: 1.08 } ] value of one unit in `currency`, keys can't start with $
+  rules: Object, // { gameType, stakes, currentStake, moveUpBuyIns, moveDownBuyIns } see utils/bankroll
+  lastAlert: String, // moveUp, moveDown, last stake alert notified
+  createdAt: Number,
+  updatedAt: Number,
+};
+
+/**
+ * Bankroll Settings Relation Maps
+ */
+const bankrollSettingsRelationMaps = [
+];
+
+/**
+ * Bankroll Settings Public Fields
+ * Fields that can be passed to public endpoints
+ * Use with findByIdWithPublicFields, findByQueryWithPublicFields
+ */
+const bankrollSettingsPublicFields = {
+};
+
+class BankrollSettings extends SuperCollection {
+  constructor() {
+    super(bankrollSettingsCollection, bankrollSettingsSchema, bankrollSettingsRelationMaps, bankrollSettingsPublicFields);
+  }
+
+  /**
+   * Settings of an owner, defaults when never saved
+   * @param {string} ownerId: owner id
+   * @returns {Promise<object>} { currency, rates, rules, lastAlert }
+   */
+  async getSettings(ownerId) {
+    const settings = await this.findOneByQuery({ ownerId });
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      rules: { ...DEFAULT_SETTINGS.rules, ...(settings && settings.rules) },
+    };
+  }
+
+  /**
+   * Create or update the settings of an owner
+   * @param {string} ownerId: owner id
+   * @param {object} update: { currency, rates, rules, lastAlert }
+   */
+  async saveSettings(ownerId, update) {
+    const now = moment().valueOf();
+    const $set = this.toMongoSetObject(update);
+    // Defaults of the fields the update leaves out, written when the settings are created
+    const defaults = Object.keys(DEFAULT_SETTINGS)
+      .filter((field) => !(field in $set))
+      .reduce((acc, field) => ({ ...acc, [field]: DEFAULT_SETTINGS[field] }), {});
+    // A stake alert can be saved while the user saves the settings page
+    await this.ensureIndex({ ownerId: 1 }, { unique: true });
+    return this.upsertRawByQuery({ ownerId }, {
+      $set: { ...$set, updatedAt: now },
+      $setOnInsert: { ...defaults, createdAt: now },
+    });
+  }
+}
+
+module.exports = new BankrollSettings();
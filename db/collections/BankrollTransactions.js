@@ -0,0 +1,120 @@
+const moment = require('moment');
+const Collection = require('../collection');
+const SuperCollection = require('./common/supercollection');
+const Hands = require('./Hands');
+const Tournaments = require('./Tournaments');
+
+// Bankroll Transactions collection
+const bankrollTransactionsCollection = new Collection('bankroll-transactions', { autoIncrementId: 'bankroll-transactions', autoIncrementPrefix: 10 });
+
+/**
+ * Bankroll Transactions Schema - The bankroll ledger
+ * Session and tournament transactions are written from the imported hands and tournaments,
+ * manual ones (deposits, withdrawals, adjustments) by the user. Amounts are signed and kept in
+ * their own currency, converted with the user's rate table when read (utils/bankroll)
+ */
+const bankrollTransactionsSchema = {
+  ownerId: String,
+  type: String, // cash, tournament, deposit, withdrawal, adjustment
+  source: String, // session, tournament, manual
+  sourceFile: Number, // FileUploads id, source session only
+  tournamentId: Number, // Tournaments id, source tournament only
+  currency: String, // '$', '€' as in hands header.currency
+  amount: Number, // Positive for money in, negative for money out
+  hands: Number, // Cash hands of the session
+  occurredAt: Number, // Timestamp
+  note: String,
+  createdAt: Number,
+  updatedAt: Number,
+};
+
+/**
+ * Bankroll Transactions Relation Maps
+ */
+const bankrollTransactionsRelationMaps = [
+];
+
+/**
+ * Bankroll Transactions Public Fields
+ * Fields that can be passed to public endpoints
+ * Use with findByIdWithPublicFields, findByQueryWithPublicFields
+ */
+const bankrollTransactionsPublicFields = {
+};
+
+const round = (amount) => +(+amount || 0).toFixed(2);
+
+class BankrollTransactions extends SuperCollection {
+  constructor() {
+    super(bankrollTransactionsCollection, bankrollTransactionsSchema, bankrollTransactionsRelationMaps, bankrollTransactionsPublicFields);
+  }
+
+  /**
+   * Write the cash results of a session, one transaction per currency, replacing the previous ones
+   * @param {string} ownerId: owner id
+   * @param {number} sourceFile: FileUploads id
+   * @returns {Promise<number>} number of transactions written
+   */
+  async recordSession(ownerId, sourceFile) {
+    const results = await Hands.aggregate([
+      { $match: { ownerId, sourceFile, 'header.gametype': 'cashgame' } },
+      { $unwind: '$playerChips' },
+      { $match: { 'playerChips.hero': true } },
+      {
+        $group: {
+          _id: '$header.currency',
+          amount: { $sum: '$playerChips.winLoss' },
+          hands: { $sum: 1 },
+          occurredAt: { $max: '$header.timestamp' },
+        }
+      },
+    ]);
+    await this.deleteByQuery({ ownerId, source: 'session', sourceFile });
+    const now = moment().valueOf();
+    await Promise.all(results.map(({
+      _id: currency, amount, hands, occurredAt,
+    }) => this.insert({
+      ownerId,
+      type: 'cash',
+      source: 'session',
+      sourceFile,
+      currency,
+      amount: round(amount),
+      hands,
+      occurredAt: occurredAt || now,
+      createdAt: now,
+      updatedAt: now,
+    })));
+    return results.length;
+  }
+
+  /**
+   * Write the results of tournaments: prize minus buy-in and fee, updated when the tournament changes
+   * @param {string} ownerId: owner id
+   * @param {array} tournamentIds: Tournaments ids
+   * @returns {Promise<number>} number of transactions written
+   */
+  async recordTournaments(ownerId, tournamentIds) {
+    if (!tournamentIds.length) return 0;
+    const tournaments = await Tournaments.findByQuery({ ownerId, _id: { $in: tournamentIds } }, { projection: { levels: 0 } });
+    const now = moment().valueOf();
+    // A summary and the hand files of a tournament can be ingested at the same time, one transaction each
+    await this.ensureIndex(
+      { ownerId: 1, source: 1, tournamentId: 1 },
+      { unique: true, partialFilterExpression: { source: 'tournament' } }
+    );
+    await Promise.all(tournaments.map((tournament) => this.upsertRawByQuery({ ownerId, source: 'tournament', tournamentId: tournament._id }, {
+      $set: {
+        type: 'tournament',
+        currency: tournament.currency,
+        amount: round((tournament.prize || 0) - (tournament.buyIn || 0) - (tournament.fee || 0)),
+        occurredAt: tournament.finishedAt || tournament.startedAt || now,
+        updatedAt: now,
+      },
+      $setOnInsert: { createdAt: now },
+    })));
+    return tournaments.length;
+  }
+}
+
+module.exports = new BankrollTransactions();
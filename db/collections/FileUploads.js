@@ -3,6 +3,7 @@ const { ID } = require('./common/datatype');
 const SuperCollection = require('./common/supercollection');
 const s3 = require('../../utils/s3');
 const Hands = require('./Hands');
+const StatsRollups = require('./StatsRollups');
 
 // File Uploads collection
 const fileUploadsCollection = new Collection('file-uploads', { autoIncrementId: 'file-uploads', autoIncrementPrefix: 10 });
@@ -20,6 +21,7 @@ const fileUploadSchema = {
   privacy: String, // private, social, public -- This is used for sharable links (matches frontend isPrivate)
   playedOn: Number,
   noHands: Number,
+  noDuplicateHands: Number, // hands of the file skipped because they were already imported
   room: Array,
   gameType: String,
   createdAt: Number,
@@ -28,7 +30,7 @@ const fileUploadSchema = {
   heroWinLoss: String, // Cash game winnings in BB
   winning: String, // NEW: MTT tournament winnings in $ (from frontend)
   status: String, // uploading, failed, processing, processed
-  meta: Object,
+  meta: Object, // { parseErrors: [{ index, rawSnippet, reason }], tournamentIds: [], ingestion: { lockedAt, processedAt, format, handsFound, handsImported, handsSkipped, handsDuplicate, failedAt, error } }
   milestones: Array, // NEW: Array of milestone objects { title, time, type, value, details, handId? }
 };
 
@@ -57,68 +59,9 @@ class FileUploads extends SuperCollection {
       throw new Error('Session not found');
     }
     // Stats required: Net Won, Total Hands, BB/100, VPIP, PFR, 3Bet, WWSF, All-in EV
-    // Net won = Total of all hands where playerChips array element with hero = true & winLosBB > 0
-    // Total Hands = Total of all hands with sourceFile = id
-    // BB/100 = Net won / Total Hands * 100
-    // VPIP = Total of all hands where hand.info.isVPIP = true
-    // PFR = Total of all hands where hand.info.isPFR = true
-    // 3Bet = Total of all hands where hand.info.isHero3B = true
-    // WWSF = Total of all hands where hand.info.sawFlop = true & playerChips array element with hero = true & winLosBB > 0
-
-    const hands = await Hands.aggregate([
-      { $match: { sourceFile: id } },
-      {
-        $project: {
-          _id: 0,
-          info: 1,
-          playerChips: 1,
-          actionScript: 1,
-        }
-      }
-    ]);
-    if (hands.every(hand => !hand.playerChips.find(pc => pc.hero))) {
-      return {
-        netWon: 0,
-        totalHands: 0,
-        bb100: 0,
-        vpip: 0,
-        pfr: 0,
-        threeBet: 0,
-        wwsf: 0,
-        allInEV: 0,
-      };
-    }
-    const netWon = (hands.reduce((acc, hand) => {
-      const heroChip = hand.playerChips.find(pc => pc.hero);
-      return acc + (heroChip?.winLossBB || 0);
-    }, 0)).toFixed(2);
-    const totalHands = hands.length;
-    // eslint-disable-next-line no-mixed-operators
-    const bb100 = totalHands ? (netWon / totalHands * 100).toFixed(2) : 0;
-    // eslint-disable-next-line no-mixed-operators
-    const vpip = (hands.filter(hand => hand.info.isVPIP).length / totalHands * 100).toFixed(2);
-    // eslint-disable-next-line no-mixed-operators
-    const pfr = (hands.filter(hand => hand.info.isPFR).length / totalHands * 100).toFixed(2);
-    // eslint-disable-next-line no-mixed-operators
-    const threeBet = (hands.filter(hand => hand.info.isHero3B).length / totalHands * 100).toFixed(2);
-    const sawFlop = hands.filter(hand => hand.info.sawFlop).length;
-    const wwsf = sawFlop
-    // eslint-disable-next-line no-mixed-operators
-      ? (hands.filter(hand => hand.info.sawFlop && hand.playerChips.find(pc => pc.hero).winLossBB > 0).length / sawFlop * 100)
-        .toFixed(2)
-      : 0;
-    const allInEV = 0;
-    return {
-      netWon,
-      totalHands,
-      bb100,
-      vpip,
-      pfr,
-      threeBet,
-      wwsf,
-      allInEV,
-    };
-    // return hand;
+    // Read from the session rollup kept up to date as hands are imported, analyzed and deleted (utils/stats-rollup)
+    const stats = await StatsRollups.getSessionsStats(session.ownerId, [ id ]);
+    return stats[id];
   }
 
   async getSessionProgression(id) {
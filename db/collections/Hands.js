@@ -4,8 +4,12 @@ const { ID } = require('./common/datatype');
 const SuperCollection = require('./common/supercollection');
 const Friends = require('./Friends');
 const { processHands } = require('../../utils/hand-parser');
+const { getOmahaHandRepresentation } = require('../../utils/cardUtils');
+const { getHeroRangeFilter } = require('../../utils/hand-query');
 const s3 = require('../../utils/s3');
 
+const { DUPLICATE_KEY_ERROR } = SuperCollection;
+
 const memCache = new cache.Cache();
 // const { ID } = require('./common/datatype');
 
@@ -20,6 +24,17 @@ const handsCollection = new Collection('hands', { autoIncrementId: 'hands', auto
 //   'info.heroWinningBB': 1
 // });
 
+/**
+ * Unique key of a hand across uploads - room + room hand id from the header
+ * @param {object} hand: hand document
+ * @returns {string|undefined} handKey, undefined when the room did not provide a hand id
+ */
+const getHandKey = (hand) => {
+  const { room, handid } = hand.header || {};
+  if (!room || !handid) return undefined;
+  return `${room}:${handid}`;
+};
+
 /**
  * Hands Schema - Custom schema to be applied to Collection.toMongoInsertObject method
  */
@@ -28,14 +43,14 @@ const handsSchema = {
   entityId: ID,
   privacy: String, // private, social, public -- This is used for sharable links
   type: String, // post / collection (used to look up from collection)
-  preflopSummary: Object, // { cards: { card1, card2 }, pos, heroPreflopSummary }
+  preflopSummary: Object, // { cards: { card1, card2 }, holeCards: [ 2 cards hold'em, 4 / 5 cards Omaha ], pos, heroPreflopSummary }
   flopSummary: Object, // { pot, potBB, board, playersInvolved, heroFlopSummary }
   turnSummary: Object, // { pot, potBB, board, playersInvolved, heroTurnSummary }
   riverSummary: Object, // { pot, potBB, board, playersInvolved, heroRiverSummary }
   info: Object, // { potType, effStack, isVPIP, isHero3B, isHero4B, isHero5B, sawFlop, sawTurn, sawRiver, sawShowdown, heroSeatIndex }
   notes: Object, // TipTap JSON object
   // notes: [] Array of notes TipTap objects
-  header: Object, // { room, gametype, currency, donation, rake, pokertype, limit, sb, bb, ante, maxseats }
+  header: Object, // { room, gametype, currency, donation, rake, pokertype, limit, sb, bb, ante, maxseats, table, button, board }
   actionScript: Array,
   /* {
     _id, // ! Generated upon import for context inside comments
@@ -66,16 +81,19 @@ const handsSchema = {
     bbAfter,
     winLoss,
     winLossBB,
-    hero
+    hero,
+    seat
   }
   */
   analysis: Object, // { tlDr, mistakes: [], considerations: [], villainProfile, handScore, streetComments: { flop: [], turn: [], river: [] } }
   totalPot: Object, // { amount, bb }
-  spoilers: Array, // { pos, cards: { card1, card2 }}
+  spoilers: Array, // { pos, cards: { card1, card2 }, holeCards }
   posts: Array, // { name, amount, type, playerIndex, chips, chipsAfter }
   preflopActions: Array, // { type, number, pos, amountBB, amount }
   publishedAt: Number, // Timestamp
   indexInCollection: Number, // Index of hand in collection
+  sourceFile: ID, // FileUploads session the hand was imported from
+  handKey: String, // room:handid - unique per owner, used to skip hands already imported
 };
 
 /**
@@ -95,6 +113,73 @@ const handsPublicFields = {
 class Hands extends SuperCollection {
   constructor() {
     super(handsCollection, handsSchema, handsRelationMaps, handsPublicFields);
+    this.indexesCreated = null;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getHandKey(hand) {
+    return getHandKey(hand);
+  }
+
+  async ensureIndexes() {
+    if (!this.indexesCreated) {
+      this.indexesCreated = this.rawCollection().then((collection) => collection.createIndex(
+        { ownerId: 1, handKey: 1 },
+        { unique: true, partialFilterExpression: { handKey: { $exists: true } } }
+      ));
+    }
+    return this.indexesCreated;
+  }
+
+  /**
+   * Insert hands of one owner, skipping hands the owner already has (same room + room hand id)
+   * @param {string} ownerId: owner of the hands
+   * @param {array} hands: hand documents to insert
+   * @returns {object} { inserted, duplicates } - inserted hand documents and the number of skipped hands
+   */
+  async insertManyWithoutDuplicates(ownerId, hands) {
+    await this.ensureIndexes();
+    const keyed = hands.map((hand) => ({ ...hand, ownerId, handKey: getHandKey(hand) }));
+    const keys = keyed.map((hand) => hand.handKey).filter(Boolean);
+    const existing = keys.length
+      ? await this.findByQuery({ ownerId, handKey: { $in: keys } }, { projection: { handKey: 1 } })
+      : [];
+    const seen = new Set(existing.map((hand) => hand.handKey));
+    const docs = keyed.filter((hand) => {
+      if (!hand.handKey) return true;
+      if (seen.has(hand.handKey)) return false;
+      seen.add(hand.handKey);
+      return true;
+    });
+    let duplicates = keyed.length - docs.length;
+    if (!docs.length) return { inserted: [], duplicates };
+
+    try {
+      await this.insertMany(docs, { ordered: false });
+      return { inserted: docs, duplicates };
+    } catch (error) {
+      // Another upload inserted some of these hands in the meantime
+      const writeErrors = [].concat(error.writeErrors || []);
+      if (!writeErrors.length || writeErrors.some((e) => e.code !== DUPLICATE_KEY_ERROR)) throw error;
+      duplicates += writeErrors.length;
+      const failed = new Set(writeErrors.map((e) => e.index));
+      return { inserted: docs.filter((doc, index) => !failed.has(index)), duplicates };
+    }
+  }
+
+  /**
+   * Whether a user may view a hand: owners always, others unless the hand is private,
+   * only the owner's friends for social hands
+   * @param {object} hand: Hands document
+   * @param {string} requesterId: viewer user id
+   * @returns {Promise<boolean>}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async canViewHand(hand, requesterId) {
+    if (hand.ownerId === requesterId) return true;
+    if (hand.privacy === 'private') return false;
+    if (hand.privacy === 'social') return !!(await Friends.areFriends(requesterId, hand.ownerId));
+    return true;
   }
 
   async getHandWithPermissions(id, requesterId) {
@@ -102,13 +187,9 @@ class Hands extends SuperCollection {
     if (!hand) {
       throw new Error('Hand not found');
     }
-    const { privacy, indexInCollection, sourceFile } = hand;
+    const { indexInCollection, sourceFile } = hand;
 
-    if (privacy === 'private' && hand.ownerId !== requesterId) return false;
-    if (privacy === 'social' && !hand.ownerId) {
-      const isFriend = await Friends.areFriends(requesterId, Account.userId());
-      if (!isFriend) return false;
-    }
+    if (!(await this.canViewHand(hand, requesterId))) return false;
 
     // TODO: Switch to redis
     let s3File = memCache.get(sourceFile);
@@ -148,8 +229,10 @@ class Hands extends SuperCollection {
     return hand;
   }
 
-  async getVPIPLeaksByPosition(ownerId) {
+  // scope: optional $match narrowing the hands, e.g. a saved filter
+  async getVPIPLeaksByPosition(ownerId, scope = null) {
     const pipeline = [
+      ...(scope ? [ { $match: scope } ] : []),
       // First get all hands to calculate base stats
       {
         $facet: {
@@ -334,8 +417,13 @@ class Hands extends SuperCollection {
     return this.aggregate(pipeline);
   }
 
-  async getGroupByHoleCards(ownerId, position = false, mistakes = true) {
+  // Omaha hands (more than 2 hole cards) are grouped by their logical representation, e.g. AAKJds
+  // scope: optional $match narrowing the hands, e.g. a saved filter
+  // heroRange: optional hole cards range, e.g. '22-66, A2s-A5s, KQo+', throws on invalid ranges
+  async getGroupByHoleCards(ownerId, position = false, mistakes = true, pokertype = false, scope = null, heroRange = null) {
     const pipeline = [
+      ...(scope ? [ { $match: scope } ] : []),
+      ...(heroRange ? [ { $match: getHeroRangeFilter(heroRange) } ] : []),
       {
         $facet: {
           hands: [
@@ -344,6 +432,7 @@ class Hands extends SuperCollection {
                 ownerId,
                 'info.isVPIP': true,
                 ...(position ? { 'info.heroPos': position } : {}),
+                ...(pokertype ? { 'header.pokertype': pokertype } : {}),
                 ...(mistakes ? { 'analysis.mistakes': { $exists: true, $ne: [] } } : {})
               },
             },
@@ -359,6 +448,7 @@ class Hands extends SuperCollection {
                 _id: {
                   card1: '$preflopSummary.cards.card1',
                   card2: '$preflopSummary.cards.card2',
+                  holeCards: '$preflopSummary.holeCards',
                 },
                 count: { $sum: 1 },
                 handIds: { $addToSet: '$_id' },
@@ -381,6 +471,7 @@ class Hands extends SuperCollection {
                 ownerId,
                 'info.isVPIP': true,
                 ...(position ? { 'info.heroPos': position } : {}),
+                ...(pokertype ? { 'header.pokertype': pokertype } : {}),
                 ...(mistakes ? { 'analysis.mistakes': { $exists: true, $ne: [] } } : {})
               },
             },
@@ -398,7 +489,7 @@ class Hands extends SuperCollection {
     // Transform results to group by hand type (suited/offsuit/pairs)
     const groupedHands = result[0].hands.reduce((acc, hand) => {
       // eslint-disable-next-line no-underscore-dangle
-      const { card1, card2 } = hand._id;
+      const { card1, card2, holeCards } = hand._id;
       if (!card1 || !card2) return acc;
       const rank1 = card1[0];
       const rank2 = card2[0];
@@ -410,7 +501,10 @@ class Hands extends SuperCollection {
       const rank2Order = rankOrder.indexOf(rank2);
 
       let handKey;
-      if (rank1 === rank2) {
+      if (holeCards && holeCards.length > 2) {
+        // Omaha
+        handKey = getOmahaHandRepresentation(holeCards);
+      } else if (rank1 === rank2) {
         // Pair
         handKey = rank1 + rank1;
       } else {
@@ -0,0 +1,166 @@
+const moment = require('moment');
+const Collection = require('../collection');
+const SuperCollection = require('./common/supercollection');
+const Hands = require('./Hands');
+const { STAT_COUNTERS, getPlayerCounters, getHudStats } = require('../../utils/opponent-stats');
+
+// Opponents collection
+const opponentsCollection = new Collection('opponents', { autoIncrementId: 'opponents', autoIncrementPrefix: 10 });
+
+/**
+ * Opponents Schema - One document per owner / room / villain name
+ * Counters are incremented when hands are imported and decremented when they are deleted,
+ * HUD percentages are computed from them on read (utils/opponent-stats)
+ */
+const opponentsSchema = {
+  ownerId: String,
+  room: String, // pokerstars, ggpoker
+  name: String, // villain screen name
+  counters: Object, // { hands, vpip, pfr, threeBetOpp, threeBet, ... } see STAT_COUNTERS
+  lastSeenAt: Number, // Timestamp of the last hand played against hero
+  createdAt: Number,
+  updatedAt: Number,
+};
+
+/**
+ * Opponents Relation Maps
+ */
+const opponentsRelationMaps = [
+];
+
+/**
+ * Opponents Public Fields
+ * Fields that can be passed to public endpoints
+ * Use with findByIdWithPublicFields, findByQueryWithPublicFields
+ */
+const opponentsPublicFields = {
+};
+
+// Fields of a Hands document needed to compute opponent counters
+const HAND_PROJECTION = {
+  header: 1, actionScript: 1, playerChips: 1, flopSummary: 1,
+};
+
+/**
+ * Add the counters of a hand to the villain profiles being built
+ * @param {object} profiles: { [room:name]: { room, name, counters, lastSeenAt } }, updated in place
+ * @param {object} hand: Hands document
+ * @param {number} sign: 1 to add the hand, -1 to remove it
+ */
+const addHandCounters = (profiles, hand, sign) => {
+  const { room } = hand.header;
+  hand.playerChips.forEach((player, playerIndex) => {
+    if (player.hero) return;
+    const key = `${room}:${player.name}`;
+    if (!profiles[key]) profiles[key] = { room, name: player.name, counters: {}, lastSeenAt: 0 };
+    const profile = profiles[key];
+    const counters = getPlayerCounters(hand, playerIndex);
+    STAT_COUNTERS.forEach((counter) => {
+      profile.counters[counter] = (profile.counters[counter] || 0) + sign * counters[counter];
+    });
+    profile.lastSeenAt = Math.max(profile.lastSeenAt, hand.header.timestamp || 0);
+  });
+};
+
+class Opponents extends SuperCollection {
+  constructor() {
+    super(opponentsCollection, opponentsSchema, opponentsRelationMaps, opponentsPublicFields);
+  }
+
+  /**
+   * Add (or remove) the counters of hands to the profiles of the villains who played them
+   * @param {string} ownerId: owner id
+   * @param {array} hands: Hands documents
+   * @param {number} sign: 1 to add the hands, -1 to remove them
+   * @returns {Promise<number>} number of profiles updated
+   */
+  async recordHands(ownerId, hands, sign = 1) {
+    const profiles = {};
+    hands.forEach((hand) => addHandCounters(profiles, hand, sign));
+
+    const now = moment().valueOf();
+    // Files sharing villains can be ingested at the same time, the unique index keeps one profile each
+    await this.ensureIndex({ ownerId: 1, room: 1, name: 1 }, { unique: true });
+    const updates = Object.values(profiles).map(({
+      room, name, counters, lastSeenAt,
+    }) => {
+      const $inc = Object.keys(counters).reduce((acc, counter) => ({ ...acc, [`counters.${counter}`]: counters[counter] }), {});
+      const update = {
+        $inc,
+        $set: { updatedAt: now },
+        ...(sign > 0 ? { $max: { lastSeenAt } } : {}),
+      };
+      if (sign < 0) return this.updateRawByQuery({ ownerId, room, name }, update);
+      return this.upsertRawByQuery({ ownerId, room, name }, { ...update, $setOnInsert: { createdAt: now } });
+    });
+    await Promise.all(updates);
+    return updates.length;
+  }
+
+  /**
+   * Rebuild the villain profiles of an owner from their hands, e.g. hands imported before profiles existed
+   * Like StatsRollups.rebuild, each profile gets its rebuilt counters in a single update, then the
+   * profiles of villains without hands left (not updated since the rebuild started) are removed
+   * @param {string} ownerId: owner id
+   * @returns {Promise<number>} number of profiles written
+   */
+  async rebuild(ownerId) {
+    const now = moment().valueOf();
+    const profiles = {};
+    const cursor = (await Hands.collection.raw()).find({ ownerId }, { projection: HAND_PROJECTION });
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const hand of cursor) {
+      if (hand.header && Array.isArray(hand.playerChips)) addHandCounters(profiles, hand, 1);
+    }
+
+    await this.ensureIndex({ ownerId: 1, room: 1, name: 1 }, { unique: true });
+    await Promise.all(Object.values(profiles).map(({
+      room, name, counters, lastSeenAt,
+    }) => this.upsertRawByQuery({ ownerId, room, name }, {
+      $set: { counters, lastSeenAt, updatedAt: now },
+      $setOnInsert: { createdAt: now },
+    })));
+    await this.deleteByQuery({ ownerId, updatedAt: { $lt: now } });
+    return Object.keys(profiles).length;
+  }
+
+  /**
+   * Remove hands about to be deleted from the villain profiles
+   * @param {string} ownerId: owner id
+   * @param {object} query: Hands query of the deleted hands
+   * @returns {Promise<number>} number of profiles updated
+   */
+  async forgetHandsByQuery(ownerId, query) {
+    const hands = await Hands.findByQuery({ ...query, ownerId }, { projection: HAND_PROJECTION });
+    return this.recordHands(ownerId, hands, -1);
+  }
+
+  /**
+   * Profile with its HUD statistics
+   * @param {object} opponent: Opponents document
+   * @returns {object} { _id, room, name, lastSeenAt, hands, stats }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  withStats(opponent) {
+    const { counters, ...profile } = opponent;
+    return { ...profile, hands: (counters && counters.hands) || 0, stats: getHudStats(counters) };
+  }
+
+  /**
+   * HUD statistics of the villains of a hand, keyed by villain name
+   * @param {string} ownerId: owner id
+   * @param {object} hand: Hands document
+   * @returns {Promise<object>} { [name]: { hands, stats } }
+   */
+  async getVillainStats(ownerId, hand) {
+    const names = hand.playerChips.filter((p) => !p.hero).map((p) => p.name);
+    if (!names.length) return {};
+    const opponents = await this.findByQuery({ ownerId, room: hand.header.room, name: { $in: names } });
+    return opponents.reduce((acc, opponent) => {
+      const { name, hands, stats } = this.withStats(opponent);
+      return { ...acc, [name]: { hands, stats } };
+    }, {});
+  }
+}
+
+module.exports = new Opponents();
@@ -0,0 +1,70 @@
+const Collection = require('../collection');
+const SuperCollection = require('./common/supercollection');
+
+// Saved Filters collection
+const savedFiltersCollection = new Collection('saved-filters', { autoIncrementId: 'saved-filters', autoIncrementPrefix: 10 });
+
+/**
+ * Saved Filters Schema - Named /v1/hands/my-hands filters
+ * Run against the hands of whoever runs them, a coach's filter shared with a student runs on the student's hands
+ */
+const savedFiltersSchema = {
+  ownerId: String,
+  name: String, // 'SB vs BB single-raised pots'
+  description: String,
+  criteria: Object, // { dateRange }
+  presets: Object, // /v1/hands/my-hands presets
+  query: String, // hand query, see utils/hand-query
+  shares: Array, // [{ recipientId: String, access: read | write }]
+  createdAt: Number,
+  updatedAt: Number,
+};
+
+/**
+ * Saved Filters Relation Maps
+ */
+const savedFiltersRelationMaps = [
+];
+
+/**
+ * Saved Filters Public Fields
+ * Fields that can be passed to public endpoints
+ * Use with findByIdWithPublicFields, findByQueryWithPublicFields
+ */
+const savedFiltersPublicFields = {
+};
+
+class SavedFilters extends SuperCollection {
+  constructor() {
+    super(savedFiltersCollection, savedFiltersSchema, savedFiltersRelationMaps, savedFiltersPublicFields);
+  }
+
+  /**
+   * Query of the saved filters a user owns or was shared, same permission model as Notes
+   * @param {string} userId: user id
+   * @param {string} access: read, write: only shares with write access
+   * @returns {object}
+   */
+  accessQuery(userId, access = 'read') {
+    return {
+      $or: [
+        { ownerId: userId },
+        access === 'write'
+          ? { shares: { $elemMatch: { recipientId: userId, access: 'write' } } }
+          : { 'shares.recipientId': userId },
+      ]
+    };
+  }
+
+  /**
+   * Saved filter a user owns or was shared
+   * @param {number} _id: saved filter id
+   * @param {string} userId: user id
+   * @returns {Promise<object|null>}
+   */
+  async findAccessible(_id, userId) {
+    return this.findOneByQuery({ _id, ...this.accessQuery(userId) });
+  }
+}
+
+module.exports = new SavedFilters();
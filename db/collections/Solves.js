@@ -250,7 +250,7 @@ class Solves extends SuperCollection {
         }
         
         const buildStartTime = Date.now();
-        solverBlock = await this.buildSolverBlockFromFlopNode(flopNode, snapshot.snapshotInput.heroCards, vectorResult.similarityScore, snapshot.snapshotInput.board);
+        solverBlock = await this.buildSolverBlockFromFlopNode(flopNode, vectorResult.heroCards || snapshot.snapshotInput.heroCards, vectorResult.similarityScore, snapshot.snapshotInput.board);
         console.log(`🔨 [TIMING] FLOP solver block build: ${Date.now() - buildStartTime}ms`);
         
       } else {
@@ -295,7 +295,7 @@ class Solves extends SuperCollection {
           nodeDataArray, 
           snapshot.snapshotInput, 
           vectorResult.similarityScore,
-          snapshot.snapshotInput.heroCards,
+          vectorResult.heroCards || snapshot.snapshotInput.heroCards,
           nodeId
         );
         console.log(`🔨 [TIMING] TURN solver block build: ${Date.now() - buildStartTime}ms`);
@@ -0,0 +1,216 @@
+const moment = require('moment');
+const Collection = require('../collection');
+const SuperCollection = require('./common/supercollection');
+const Hands = require('./Hands');
+const { ROLLUP_COUNTERS, getHandRollupCounters, getRollupStats } = require('../../utils/stats-rollup');
+
+// Stats Rollups collection
+const statsRollupsCollection = new Collection('stats-rollups', { autoIncrementId: 'stats-rollups', autoIncrementPrefix: 10 });
+
+/**
+ * Stats Rollups Schema - One document per owner (scope user) and per session (scope session)
+ * Counters are incremented when hands are imported or analyzed and decremented when they are deleted,
+ * statistics are computed from them on read (utils/stats-rollup)
+ */
+const statsRollupsSchema = {
+  ownerId: String,
+  scope: String, // user, session
+  sourceFile: Number, // session id, scope session only
+  counters: Object, // { hands, netBB, vpip, pfr, threeBet, ... } see ROLLUP_COUNTERS
+  createdAt: Number,
+  updatedAt: Number,
+};
+
+/**
+ * Stats Rollups Relation Maps
+ */
+const statsRollupsRelationMaps = [
+];
+
+/**
+ * Stats Rollups Public Fields
+ * Fields that can be passed to public endpoints
+ * Use with findByIdWithPublicFields, findByQueryWithPublicFields
+ */
+const statsRollupsPublicFields = {
+};
+
+// Fields of a Hands document needed to compute rollup counters
+const HAND_PROJECTION = {
+  info: 1,
+  playerChips: 1,
+  sourceFile: 1,
+  analyzed: { $cond: [ { $ifNull: [ '$analysis', false ] }, true, false ] },
+};
+
+class StatsRollups extends SuperCollection {
+  constructor() {
+    super(statsRollupsCollection, statsRollupsSchema, statsRollupsRelationMaps, statsRollupsPublicFields);
+  }
+
+  /**
+   * Rollup key query, the user rollup has no sourceFile
+   * @param {object} key: { ownerId, scope, sourceFile }
+   * @returns {object} query matching the rollup
+   */
+  // eslint-disable-next-line class-methods-use-this
+  keyQuery({ ownerId, scope, sourceFile }) {
+    return sourceFile ? { ownerId, scope, sourceFile } : { ownerId, scope };
+  }
+
+  /**
+   * Update a rollup or create it, one document per key even when hands of an owner are recorded concurrently
+   * @param {object} key: { ownerId, scope, sourceFile }
+   * @param {object} update: raw update ($inc, $set)
+   * @param {number} now: timestamp
+   * @returns {Promise<int>} rollup _id
+   */
+  async upsertRollup(key, update, now) {
+    await this.ensureIndex({ ownerId: 1, scope: 1, sourceFile: 1 }, { unique: true });
+    return this.upsertRawByQuery(this.keyQuery(key), {
+      ...update,
+      $set: { ...update.$set, updatedAt: now },
+      $setOnInsert: { createdAt: now },
+    });
+  }
+
+  /**
+   * Add counters to a rollup, created if missing
+   * @param {object} key: { ownerId, scope, sourceFile }
+   * @param {object} counters: { [counter]: number }
+   */
+  async increment(key, counters) {
+    const $inc = Object.keys(counters).reduce((acc, counter) => ({ ...acc, [`counters.${counter}`]: counters[counter] }), {});
+    return this.upsertRollup(key, { $inc }, moment().valueOf());
+  }
+
+  /**
+   * Add (or remove) hands to the rollups of their sessions and of their owner
+   * The first hands recorded for an owner without rollups build them from every hand in the library
+   * @param {string} ownerId: owner id
+   * @param {array} hands: Hands documents, already inserted when adding
+   * @param {number} sign: 1 to add the hands, -1 to remove them
+   * @returns {Promise<number>} number of rollups updated
+   */
+  async recordHands(ownerId, hands, sign = 1) {
+    if (!hands.length) return 0;
+    const userRollup = await this.findOneByQuery({ ownerId, scope: 'user' }, { projection: { _id: 1 } });
+    if (!userRollup) return sign > 0 ? this.rebuild(ownerId) : 0;
+
+    const rollups = {};
+    const add = (key, counters) => {
+      const id = key.sourceFile ? `session:${key.sourceFile}` : 'user';
+      if (!rollups[id]) rollups[id] = { key, counters: {} };
+      ROLLUP_COUNTERS.forEach((counter) => {
+        rollups[id].counters[counter] = (rollups[id].counters[counter] || 0) + sign * counters[counter];
+      });
+    };
+    hands.forEach((hand) => {
+      const counters = getHandRollupCounters(hand);
+      add({ ownerId, scope: 'user' }, counters);
+      if (hand.sourceFile) add({ ownerId, scope: 'session', sourceFile: hand.sourceFile }, counters);
+    });
+
+    const updates = Object.values(rollups).map(({ key, counters }) => this.increment(key, counters));
+    await Promise.all(updates);
+    return updates.length;
+  }
+
+  /**
+   * Remove hands about to be deleted from the rollups
+   * @param {string} ownerId: owner id
+   * @param {object} query: Hands query of the deleted hands
+   * @returns {Promise<number>} number of rollups updated
+   */
+  async forgetHandsByQuery(ownerId, query) {
+    const hands = await Hands.aggregate([
+      { $match: { ...query, ownerId } },
+      { $project: HAND_PROJECTION },
+    ]);
+    return this.recordHands(ownerId, hands, -1);
+  }
+
+  /**
+   * Count a newly analyzed hand
+   * @param {string} ownerId: owner id
+   * @param {object} hand: Hands document, before its analysis was saved
+   */
+  async recordAnalysis(ownerId, hand) {
+    if (hand.analysis) return;
+    const counters = { analyzed: 1 };
+    const userRollup = await this.findOneByQuery({ ownerId, scope: 'user' }, { projection: { _id: 1 } });
+    if (!userRollup) {
+      await this.rebuild(ownerId);
+      return;
+    }
+    await this.increment({ ownerId, scope: 'user' }, counters);
+    if (hand.sourceFile) await this.increment({ ownerId, scope: 'session', sourceFile: hand.sourceFile }, counters);
+  }
+
+  /**
+   * Rebuild the rollups of an owner from their hands
+   * Rollups are never missing while they are rebuilt: each one gets its rebuilt counters in a single
+   * update, then the rollups of sessions without hands left (not updated since the rebuild started)
+   * are removed. Hands recorded while the hands are read can be counted once more or missed until
+   * the next rebuild.
+   * @param {string} ownerId: owner id
+   * @returns {Promise<number>} number of rollups written
+   */
+  async rebuild(ownerId) {
+    const now = moment().valueOf();
+    const hands = await Hands.aggregate([
+      { $match: { ownerId } },
+      { $project: HAND_PROJECTION },
+    ]);
+    const rollups = {};
+    const add = (key, counters) => {
+      const id = key.sourceFile ? `session:${key.sourceFile}` : 'user';
+      if (!rollups[id]) rollups[id] = { key, counters: {} };
+      ROLLUP_COUNTERS.forEach((counter) => {
+        rollups[id].counters[counter] = (rollups[id].counters[counter] || 0) + counters[counter];
+      });
+    };
+    // The user rollup exists even without hands so it is not rebuilt again on every read
+    add({ ownerId, scope: 'user' }, ROLLUP_COUNTERS.reduce((acc, counter) => ({ ...acc, [counter]: 0 }), {}));
+    hands.forEach((hand) => {
+      const counters = getHandRollupCounters(hand);
+      add({ ownerId, scope: 'user' }, counters);
+      if (hand.sourceFile) add({ ownerId, scope: 'session', sourceFile: hand.sourceFile }, counters);
+    });
+
+    await Promise.all(Object.values(rollups).map(({ key, counters }) => this.upsertRollup(key, { $set: { counters } }, now)));
+    await this.deleteByQuery({ ownerId, updatedAt: { $lt: now } });
+    return Object.keys(rollups).length;
+  }
+
+  /**
+   * Lifetime statistics of an owner, rollups are built on first read
+   * @param {string} ownerId: owner id
+   * @returns {Promise<object>} see getRollupStats
+   */
+  async getUserStats(ownerId) {
+    let rollup = await this.findOneByQuery({ ownerId, scope: 'user' });
+    if (!rollup) {
+      await this.rebuild(ownerId);
+      rollup = await this.findOneByQuery({ ownerId, scope: 'user' });
+    }
+    return getRollupStats(rollup && rollup.counters);
+  }
+
+  /**
+   * Statistics of sessions, keyed by session id
+   * @param {string} ownerId: owner id
+   * @param {array} sessionIds: FileUploads ids
+   * @returns {Promise<object>} { [sessionId]: see getRollupStats }
+   */
+  async getSessionsStats(ownerId, sessionIds) {
+    if (!await this.findOneByQuery({ ownerId, scope: 'user' }, { projection: { _id: 1 } })) await this.rebuild(ownerId);
+    const rollups = await this.findByQuery({ ownerId, scope: 'session', sourceFile: { $in: sessionIds } });
+    return sessionIds.reduce((acc, id) => {
+      const rollup = rollups.find((r) => r.sourceFile === id);
+      return { ...acc, [id]: getRollupStats(rollup && rollup.counters) };
+    }, {});
+  }
+}
+
+module.exports = new StatsRollups();
@@ -0,0 +1,227 @@
+const moment = require('moment');
+const Collection = require('../collection');
+const SuperCollection = require('./common/supercollection');
+const Hands = require('./Hands');
+
+// Tournaments collection
+const tournamentsCollection = new Collection('tournaments', { autoIncrementId: 'tournaments', autoIncrementPrefix: 10 });
+
+/**
+ * Tournaments Schema - One document per owner / room / tournament id
+ * Filled from tournament hands (header.tournament) and tournament summary files
+ */
+const tournamentsSchema = {
+  ownerId: String,
+  room: String, // pokerstars, ggpoker
+  tournamentId: String, // room tournament id
+  currency: String, // '$'
+  buyIn: Number, // Buy-in (and bounty) without the fee
+  fee: Number,
+  players: Number, // Number of entrants, from summary files
+  prizePool: Number,
+  finishPosition: Number,
+  prize: Number,
+  levels: Array, // Levels hero played { level, sb, bb, ante }
+  handsCount: Number,
+  startedAt: Number, // Timestamp
+  finishedAt: Number, // Timestamp
+  sourceFiles: Array, // FileUploads ids the tournament was read from
+  createdAt: Number,
+  updatedAt: Number,
+};
+
+/**
+ * Tournaments Relation Maps
+ */
+const tournamentsRelationMaps = [
+];
+
+/**
+ * Tournaments Public Fields
+ * Fields that can be passed to public endpoints
+ * Use with findByIdWithPublicFields, findByQueryWithPublicFields
+ */
+const tournamentsPublicFields = {
+};
+
+class Tournaments extends SuperCollection {
+  constructor() {
+    super(tournamentsCollection, tournamentsSchema, tournamentsRelationMaps, tournamentsPublicFields);
+  }
+
+  /**
+   * Create or update the tournament of an owner
+   * @param {string} ownerId: owner id
+   * @param {object} tournament: { room, tournamentId, ...tournamentsSchema fields }
+   * @param {ID} sourceFile: FileUploads id
+   * @returns {Promise<number>} tournament _id
+   */
+  async upsertTournament(ownerId, tournament, sourceFile) {
+    const { room, tournamentId, ...fields } = tournament;
+    const now = moment().valueOf();
+    // A summary and the hand files of one tournament can be ingested at the same time
+    await this.ensureIndex({ ownerId: 1, room: 1, tournamentId: 1 }, { unique: true });
+    return this.upsertRawByQuery({ ownerId, room, tournamentId }, {
+      $set: { ...this.toMongoSetObject(fields), updatedAt: now },
+      $setOnInsert: { createdAt: now },
+      $addToSet: { sourceFiles: { $each: sourceFile ? [ sourceFile ] : [] } },
+    });
+  }
+
+  /**
+   * Record the tournaments of freshly imported hands
+   * Hand counts, levels and dates are read back from every stored hand of the tournament
+   * so files of the same tournament can be imported in any order or re-imported
+   * @param {string} ownerId: owner id
+   * @param {array} hands: Hands documents
+   * @param {ID} sourceFile: FileUploads id
+   * @returns {Promise<array>} tournament _ids
+   */
+  async recordHands(ownerId, hands, sourceFile) {
+    const tournamentKeys = hands
+      .filter((hand) => hand.header.tournament)
+      .map((hand) => ({ room: hand.header.room, id: hand.header.tournament.id }))
+      .filter((t, i, all) => all.findIndex((o) => o.room === t.room && o.id === t.id) === i);
+
+    return Promise.all(tournamentKeys.map(({ room, id }) => this.refreshFromHands(ownerId, room, id, sourceFile)));
+  }
+
+  /**
+   * Update a tournament from its stored hands
+   * @param {string} ownerId: owner id
+   * @param {string} room: room of the tournament
+   * @param {string} id: room tournament id
+   * @param {ID} [sourceFile]: FileUploads id the hands were read from
+   * @returns {Promise<number|undefined>} tournament _id, undefined without hands
+   */
+  async refreshFromHands(ownerId, room, id, sourceFile) {
+    const [ stats ] = await Hands.aggregate([
+      { $match: { ownerId, 'header.room': room, 'header.tournament.id': id } },
+      { $sort: { 'header.timestamp': 1 } },
+      {
+        $group: {
+          _id: null,
+          handsCount: { $sum: 1 },
+          startedAt: { $min: '$header.timestamp' },
+          lastHandAt: { $max: '$header.timestamp' },
+          tournament: { $first: '$header.tournament' },
+          levels: { $push: '$header.tournament' },
+        }
+      },
+    ]);
+    if (!stats) return undefined;
+    const finish = stats.levels.find((t) => t.finishPosition);
+    const levels = stats.levels
+      .filter((t, i, all) => all.findIndex((o) => o.level === t.level) === i)
+      .map(({ level, sb, bb, ante }) => ({ level, sb, bb, ante }));
+
+    return this.upsertTournament(ownerId, {
+      room,
+      tournamentId: id,
+      currency: stats.tournament.currency,
+      buyIn: stats.tournament.buyIn,
+      fee: stats.tournament.fee,
+      levels,
+      handsCount: stats.handsCount,
+      startedAt: stats.startedAt,
+      ...(finish ? { finishPosition: finish.finishPosition, prize: finish.prize, finishedAt: stats.lastHandAt } : {}),
+    }, sourceFile);
+  }
+
+  /**
+   * Take a deleted file out of the tournaments read from it, call once its hands are deleted
+   * Tournaments read from that file only are removed, the others are updated from their remaining hands
+   * @param {string} ownerId: owner id
+   * @param {ID} sourceFile: FileUploads id
+   * @returns {Promise<object>} { updated, removed } tournament _ids
+   */
+  async forgetSourceFile(ownerId, sourceFile) {
+    const tournaments = await this.findByQuery({ ownerId, sourceFiles: sourceFile }, { projection: { levels: 0 } });
+    const removed = tournaments
+      .filter((t) => t.sourceFiles.every((file) => file === sourceFile))
+      .map((t) => t._id);
+    const kept = tournaments.filter((t) => !removed.includes(t._id));
+
+    if (removed.length) await this.deleteByQuery({ ownerId, _id: { $in: removed } });
+    await this.updateRawByQuery({ ownerId, _id: { $in: kept.map((t) => t._id) } }, {
+      $pull: { sourceFiles: sourceFile },
+      $set: { updatedAt: moment().valueOf() },
+    });
+    await Promise.all(kept.map(async (t) => {
+      const refreshed = await this.refreshFromHands(ownerId, t.room, t.tournamentId);
+      // Only the summary is left
+      if (refreshed === undefined) await this.updateById(t._id, { handsCount: 0, levels: [] });
+    }));
+    return { updated: kept.map((t) => t._id), removed };
+  }
+
+  /**
+   * Results summary of an owner's tournaments
+   * Buy-ins and prizes are only added up within a currency, byCurrency has one entry per currency
+   * @param {string} ownerId: owner id
+   * @param {object} query: extra filters (e.g. { room: 'pokerstars' })
+   * @returns {Promise<object>} { tournaments, finished, itm, averageFinish,
+   *   byCurrency: [ { currency, tournaments, totalCost, totalPrize, profit, roi } ] }
+   */
+  async getResults(ownerId, query = {}) {
+    const [ result ] = await this.aggregate([
+      { $match: { ownerId, ...query } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                tournaments: { $sum: 1 },
+                finished: { $sum: { $cond: [ { $gt: [ '$finishPosition', 0 ] }, 1, 0 ] } },
+                itmCount: { $sum: { $cond: [ { $gt: [ '$prize', 0 ] }, 1, 0 ] } },
+                averageFinish: { $avg: '$finishPosition' },
+              }
+            },
+          ],
+          byCurrency: [
+            {
+              $group: {
+                _id: { $ifNull: [ '$currency', null ] },
+                tournaments: { $sum: 1 },
+                totalCost: { $sum: { $add: [ { $ifNull: [ '$buyIn', 0 ] }, { $ifNull: [ '$fee', 0 ] } ] } },
+                totalPrize: { $sum: { $ifNull: [ '$prize', 0 ] } },
+              }
+            },
+            { $sort: { tournaments: -1 } },
+          ],
+        }
+      },
+    ]);
+    const [ totals ] = result ? result.totals : [];
+    if (!totals) {
+      return {
+        tournaments: 0, finished: 0, itm: 0, averageFinish: null, byCurrency: [],
+      };
+    }
+    const {
+      tournaments, finished, itmCount, averageFinish,
+    } = totals;
+    return {
+      tournaments,
+      finished,
+      // eslint-disable-next-line no-mixed-operators
+      itm: finished ? +(itmCount / finished * 100).toFixed(2) : 0,
+      averageFinish: averageFinish ? +averageFinish.toFixed(1) : null,
+      byCurrency: result.byCurrency.map(({ _id: currency, totalCost, totalPrize, ...counts }) => {
+        const profit = totalPrize - totalCost;
+        return {
+          currency,
+          ...counts,
+          totalCost: +totalCost.toFixed(2),
+          totalPrize: +totalPrize.toFixed(2),
+          profit: +profit.toFixed(2),
+          // eslint-disable-next-line no-mixed-operators
+          roi: totalCost ? +(profit / totalCost * 100).toFixed(2) : 0,
+        };
+      }),
+    };
+  }
+}
+
+module.exports = new Tournaments();
@@ -6,6 +6,9 @@ const {
 } = require('lodash');
 const DataValidator = require('./datavalidator');
 
+// Mongo error code of a write rejected by a unique index
+const DUPLICATE_KEY_ERROR = 11000;
+
 /**
  * Read object's leaf with path
  * @param {object} obj: object
@@ -235,7 +238,7 @@ class SuperCollection {
    * @param {object} query: query to delete
    */
   async countByQuery(query) {
-    return this.collection.raw().countDocuments(assign(this.defaultQuery, query));
+    return (await this.collection.raw()).countDocuments(assign(this.defaultQuery, query));
   }
 
   /**
@@ -275,6 +278,51 @@ class SuperCollection {
     return result && result.value ? result.value : undefined;
   }
 
+  /**
+   * Update the document matching a query or insert it with a new auto increment _id
+   * Concurrent calls create a single document when the query fields have a unique index (see ensureIndex):
+   * the losing insert fails on the index and updates the winner's document instead
+   * @param {object} query: equality query of the unique key, its fields are set on insert
+   * @param {object} update: raw update ($set, $inc, $setOnInsert...), fields only set on insert go in $setOnInsert
+   * @returns {Promise<int>} document _id
+   */
+  async upsertRawByQuery(query, update) {
+    const collection = await this.collection.raw();
+    const options = { projection: { _id: 1 } };
+    const existing = await collection.findOneAndUpdate(query, update, options);
+    if (existing && existing.value) return existing.value._id;
+    const _id = await this.collection.getAutoIncrementId(this.collection.settings.autoIncrementId);
+    try {
+      const inserted = await collection.findOneAndUpdate(
+        query,
+        { ...update, $setOnInsert: { ...update.$setOnInsert, _id } },
+        { ...options, upsert: true, returnDocument: 'after' }
+      );
+      return inserted.value._id;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      const updated = await collection.findOneAndUpdate(query, update, options);
+      return updated.value._id;
+    }
+  }
+
+  /**
+   * Create an index once per process
+   * @param {object} keys: index keys, e.g. { ownerId: 1, name: 1 }
+   * @param {object} [options]: index options, e.g. { unique: true }
+   */
+  async ensureIndex(keys, options = {}) {
+    if (!this.indexes) this.indexes = {};
+    const name = JSON.stringify([ keys, options ]);
+    if (!this.indexes[name]) {
+      this.indexes[name] = this.collection.raw().then((collection) => collection.createIndex(keys, options)).catch((error) => {
+        delete this.indexes[name];
+        throw error;
+      });
+    }
+    return this.indexes[name];
+  }
+
   /**
    * Find one and delete
    * @param {object} query: query to find
@@ -459,3 +507,4 @@ class SuperCollection {
 }
 
 module.exports = SuperCollection;
+module.exports.DUPLICATE_KEY_ERROR = DUPLICATE_KEY_ERROR;
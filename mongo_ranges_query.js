@@ -4,73 +4,16 @@
 const { MongoClient } = require('mongodb');
 const fs = require('fs');
 require('dotenv').config();
+const { averageRanges, serializeRange, toSolverString } = require('./utils/ranges');
 
-// Helper function to normalize ranges from combo strings like "3h2h:1.0,4h2h:1.0"
+// Helper function to normalize a range string to its shortest notation, e.g. "QQ+,AKs:0.5"
 function normalizeRange(rangeString) {
-  if (!rangeString || typeof rangeString !== 'string') return {};
-  
-  const handGroups = {};
-  const combos = rangeString.split(',');
-  
-  for (const combo of combos) {
-    const [hand, freqStr] = combo.split(':');
-    if (!hand || !freqStr) continue;
-    
-    const freq = parseFloat(freqStr);
-    if (isNaN(freq) || freq === 0) continue;
-    
-    // Extract ranks and suits
-    const ranks = hand.match(/[AKQJT2-9]/g);
-    const suits = hand.match(/[hdcs]/g);
-    
-    if (!ranks || ranks.length < 2 || !suits || suits.length < 2) continue;
-    
-    let normalizedHand;
-    
-    if (ranks[0] === ranks[1]) {
-      // Pocket pairs
-      normalizedHand = ranks[0] + ranks[0];
-    } else {
-      // Non-pairs - check if suited or offsuit
-      const isSuited = suits[0] === suits[1];
-      
-      // Sort by rank hierarchy (higher rank first)
-      const rankOrder = 'AKQJT98765432';
-      const sortedRanks = [ranks[0], ranks[1]].sort((a, b) => 
-        rankOrder.indexOf(a) - rankOrder.indexOf(b)
-      );
-      normalizedHand = sortedRanks.join('') + (isSuited ? 's' : 'o');
-    }
-    
-    // Group combos by normalized hand
-    if (!handGroups[normalizedHand]) {
-      handGroups[normalizedHand] = [];
-    }
-    handGroups[normalizedHand].push(freq);
-  }
-  
-  // Calculate average frequency for each hand and format as string
-  const normalizedPairs = [];
-  for (const [hand, frequencies] of Object.entries(handGroups)) {
-    const avgFreq = frequencies.reduce((sum, f) => sum + f, 0) / frequencies.length;
-    normalizedPairs.push(`${hand}:${avgFreq}`);
-  }
-  
-  return normalizedPairs.join(',');
+  return serializeRange(rangeString);
 }
 
-// Helper function to merge multiple range strings into one
+// Helper function to merge multiple solver range strings into one solver string, averaging every combo's frequency
 function mergeRanges(rangeStrings) {
-  const allCombos = [];
-  
-  rangeStrings.forEach(rangeString => {
-    if (rangeString && typeof rangeString === 'string') {
-      const combos = rangeString.split(',');
-      allCombos.push(...combos);
-    }
-  });
-  
-  return allCombos.join(',');
+  return toSolverString(averageRanges(rangeStrings.filter(rangeString => rangeString && typeof rangeString === 'string')));
 }
 
 async function queryRanges() {
@@ -0,0 +1,145 @@
+/* eslint-disable no-underscore-dangle */
+const router = require('express').Router();
+const moment = require('moment');
+const BankrollTransactions = require('../db/collections/BankrollTransactions');
+const BankrollSettings = require('../db/collections/BankrollSettings');
+const validator = require('../utils/validator');
+const bankrollSchemas = require('../schemas/bankroll');
+const { getBankroll, checkStakeAlert } = require('../services/bankrollService');
+const { getBuyInCost, getBuyIns } = require('../utils/bankroll');
+
+router.get(
+  '/v1/bankroll/settings',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const data = await BankrollSettings.getSettings(ownerId);
+    return res.status(200).json({ status: 'success', data });
+  }
+);
+
+// Currency, rate table and stake rules, rules are merged into the saved ones
+router.put(
+  '/v1/bankroll/settings',
+  validator(bankrollSchemas.settingsPUT, 'body'),
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const current = await BankrollSettings.getSettings(ownerId);
+    const { currency, rates, rules } = req.body;
+    await BankrollSettings.saveSettings(ownerId, {
+      ...(currency ? { currency } : {}),
+      ...(rates ? { rates } : {}),
+      ...(rules ? { rules: { ...current.rules, ...rules } } : {}),
+    });
+    const alert = await checkStakeAlert(ownerId);
+    return res.status(200).json({ status: 'success', data: { alert } });
+  }
+);
+
+router.get(
+  '/v1/bankroll/transactions',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const pageSize = +req.query.pageSize || 20;
+    const pageNumber = +req.query.pageNumber || 1;
+    const { type } = req.query;
+    const { total, pageData } = await BankrollTransactions.findByQueryWithPagination(
+      { ownerId, ...(type ? { type } : {}) },
+      pageNumber,
+      pageSize,
+      { sort: { occurredAt: -1 } }
+    );
+    const totalPages = Math.ceil(total / pageSize);
+    return res.status(200).json({ status: 'success', pageData, total, totalPages });
+  }
+);
+
+// Deposits, withdrawals and adjustments, session and tournament transactions come from the imports
+router.post(
+  '/v1/bankroll/transactions',
+  validator(bankrollSchemas.transactionPOST, 'body'),
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const {
+      type, amount, currency, occurredAt, note,
+    } = req.body;
+    const now = moment().valueOf();
+    const _id = await BankrollTransactions.insert({
+      ownerId,
+      type,
+      source: 'manual',
+      currency,
+      amount: type === 'withdrawal' ? -Math.abs(amount) : amount,
+      occurredAt: occurredAt || now,
+      note: note || '',
+      createdAt: now,
+      updatedAt: now,
+    });
+    const alert = await checkStakeAlert(ownerId);
+    return res.status(200).json({ status: 'success', data: { _id, alert } });
+  }
+);
+
+router.delete(
+  '/v1/bankroll/transactions/:id',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const _id = +req.params.id;
+    const transaction = await BankrollTransactions.findOneByQuery({ _id, ownerId });
+    if (!transaction) return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+    if (transaction.source !== 'manual') {
+      return res.status(400).json({ message: 'Session and tournament transactions follow their session or tournament' });
+    }
+    await BankrollTransactions.deleteByQuery({ _id, ownerId });
+    const alert = await checkStakeAlert(ownerId);
+    return res.status(200).json({ status: 'success', data: { alert } });
+  }
+);
+
+// Balance history in the settings currency, from / to (timestamps) limit the history, the balance is always the running one
+router.get(
+  '/v1/bankroll/history',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const from = +req.query.from || 0;
+    const to = +req.query.to || Infinity;
+    const {
+      settings, balance, history, missingRates, status,
+    } = await getBankroll(ownerId);
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        currency: settings.currency,
+        balance,
+        history: history.filter((t) => t.occurredAt >= from && t.occurredAt <= to),
+        missingRates,
+        stakes: status,
+      },
+    });
+  }
+);
+
+// Bankroll in buy-ins of a stake: bb (cash, 100 BB buy-ins) or buyIn (tournament)
+router.get(
+  '/v1/bankroll/buy-ins',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const gameType = req.query.buyIn ? 'mtt' : 'cash';
+    const stake = +(req.query.buyIn || req.query.bb);
+    if (!stake || stake < 0) return res.status(400).json({ message: 'bb or buyIn is required' });
+    const { settings, balance, missingRates } = await getBankroll(ownerId);
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        currency: settings.currency,
+        balance,
+        gameType,
+        stake,
+        buyInCost: getBuyInCost(stake, gameType),
+        buyIns: getBuyIns(balance, stake, gameType),
+        missingRates,
+      },
+    });
+  }
+);
+
+module.exports = router;
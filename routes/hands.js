@@ -10,6 +10,9 @@ const validator = require('../utils/validator');
 const handSchemas = require('../schemas/hands');
 const { analyzePokerHand } = require('../utils/analysis');
 const FileUploads = require('../db/collections/FileUploads');
+const Opponents = require('../db/collections/Opponents');
+const StatsRollups = require('../db/collections/StatsRollups');
+const SavedFilters = require('../db/collections/SavedFilters');
 const Users = require('../db/collections/Users');
 const pusher = require('../utils/pusher');
 const { generateSnapshots } = require('../utils/solver-snapshot-generator');
@@ -22,6 +25,17 @@ const CoachLLMService = require('../utils/CoachLLMService');
 // Import debug flags for matching criteria analysis
 const { generateDebugFlags } = require('../utils/debug-flags');
 const LLMPromptBuilder = require('../utils/LLMPromptBuilder');
+const { PREFLOP_LINES, POSTFLOP_FLAGS, RUNOUT_CLASSES } = require('../utils/hand-parser');
+const { getFlopClass } = require('../utils/board-canonical');
+const { EXPORT_FORMATS, exportHand } = require('../utils/hand-exporter');
+const {
+  REPORT_DIMENSIONS, getReportGroupStage, formatReport, getHeatmapFacetStage, formatHeatmaps,
+} = require('../utils/hand-report');
+const { getUserTimeZone, getPlayedRangeFilter, isValidTimeZone } = require('../utils/timezones');
+const {
+  POT_TYPES, TEXTURE_FIELDS, compileHandQuery, getHeroRangeFilter,
+} = require('../utils/hand-query');
+const { BadRequestError } = require('../utils/errors');
 
 const potSizesRules = {
   '0-10bb': { $lte: 10 },
@@ -32,35 +46,284 @@ const potSizesRules = {
   '100+bb': { $gte: 100 },
 };
 
-const potTypesRules = {
-  '3bp': [ '3bp' ],
-  '4bp': [ '4bp' ],
-  '5bp': [ '5bp' ],
-  aipf: [ 'aipf' ],
-  limped: [ 'limped' ],
-  srp: [ 'srp', '2bp' ],
-};
-
 const textureRule = (textures) => {
-  const textureMap = [
-    { type: 'rainbow', field: 'isRainbow' },
-    { type: 'monotone', field: 'isMonoTone' },
-    { type: 'twotone', field: 'isTwoTones' },
-    { type: 'broadway', field: 'isBroadway' },
-    { type: '3ofakind', field: 'isThreeOfAKind' },
-    { type: 'paired', field: 'isPaired' }
-  ];
-
   if (textures && textures.length) {
     return {
       $or: textures.map((texture) => ({
-        [`info.${textureMap.find(t => t.type === texture).field}`]: true
+        [`info.${TEXTURE_FIELDS[texture]}`]: true
       }))
     };
   }
   return {};
 };
 
+// Presets missing from a request or a saved filter
+const DEFAULT_PRESETS = {
+  gameType: 'all',
+  pokerType: 'all',
+  postflopFlags: [],
+  selectedPreflopLines: [],
+  selectedOpenerPos: [],
+  selectedThreeBettorPos: [],
+  selectedPfaPos: [],
+  selectedCallerPos: [],
+  selectedVs3Bet: [],
+  vpipOnly: false,
+  winningSort: 'default',
+  hasNotes: 'default',
+  selectedPos: [],
+  selectedPotSizes: [],
+  selectedPotTypes: [],
+  selectedTextures: [],
+  selectedHighCards: []
+};
+
+// getHeroRangeFilter as a 400 for request ranges
+const getHeroRangeFilterOrThrow = (range) => {
+  try {
+    return getHeroRangeFilter(range);
+  } catch (error) {
+    throw new BadRequestError(`Invalid heroRange: ${error.message}`);
+  }
+};
+
+/**
+ * $match stages of the /v1/hands/my-hands filter model, shared by the hands list and the report
+ * @param {object} params: { criteria: { dateRange }, presets, session, query } query: see utils/hand-query
+ * @returns {object} { aggregation, winningSort }, throws BadRequestError on an invalid heroRange or query
+ */
+const getMyHandsAggregation = ({
+  criteria, presets, session, query,
+}) => {
+  const {
+    dateRange,
+  } = criteria;
+  const {
+    selectedPos,
+    selectedPotSizes,
+    selectedPotTypes,
+    selectedHighCards,
+    selectedTextures,
+    winningSort,
+    gameType,
+    pokerType,
+    vpipOnly,
+    hasNotes,
+    postflopFlags,
+    selectedPreflopLines,
+    selectedOpenerPos,
+    selectedThreeBettorPos,
+    selectedPfaPos,
+    selectedCallerPos,
+    selectedVs3Bet,
+    openSizeRange,
+    selectedStakes,
+    effStackRange,
+    heroStreetLines,
+    heroRange,
+    selectedFlopClasses,
+    selectedTurnClasses,
+    selectedRiverClasses,
+    selectedMainTurnClasses,
+    selectedMainRiverClasses,
+  } = { ...DEFAULT_PRESETS, ...presets };
+
+  // Played time, whole days of the user's time zone for 'YYYY-MM-DD' bounds
+  const playedRangeLookup = getPlayedRangeFilter(dateRange, getUserTimeZone());
+
+  let gameTypeFilter;
+  if (gameType === 'cash') { gameTypeFilter = 'cashgame'; } else if (gameType === 'mtt') { gameTypeFilter = 'tournament'; } else gameTypeFilter = { $exists: true };
+  // 'holdem' / 'omaha', any other value keeps every game
+  const pokerTypeFilter = pokerType === 'holdem' || pokerType === 'omaha' ? { 'header.pokertype': pokerType } : {};
+
+  const aggregation = [
+    {
+      $match: {
+        'header.gametype': gameTypeFilter,
+        ownerId: Account.userId(),
+        ...playedRangeLookup,
+        'info.isVPIP': vpipOnly ? true : { $exists: true },
+        sourceFile: session ? session._id : { $exists: true },
+        ...pokerTypeFilter,
+        ...textureRule(selectedTextures),
+        'info.highestCard': selectedHighCards && selectedHighCards.length > 0 ? { $in: selectedHighCards } : { $exists: true },
+      }
+    },
+  ];
+
+  if (selectedPos.length) {
+    aggregation.push({
+      $match: { 'info.heroPos': { $in: selectedPos.map(p => p.toUpperCase()) } }
+    });
+  }
+
+  if (selectedPotSizes.length) {
+    const rule = { $or: selectedPotSizes.map(potSize => ({ 'totalPot.bb': potSizesRules[potSize] })) };
+    aggregation.push({
+      $match: rule
+    });
+  }
+
+  if (selectedPotTypes.length) {
+    const rule = { $or: selectedPotTypes.map(potType => ({ 'info.potType': { $in: POT_TYPES[potType] || [ potType ] } })) };
+    aggregation.push({
+      $match: rule
+    });
+  }
+
+  // Preflop line, e.g. BU open vs SB 3-bet where hero called:
+  // selectedOpenerPos: [ 'bu' ], selectedThreeBettorPos: [ 'sb' ], selectedVs3Bet: [ 'call' ]
+  const preflopRules = {
+    'info.heroPreflopLine': (selectedPreflopLines || []).filter(line => PREFLOP_LINES.includes(line)),
+    'info.openerPos': (selectedOpenerPos || []).map(p => p.toUpperCase()),
+    'info.threeBettorPos': (selectedThreeBettorPos || []).map(p => p.toUpperCase()),
+    'info.pfaPos': (selectedPfaPos || []).map(p => p.toUpperCase()),
+    'info.pfCallersPos': (selectedCallerPos || []).map(p => p.toUpperCase()),
+    'info.heroVs3Bet': selectedVs3Bet || [],
+  };
+  Object.entries(preflopRules).forEach(([ field, values ]) => {
+    if (values.length) {
+      aggregation.push({
+        $match: { [field]: { $in: values } }
+      });
+    }
+  });
+
+  if (openSizeRange && openSizeRange.length === 2) {
+    const [ minOpenSize, maxOpenSize ] = openSizeRange;
+    aggregation.push({
+      $match: { 'info.openSizeBB': { $gte: +minOpenSize, $lte: +maxOpenSize } }
+    });
+  }
+
+  // Big blind amounts, e.g. [ 0.25, 0.5 ]
+  if (selectedStakes && selectedStakes.length) {
+    aggregation.push({
+      $match: { 'header.bb': { $in: selectedStakes.map(bb => +bb) } }
+    });
+  }
+
+  // Effective stack in BB, [ min, max ) with a null max for no upper bound
+  if (effStackRange && effStackRange.length === 2) {
+    const [ minEffStack, maxEffStack ] = effStackRange;
+    aggregation.push({
+      $match: { 'info.effStack': { $gte: +minEffStack, ...(maxEffStack !== null ? { $lt: +maxEffStack } : {}) } }
+    });
+  }
+
+  // Hero's street summaries, e.g. { flop: 'B', turn: 'X/C' }
+  const streetLines = _.pick(heroStreetLines || {}, [ 'flop', 'turn', 'river' ]);
+  if (Object.keys(streetLines).length) {
+    aggregation.push({
+      $match: Object.entries(streetLines).reduce((acc, [ street, line ]) => ({
+        ...acc, [`${street}Summary.hero${_.upperFirst(street)}Summary`]: line,
+      }), {})
+    });
+  }
+
+  // Flop classes, any suit-equivalent flop of the selected ones, e.g. selectedFlopClasses: [ 'KhQh2c' ]
+  const flopClasses = _.uniq((selectedFlopClasses || []).map(getFlopClass).filter(Boolean));
+  if (flopClasses.length) {
+    aggregation.push({
+      $match: { 'info.flopClass': { $in: flopClasses } }
+    });
+  }
+
+  // Turn / river card classes, any of the selected ones, e.g. selectedRiverClasses: [ 'flushComplete' ]
+  const runoutRules = {
+    'info.turnClasses': (selectedTurnClasses || []).filter(c => RUNOUT_CLASSES.includes(c)),
+    'info.riverClasses': (selectedRiverClasses || []).filter(c => RUNOUT_CLASSES.includes(c)),
+  };
+  Object.entries(runoutRules).forEach(([ field, values ]) => {
+    if (values.length) {
+      aggregation.push({
+        $match: { [field]: { $in: values } }
+      });
+    }
+  });
+  // Main turn / river card class, the turnClass / riverClass rows of /v1/hands/my-hands/report
+  const mainRunoutRules = [
+    [ REPORT_DIMENSIONS.turnClass.expression, (selectedMainTurnClasses || []).filter(c => RUNOUT_CLASSES.includes(c)) ],
+    [ REPORT_DIMENSIONS.riverClass.expression, (selectedMainRiverClasses || []).filter(c => RUNOUT_CLASSES.includes(c)) ],
+  ];
+  mainRunoutRules.forEach(([ expression, values ]) => {
+    if (values.length) {
+      aggregation.push({
+        $match: { $expr: { $in: [ expression, values ] } }
+      });
+    }
+  });
+
+  // Every selected flag must be set, e.g. [ 'flopCBet', 'turnCheckRaise' ]
+  const flags = (postflopFlags || []).filter(flag => POSTFLOP_FLAGS.includes(flag));
+  if (flags.length) {
+    aggregation.push({
+      $match: flags.reduce((acc, flag) => ({ ...acc, [`info.${flag}`]: true }), {})
+    });
+  }
+
+  if (hasNotes === 'has notes') {
+    aggregation.push({
+      $match: { notes: { $exists: true, $not: { $size: 0 } } }
+    });
+  } else if (hasNotes === 'no notes') {
+    aggregation.push({
+      $match: { notes: { $size: 0 } }
+    });
+  }
+
+  // Hero's hole cards, e.g. '22-66, A2s-A5s, KQo+'
+  if (heroRange && `${heroRange}`.trim()) {
+    aggregation.push({
+      $match: getHeroRangeFilterOrThrow(heroRange)
+    });
+  }
+
+  // Hand query on top of the presets, e.g. 'pos:BTN AND hero:AKs+ AND result<-20bb'
+  if (query && `${query}`.trim()) {
+    aggregation.push({
+      $match: compileHandQuery(query)
+    });
+  }
+
+  return { aggregation, winningSort };
+};
+
+/**
+ * getMyHandsAggregation of a request body, answering 400 on an inaccessible saved filter, an invalid
+ * heroRange or an invalid hand query (with the position of the bad token)
+ * @param {object} res: express response
+ * @param {object} params: { criteria, presets, session, query } or { savedFilterId, session }
+ * @returns {Promise<object|null>} see getMyHandsAggregation, null when the response was sent
+ */
+const getMyHandsAggregationOrReply = async (res, {
+  criteria, presets, session, query, savedFilterId,
+}) => {
+  let params = {
+    criteria: criteria || {}, presets, session, query,
+  };
+  // Saved filters run on the hands of whoever runs them
+  if (savedFilterId) {
+    const filter = await SavedFilters.findAccessible(+savedFilterId, Account.userId());
+    if (!filter) {
+      res.status(400).json({ message: 'Invalid saved filter' });
+      return null;
+    }
+    params = {
+      criteria: filter.criteria || {}, presets: filter.presets, session, query: filter.query,
+    };
+  }
+  try {
+    return getMyHandsAggregation(params);
+  } catch (error) {
+    if (!(error instanceof BadRequestError)) throw error;
+    res.status(400).json({
+      status: 'error', message: error.message, position: error.position, token: error.token,
+    });
+    return null;
+  }
+};
+
 router.get(
   '/v1/posts/:id/hands',
   async (req, res) => {
@@ -238,6 +501,7 @@ router.post(
         { _id, ownerId },
         { analysis: llmAnalysis }
       );
+      await StatsRollups.recordAnalysis(ownerId, hand);
 
       //-------- Create initial coaching chat -----------
       let chatId = null;
@@ -254,7 +518,7 @@ router.post(
             ante: hand.header?.ante ? hand.header.ante / hand.header.bb : 0
           },
           heroPos: hand.info?.heroPos || hand.preflopSummary?.pos || 'Unknown',
-          heroCards: hand.preflopSummary?.cards ? [hand.preflopSummary.cards.card1, hand.preflopSummary.cards.card2] : [],
+          heroCards: hand.preflopSummary?.holeCards || (hand.preflopSummary?.cards ? [hand.preflopSummary.cards.card1, hand.preflopSummary.cards.card2] : []),
           gameType: hand.header?.gametype || 'cash'
         };
 
@@ -618,14 +882,8 @@ router.post('/v1/hands/my-hands/chart-data',
     const {
       gameType, dateRange
     } = criteria;
-    const [ fromTimeStamp, toTimeStamp ] = dateRange || [];
-
-    // Might need to change this to date played instead of date uploaded
-    const dateRangeLookup = fromTimeStamp && toTimeStamp
-      ? {
-        $gte: fromTimeStamp,
-        $lte: toTimeStamp
-      } : { $exists: true };
+    // Played time, whole days of the user's time zone for 'YYYY-MM-DD' bounds
+    const playedRangeLookup = getPlayedRangeFilter(dateRange, getUserTimeZone());
 
     let gameTypeFilter = { $exists: true };
     if (gameType === 'Cash') gameTypeFilter = 'cashgame';
@@ -636,7 +894,7 @@ router.post('/v1/hands/my-hands/chart-data',
         $match: {
           'header.gametype': gameTypeFilter,
           ownerId: Account.userId(),
-          createdAt: dateRangeLookup,
+          ...playedRangeLookup,
           sourceFile: session ? session._id : { $exists: true },
         }
       },
@@ -686,11 +944,22 @@ router.post('/v1/hands/my-hands/chart-data',
       const nonShowdown = nonShowdownBBPrev + nonShowdownBB;
       return [ ...acc, nonShowdown ];
     }, []);
+    // Winnings with all-in hands counted at their equity instead of the actual runout
+    const allInAdjustedTrend = data.reduce((acc, hand) => {
+      const { heroChip, info } = hand;
+      const winLossBB = _.get(heroChip, '[0].winLossBB', 0);
+      const { allInEVBB } = info || {};
+      const adjustedBB = allInEVBB !== undefined ? allInEVBB : winLossBB;
+      const adjustedBBPrev = acc.length > 0 ? acc[acc.length - 1] : 0;
+      const adjusted = adjustedBBPrev + adjustedBB;
+      return [ ...acc, adjusted ];
+    }, []);
 
     return res.json({
       winningTrend,
       showdownTrend,
       nonShowdownTrend,
+      allInAdjustedTrend,
     });
   });
 
@@ -760,82 +1029,15 @@ router.post('/v1/hands/my-hands/chart-data-by-session',
     });
   });
 
+// { criteria, presets, query, session } or { savedFilterId, session } to run a saved filter
 router.post(
   '/v1/hands/my-hands',
   async (req, res) => {
     const pageSize = +req.body.pageSize;
     const pageNumber = +req.body.pageNumber;
-    const { criteria, presets, session } = req.body;
-    const {
-      dateRange,
-    } = criteria;
-    const {
-      selectedPos,
-      selectedPotSizes,
-      selectedPotTypes,
-      selectedHighCards,
-      selectedTextures,
-      winningSort,
-      gameType,
-      vpipOnly,
-      hasNotes,
-    } = presets || {
-      gameType: 'all',
-      vpipOnly: false,
-      winningSort: 'default',
-      hasNotes: 'default',
-      selectedPos: [],
-      selectedPotSizes: [],
-      selectedPotTypes: [],
-      selectedTextures: [],
-      selectedHighCards: []
-    };
-
-    const [ fromTimeStamp, toTimeStamp ] = dateRange || [];
-
-    // Might need to change this to date played instead of date uploaded
-    const dateRangeLookup = fromTimeStamp && toTimeStamp
-      ? {
-        $gte: fromTimeStamp,
-        $lte: toTimeStamp
-      } : { $exists: true };
-
-    let gameTypeFilter;
-    if (gameType === 'cash') { gameTypeFilter = 'cashgame'; } else if (gameType === 'mtt') { gameTypeFilter = 'tournament'; } else gameTypeFilter = { $exists: true };
-
-    const aggregation = [
-      {
-        $match: {
-          'header.gametype': gameTypeFilter,
-          ownerId: Account.userId(),
-          createdAt: dateRangeLookup,
-          'info.isVPIP': vpipOnly ? true : { $exists: true },
-          sourceFile: session ? session._id : { $exists: true },
-          ...textureRule(selectedTextures),
-          'info.highestCard': selectedHighCards && selectedHighCards.length > 0 ? { $in: selectedHighCards } : { $exists: true },
-        }
-      },
-    ];
-
-    if (selectedPos.length) {
-      aggregation.push({
-        $match: { 'info.heroPos': { $in: selectedPos.map(p => p.toUpperCase()) } }
-      });
-    }
-
-    if (selectedPotSizes.length) {
-      const rule = { $or: selectedPotSizes.map(potSize => ({ 'totalPot.bb': potSizesRules[potSize] })) };
-      aggregation.push({
-        $match: rule
-      });
-    }
-
-    if (selectedPotTypes.length) {
-      const rule = { $or: selectedPotTypes.map(potType => ({ 'info.potType': { $in: potTypesRules[potType] } })) };
-      aggregation.push({
-        $match: rule
-      });
-    }
+    const myHandsAggregation = await getMyHandsAggregationOrReply(res, req.body);
+    if (!myHandsAggregation) return;
+    const { aggregation, winningSort } = myHandsAggregation;
 
     let sortOption = {
       'header.timestamp': -1,
@@ -855,16 +1057,6 @@ router.post(
       sortOption = { createdAt: 1 };
     }
 
-    if (hasNotes === 'has notes') {
-      aggregation.push({
-        $match: { notes: { $exists: true, $not: { $size: 0 } } }
-      });
-    } else if (hasNotes === 'no notes') {
-      aggregation.push({
-        $match: { notes: { $size: 0 } }
-      });
-    }
-
     if ([ 'top', 'bottom', 'latestPlayed', 'earliestPlayed', 'latestUploaded', 'earliestUploaded' ].includes(winningSort)) {
       aggregation.push({
         $sort: sortOption
@@ -883,6 +1075,53 @@ router.post(
   }
 );
 
+// Hero's results grouped by any REPORT_DIMENSIONS, e.g. groupBy: [ 'position', 'potType' ]
+// Same criteria / presets as /v1/hands/my-hands, each row returns the presets to drill down into it
+router.post(
+  '/v1/hands/my-hands/report',
+  async (req, res) => {
+    const groupBy = req.body.groupBy || [];
+    if (!Array.isArray(groupBy) || !groupBy.length || groupBy.some(dimension => !REPORT_DIMENSIONS[dimension])) {
+      return res.status(400).json({ message: `groupBy must list dimensions among ${Object.keys(REPORT_DIMENSIONS).join(', ')}` });
+    }
+    const myHandsAggregation = await getMyHandsAggregationOrReply(res, req.body);
+    if (!myHandsAggregation) return undefined;
+    const { aggregation } = myHandsAggregation;
+    const groups = await Hands.aggregate([ ...aggregation, getReportGroupStage(groupBy) ], { allowDiskUse: true });
+    return res.status(200).json({ status: 'success', data: { groupBy, ...formatReport(groups, groupBy) } });
+  }
+);
+
+// Net BB and hands by weekday x hour of the played time and by session length, same filters as /v1/hands/my-hands
+// Weekdays and hours are read in `timeZone` or the user's preferences.timeZone
+router.post(
+  '/v1/hands/my-hands/heatmap',
+  async (req, res) => {
+    const timeZone = req.body.timeZone || getUserTimeZone();
+    if (!isValidTimeZone(timeZone)) return res.status(400).json({ message: `Unknown time zone ${timeZone}` });
+    const myHandsAggregation = await getMyHandsAggregationOrReply(res, req.body);
+    if (!myHandsAggregation) return undefined;
+    const { aggregation } = myHandsAggregation;
+    const [ facets ] = await Hands.aggregate([
+      ...aggregation,
+      { $match: { 'header.timestamp': { $gt: 0 } } },
+      getHeatmapFacetStage(timeZone),
+    ], { allowDiskUse: true });
+    return res.status(200).json({ status: 'success', data: { timeZone, ...formatHeatmaps(facets) } });
+  }
+);
+
+// Hands matching a filter, same body as /v1/hands/my-hands, e.g. the count badge of a saved filter
+router.post(
+  '/v1/hands/my-hands/count',
+  async (req, res) => {
+    const myHandsAggregation = await getMyHandsAggregationOrReply(res, req.body);
+    if (!myHandsAggregation) return undefined;
+    const [ result ] = await Hands.aggregate([ ...myHandsAggregation.aggregation, { $count: 'total' } ]);
+    return res.status(200).json({ status: 'success', data: { total: result ? result.total : 0 } });
+  }
+);
+
 router.post(
   '/v1/hands/my-hands/sessions/data-table',
   async (req, res) => {
@@ -891,13 +1130,8 @@ router.post(
 
     console.log(Account.userId());
 
-    const [ fromTimeStamp, toTimeStamp ] = dateRange || [];
-    // Might need to change this to date played instead of date uploaded
-    const dateRangeLookup = fromTimeStamp && toTimeStamp
-      ? {
-        $gte: fromTimeStamp,
-        $lte: toTimeStamp
-      } : { $exists: true };
+    // Played time, whole days of the user's time zone for 'YYYY-MM-DD' bounds
+    const playedRangeLookup = getPlayedRangeFilter(dateRange, getUserTimeZone());
 
     let gameTypeLookup;
     if (gameType === 'cashgame') gameTypeLookup = 'cashgame';
@@ -909,7 +1143,7 @@ router.post(
         $match: {
           'header.gametype': gameTypeLookup,
           ownerId: Account.userId(),
-          createdAt: dateRangeLookup,
+          ...playedRangeLookup,
         }
       },
       // Add hero net winnings calculation
@@ -1008,8 +1242,10 @@ router.post(
   async (req, res) => {
     const { hands } = req.body;
     const ownerId = Account.userId();
-    await Hands.insertMany(hands.map(h => ({ ...h, ownerId, privacy: 'private' })));
-    res.status(200).json({ status: 'success' });
+    const { inserted, duplicates } = await Hands.insertManyWithoutDuplicates(ownerId, hands.map(h => ({ ...h, privacy: 'private' })));
+    await Opponents.recordHands(ownerId, inserted);
+    await StatsRollups.recordHands(ownerId, inserted);
+    res.status(200).json({ status: 'success', data: { inserted: inserted.length, duplicates } });
   }
 );
 
@@ -1021,6 +1257,8 @@ router.delete(
     const ownerId = Account.userId();
     const found = await Hands.findByQuery({ ownerId, _id: { $in: hands } });
     if (found.length !== hands.length) return res.status(400).json({ message: 'Invalid hands supplied' });
+    await Opponents.recordHands(ownerId, found, -1);
+    await StatsRollups.recordHands(ownerId, found, -1);
     await Hands.deleteByQuery({ ownerId, _id: { $in: hands } });
     return res.status(200).json({ status: 'success' });
   }
@@ -1032,11 +1270,34 @@ router.get(
     const id = +req.params.id;
     const ownerId = Account.userId();
     const hand = await Hands.getHandDetailById(id, ownerId);
-    if (hand) return res.status(200).json({ hand });
+    if (hand) {
+      // What the viewer's own hands say about the villains of this hand
+      const villainStats = await Opponents.getVillainStats(ownerId, hand);
+      return res.status(200).json({ hand, villainStats });
+    }
     return res.status(400).json({ message: 'You do not have the permission to view this hand' });
   }
 );
 
+// Hand history text (format=pokerstars, default) or Open Hand History JSON (format=ohh) of a hand
+// Same permissions as viewing the hand: owners, friends for social hands, anyone for public ones
+router.get(
+  '/v1/hands/:id/export',
+  async (req, res) => {
+    const id = +req.params.id;
+    const ownerId = Account.userId();
+    const format = req.query.format || 'pokerstars';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ status: 'error', message: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const hand = await Hands.findById(id);
+    if (!hand || !(await Hands.canViewHand(hand, ownerId))) {
+      return res.status(400).json({ message: 'You do not have the permission to view this hand' });
+    }
+    return res.status(200).json({ status: 'success', data: { format, content: exportHand(hand, format) } });
+  }
+);
+
 router.patch(
   '/v1/hands/:id',
   validator(handSchemas.handsPATCH, 'body'),
@@ -1124,14 +1385,25 @@ router.put(
   }
 );
 
+// ?savedFilterId= scopes the analysis to the hands of a saved filter, ?heroRange= to hole cards, e.g. 'A2s-A5s'
 router.get(
   '/v1/hands/my-hands/leaks',
   async (req, res) => {
     try {
       const ownerId = Account.userId();
-      const { position } = req.query;
-      const leaks = await Hands.getVPIPLeaksByPosition(ownerId);
-      const groupedHands = await Hands.getGroupByHoleCards(ownerId, position || false);
+      const {
+        position, pokerType, savedFilterId, heroRange,
+      } = req.query;
+      const scopes = [];
+      if (savedFilterId) {
+        const myHandsAggregation = await getMyHandsAggregationOrReply(res, { savedFilterId });
+        if (!myHandsAggregation) return undefined;
+        scopes.push(...myHandsAggregation.aggregation.map(stage => stage.$match));
+      }
+      if (heroRange) scopes.push(getHeroRangeFilterOrThrow(heroRange));
+      const scope = scopes.length ? { $and: scopes } : null;
+      const leaks = await Hands.getVPIPLeaksByPosition(ownerId, scope);
+      const groupedHands = await Hands.getGroupByHoleCards(ownerId, position || false, true, pokerType || false, scope);
 
       return res.status(200).json({
         success: true,
@@ -1141,6 +1413,7 @@ router.get(
         }
       });
     } catch (error) {
+      if (error instanceof BadRequestError) return res.status(400).json({ success: false, error: error.message });
       console.error('Error fetching VPIP leaks:', error);
       return res.status(500).json({
         success: false,
@@ -1155,9 +1428,13 @@ router.post(
   async (req, res) => {
     try {
       const ownerId = Account.userId();
-      const { position, mistake } = req.body;
+      const {
+        position, mistake, pokerType, heroRange,
+      } = req.body;
       const parseBoolean = (value) => value === 'true';
-      const groupedHands = await Hands.getGroupByHoleCards(ownerId, position || false);
+      // Validated here, getGroupByHoleCards throws plain errors
+      if (heroRange) getHeroRangeFilterOrThrow(heroRange);
+      const groupedHands = await Hands.getGroupByHoleCards(ownerId, position || false, true, pokerType || false, null, heroRange || null);
 
       return res.status(200).json({
         success: true,
@@ -1166,6 +1443,7 @@ router.post(
         }
       });
     } catch (error) {
+      if (error instanceof BadRequestError) return res.status(400).json({ success: false, error: error.message });
       console.error('Error fetching VPIP leaks:', error);
       return res.status(500).json({
         success: false,
@@ -0,0 +1,84 @@
+/* eslint-disable no-underscore-dangle */
+const router = require('express').Router();
+const _ = require('lodash');
+const Opponents = require('../db/collections/Opponents');
+const Hands = require('../db/collections/Hands');
+const { buildShowdownRanges } = require('../utils/showdown-ranges');
+
+// Most recent showdown hands read by the range explorer
+const SHOWDOWN_HANDS_LIMIT = 5000;
+
+// Villain profiles built from the owner's imported hands, with HUD statistics and sample sizes
+router.get(
+  '/v1/opponents',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const pageSize = +req.query.pageSize || 20;
+    const pageNumber = +req.query.pageNumber || 1;
+    const { room, search } = req.query;
+    const minHands = +req.query.minHands || 0;
+    const query = {
+      ownerId,
+      ...(room ? { room } : {}),
+      ...(search ? { name: { $regex: _.escapeRegExp(search), $options: 'i' } } : {}),
+      ...(minHands ? { 'counters.hands': { $gte: minHands } } : {}),
+    };
+    const { total, pageData } = await Opponents.findByQueryWithPagination(
+      query,
+      pageNumber,
+      pageSize,
+      { sort: { 'counters.hands': -1 } }
+    );
+    const totalPages = Math.ceil(total / pageSize);
+    return res.status(200).json({
+      status: 'success',
+      pageData: pageData.map((opponent) => Opponents.withStats(opponent)),
+      total,
+      totalPages,
+    });
+  }
+);
+
+// One villain, a profile per room the name was seen in (or only the `room` one)
+router.get(
+  '/v1/opponents/:name',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const { name } = req.params;
+    const { room } = req.query;
+    const opponents = await Opponents.findByQuery({ ownerId, name, ...(room ? { room } : {}) }, { sort: { 'counters.hands': -1 } });
+    if (!opponents.length) return res.status(404).json({ status: 'error', message: 'Opponent not found' });
+    return res.status(200).json({ status: 'success', data: opponents.map((opponent) => Opponents.withStats(opponent)) });
+  }
+);
+
+// Hands villains showed down, by line (e.g. "B-B-B in 3BP as PFR"), on the 13x13 hand matrix
+// One villain with `name`, or every villain seen at the `bb` stakes; `line` keeps a single line key
+router.get(
+  '/v1/showdown-ranges',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const {
+      name, room, bb, line,
+    } = req.query;
+    if (!name && !bb) return res.status(400).json({ message: 'name or bb is required' });
+    const query = {
+      ownerId,
+      'spoilers.0': { $exists: true },
+      'header.pokertype': { $ne: 'omaha' },
+      ...(name ? { 'playerChips.name': name } : {}),
+      ...(room ? { 'header.room': room } : {}),
+      ...(bb ? { 'header.bb': +bb } : {}),
+    };
+    const hands = await Hands.findByQuery(query, {
+      projection: {
+        header: 1, info: 1, actionScript: 1, playerChips: 1, spoilers: 1, flopSummary: 1, turnSummary: 1, riverSummary: 1,
+      },
+      sort: { 'header.timestamp': -1 },
+      limit: SHOWDOWN_HANDS_LIMIT,
+    });
+    return res.status(200).json({ status: 'success', data: { hands: hands.length, ...buildShowdownRanges(hands, { name, line }) } });
+  }
+);
+
+module.exports = router;
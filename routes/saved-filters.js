@@ -0,0 +1,179 @@
+/* eslint-disable no-underscore-dangle */
+const router = require('express').Router();
+const moment = require('moment');
+const SavedFilters = require('../db/collections/SavedFilters');
+const Friends = require('../db/collections/Friends');
+const Notifications = require('../db/collections/Notifications');
+const validator = require('../utils/validator');
+const savedFiltersSchemas = require('../schemas/saved-filters');
+const { HandQueryError, compileHandQuery, getHeroRangeFilter } = require('../utils/hand-query');
+
+// Saved filters are run through /v1/hands/my-hands, its report, heatmap, count and leaks with { savedFilterId }
+
+// Error of an invalid hand query, null when the query compiles
+const getQueryError = (query) => {
+  if (!query || !query.trim()) return null;
+  try {
+    compileHandQuery(query);
+    return null;
+  } catch (error) {
+    if (!(error instanceof HandQueryError)) throw error;
+    return {
+      status: 'error', message: error.message, position: error.position, token: error.token,
+    };
+  }
+};
+
+// Error of an invalid presets.heroRange, null when the range is empty or valid
+const getHeroRangeError = (presets) => {
+  const heroRange = presets && presets.heroRange;
+  if (!heroRange || !`${heroRange}`.trim()) return null;
+  try {
+    getHeroRangeFilter(heroRange);
+    return null;
+  } catch (error) {
+    return { status: 'error', message: `Invalid heroRange: ${error.message}` };
+  }
+};
+
+// Only the owner sees who a filter is shared with
+const toResponse = (filter, userId) => {
+  const { shares, ...data } = filter;
+  const isOwner = filter.ownerId === userId;
+  return {
+    ...data,
+    shared: !isOwner,
+    ...(isOwner
+      ? { shares: shares || [] }
+      : { access: ((shares || []).find(share => share.recipientId === userId) || {}).access }),
+  };
+};
+
+// Own filters and the ones shared with the user, last updated first
+router.get(
+  '/v1/saved-filters',
+  async (req, res) => {
+    const userId = Account.userId();
+    const filters = await SavedFilters.findByQuery(SavedFilters.accessQuery(userId), { sort: { updatedAt: -1 } });
+    return res.status(200).json({ status: 'success', data: filters.map(filter => toResponse(filter, userId)) });
+  }
+);
+
+router.get(
+  '/v1/saved-filters/:id',
+  async (req, res) => {
+    const userId = Account.userId();
+    const filter = await SavedFilters.findAccessible(+req.params.id, userId);
+    if (!filter) return res.status(400).json({ message: 'Invalid saved filter' });
+    return res.status(200).json({ status: 'success', data: toResponse(filter, userId) });
+  }
+);
+
+router.post(
+  '/v1/saved-filters',
+  validator(savedFiltersSchemas.savedFilterPOST, 'body'),
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const {
+      name, description, criteria, presets, query,
+    } = req.body;
+    const queryError = getQueryError(query) || getHeroRangeError(presets);
+    if (queryError) return res.status(400).json(queryError);
+    const now = moment().valueOf();
+    const id = await SavedFilters.insert({
+      ownerId,
+      name,
+      description: description || '',
+      criteria: criteria || {},
+      presets: presets || {},
+      query: query || '',
+      shares: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+    return res.status(200).json({ status: 'success', id });
+  }
+);
+
+// Owner or shares with write access
+router.patch(
+  '/v1/saved-filters/:id',
+  validator(savedFiltersSchemas.savedFilterPATCH, 'body'),
+  async (req, res) => {
+    const userId = Account.userId();
+    const _id = +req.params.id;
+    const queryError = getQueryError(req.body.query) || getHeroRangeError(req.body.presets);
+    if (queryError) return res.status(400).json(queryError);
+    const update = SavedFilters.toMongoSetObject(req.body);
+    const { matchedCount } = await SavedFilters.updateByQuery(
+      { _id, ...SavedFilters.accessQuery(userId, 'write') },
+      { ...update, updatedAt: moment().valueOf() }
+    );
+    if (!matchedCount) return res.status(400).json({ message: 'Invalid saved filter' });
+    return res.status(200).json({ status: 'success' });
+  }
+);
+
+// Share with friends, sharing again with a recipient replaces their access
+router.patch(
+  '/v1/saved-filters/:id/permissions',
+  validator(savedFiltersSchemas.savedFilterPermissionPATCH, 'body'),
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const _id = +req.params.id;
+    const { recipientIds, access } = req.body;
+    const filter = await SavedFilters.findOneByQuery({ _id, ownerId });
+    if (!filter) return res.status(400).json({ message: 'Invalid saved filter' });
+    const friendships = await Promise.all(recipientIds.map(recipientId => Friends.areFriends(ownerId, recipientId)));
+    const notFriends = recipientIds.filter((recipientId, i) => recipientId === ownerId || !friendships[i]);
+    if (notFriends.length) return res.status(400).json({ message: 'Saved filters can only be shared with friends', recipientIds: notFriends });
+
+    const alreadyShared = (filter.shares || []).map(share => share.recipientId);
+    await SavedFilters.updateRawByQuery({ _id, ownerId }, { $pull: { shares: { recipientId: { $in: recipientIds } } } });
+    await SavedFilters.updateRawByQuery(
+      { _id, ownerId },
+      { $push: { shares: { $each: recipientIds.map(recipientId => ({ recipientId, access })) } } }
+    );
+    const now = moment().valueOf();
+    await Promise.all(recipientIds.filter(recipientId => !alreadyShared.includes(recipientId)).map(recipientId => Notifications.insert({
+      senderId: ownerId,
+      ownerId: recipientId,
+      type: 'share',
+      entityType: 'saved-filter',
+      entityId: _id,
+      title: 'Filter shared with you',
+      content: filter.name,
+      url: `/my-hands?savedFilterId=${_id}`,
+      isRead: false,
+      createdAt: now,
+    })));
+    return res.status(200).json({ status: 'success' });
+  }
+);
+
+router.delete(
+  '/v1/saved-filters/:id/permissions/:recipientId',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const _id = +req.params.id;
+    const { matchedCount } = await SavedFilters.updateRawByQuery(
+      { _id, ownerId },
+      { $pull: { shares: { recipientId: req.params.recipientId } } }
+    );
+    if (!matchedCount) return res.status(400).json({ message: 'Invalid saved filter' });
+    return res.status(200).json({ status: 'success' });
+  }
+);
+
+router.delete(
+  '/v1/saved-filters/:id',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const _id = +req.params.id;
+    const { deletedCount } = await SavedFilters.deleteByQuery({ _id, ownerId });
+    if (!deletedCount) return res.status(400).json({ message: 'Invalid saved filter' });
+    return res.status(200).json({ status: 'success' });
+  }
+);
+
+module.exports = router;
@@ -4,9 +4,16 @@ const moment = require('moment');
 const s3 = require('../utils/s3');
 const FileUploads = require('../db/collections/FileUploads');
 const Hands = require('../db/collections/Hands');
+const Opponents = require('../db/collections/Opponents');
+const StatsRollups = require('../db/collections/StatsRollups');
+const Tournaments = require('../db/collections/Tournaments');
 const Users = require('../db/collections/Users');
 const { generateHandTitles, storeHandTitles } = require('../services/titleGenerationService');
 const { generateSessionMilestones, storeMilestones } = require('../services/milestoneGenerationService');
+const { ingestSession } = require('../services/handIngestionService');
+const { syncBankroll } = require('../services/bankrollService');
+const { EXPORT_FORMATS, exportHands } = require('../utils/hand-exporter');
+const { getUserTimeZone, getPlayedRange } = require('../utils/timezones');
 /* -- File Uploads schema --
   ownerId: String,
   fileName: String,
@@ -25,10 +32,10 @@ const { generateSessionMilestones, storeMilestones } = require('../services/mile
 
 /* Upload flow --
 
-1. Prepare sessions on the front end, request api
+1. Prepare sessions on the front end, request api (text hand histories, tournament summaries or Open Hand History JSON files)
 2. API create sessions and return session ids + s3 presigned urls
 3. Front end finishes upload and update session with status processing
-4. Hand parser lambda updates session with status processed or failed
+4. Hand ingestion worker (services/handIngestionService) parses the file and updates session with status processed or failed
 
 */
 
@@ -81,13 +88,17 @@ router.put(
     const { status } = req.body;
     const { id } = req.params;
     const ownerId = Account.userId();
-    const file = await FileUploads.findByQuery({
+    const file = await FileUploads.findOneByQuery({
       _id: +id,
       ownerId,
     });
     if (!file) return res.status(404).json({ status: 'error', message: 'File not found' });
     if (file.status !== 'pending') return res.status(400).json({ status: 'error', message: 'File is not pending' });
-    await FileUploads.updateOne({ _id: +id, ownerId }, { status });
+    await FileUploads.updateByQuery({ _id: +id, ownerId }, { status });
+    // Start parsing right away instead of waiting for the next worker poll
+    if (status === 'processing') {
+      ingestSession(+id).catch((error) => console.error('Error ingesting session:', error));
+    }
     return res.status(200).json({ status: 'success' });
   }
 );
@@ -98,8 +109,22 @@ router.post(
     const pageSize = +req.body.pageSize;
     const pageNumber = +req.body.pageNumber;
     const ownerId = Account.userId();
+    // Sessions played (at least partly) in criteria.dateRange, see utils/timezones getPlayedRange
+    // Uploads without played times (before scripts/recompute-played-timestamps.js ran) use their upload time
+    const [ from, to ] = getPlayedRange((req.body.criteria || {}).dateRange, getUserTimeZone());
+    const playedFilter = (field, condition) => ({
+      $or: [ { [field]: condition }, { [field]: null, createdAt: condition } ],
+    });
+    const playedFilters = [
+      ...(from !== undefined ? [ playedFilter('sessionEnd', { $gte: from }) ] : []),
+      ...(to !== undefined ? [ playedFilter('sessionStart', { $lte: to }) ] : []),
+    ];
     const fileUploads = await FileUploads.findByQueryWithPagination( // query, pageNumber, pageSize, options = {}
-      { ownerId, status: { $ne: 'pending' } },
+      {
+        ownerId,
+        status: { $ne: 'pending' },
+        ...(playedFilters.length ? { $and: playedFilters } : {}),
+      },
       pageNumber,
       pageSize,
       {
@@ -110,17 +135,11 @@ router.post(
     const { total, pageData } = fileUploads;
     const totalPages = Math.ceil(total / pageSize);
 
-    for (let i = 0; i < pageData.length; i++) {
-      const session = pageData[i];
-      const stats = await FileUploads.getSessionStatistics(session._id);
-      pageData[i] = {
-        ...session,
-        ...stats,
-      };
-    }
+    // Statistics of every session of the page from their rollups, in one query
+    const stats = await StatsRollups.getSessionsStats(ownerId, pageData.map((session) => session._id));
 
     const data = {
-      pageData,
+      pageData: pageData.map((session) => ({ ...session, ...stats[session._id] })),
       total,
       totalPages,
     };
@@ -143,7 +162,8 @@ router.get(
         fileUpload: {
           ...fileUpload,
           progression,
-          milestones: fileUpload.milestones || []
+          milestones: fileUpload.milestones || [],
+          parseErrors: fileUpload.meta?.parseErrors || []
         }
       });
     }
@@ -158,12 +178,34 @@ router.get(
       fileUpload: {
         ...fileUpload,
         progression,
-        milestones: fileUpload.milestones || []
+        milestones: fileUpload.milestones || [],
+        parseErrors: fileUpload.meta?.parseErrors || []
       }
     });
   }
 );
 
+// Download every hand of a session as one hand history file (format=pokerstars, default) or OHH file (format=ohh)
+router.get(
+  '/v1/sessions/:id/export',
+  async (req, res) => {
+    const _id = +req.params.id;
+    const ownerId = Account.userId();
+    const format = req.query.format || 'pokerstars';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ status: 'error', message: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const fileUpload = await FileUploads.findOneByQuery({ _id, ownerId });
+    if (!fileUpload) return res.status(400).json({ message: 'We could not find the requested file' });
+
+    const hands = await Hands.findByQuery({ sourceFile: _id, ownerId }, { sort: { 'header.timestamp': 1 } });
+    const fileName = `${(fileUpload.fileName || `session-${_id}`).replace(/\.[^.]+$/, '')}.${format === 'ohh' ? 'ohh' : 'txt'}`;
+    res.attachment(fileName);
+    res.type(format === 'ohh' ? 'application/json' : 'text/plain');
+    return res.status(200).send(exportHands(hands, format));
+  }
+);
+
 router.get(
   '/v1/sessions/:id/hands',
   async (req, res) => {
@@ -302,7 +344,13 @@ router.delete(
     if (!fileUpload) return res.status(400).json({ message: 'We could not find the requested file' });
     await FileUploads.deleteByQuery({ _id, ownerId });
     const handCount = await Hands.countByQuery({ ownerId, sourceFile: _id });
+    await Opponents.forgetHandsByQuery(ownerId, { sourceFile: _id });
+    await StatsRollups.forgetHandsByQuery(ownerId, { sourceFile: _id });
     await Hands.deleteByQuery({ ownerId, sourceFile: _id });
+    await StatsRollups.deleteByQuery({ ownerId, scope: 'session', sourceFile: _id });
+    const { updated, removed } = await Tournaments.forgetSourceFile(ownerId, _id);
+    // Without hands left the session transactions are removed
+    await syncBankroll(ownerId, { sourceFile: _id, tournamentIds: updated, removedTournamentIds: removed });
     return res.status(200).json({ status: 'success', data: { handCount } });
   }
 );
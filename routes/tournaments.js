@@ -0,0 +1,75 @@
+/* eslint-disable no-underscore-dangle */
+const router = require('express').Router();
+const Tournaments = require('../db/collections/Tournaments');
+const validator = require('../utils/validator');
+const tournamentSchemas = require('../schemas/tournaments');
+const { syncBankroll } = require('../services/bankrollService');
+
+// Optional filters shared by the list and stats endpoints: room, from / to (tournament start timestamps)
+const getTournamentsQuery = ({ room, from, to }) => ({
+  ...(room ? { room } : {}),
+  ...(from || to ? {
+    startedAt: {
+      ...(from ? { $gte: +from } : {}),
+      ...(to ? { $lte: +to } : {}),
+    }
+  } : {}),
+});
+
+router.get(
+  '/v1/tournaments',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const pageSize = +req.query.pageSize || 20;
+    const pageNumber = +req.query.pageNumber || 1;
+    const { total, pageData } = await Tournaments.findByQueryWithPagination(
+      { ownerId, ...getTournamentsQuery(req.query) },
+      pageNumber,
+      pageSize,
+      {
+        sort: { startedAt: -1 },
+        projection: { levels: 0 },
+      }
+    );
+    const totalPages = Math.ceil(total / pageSize);
+    return res.status(200).json({ status: 'success', pageData, total, totalPages });
+  }
+);
+
+// ITM% and average finish, ROI per currency
+router.get(
+  '/v1/tournaments/stats',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const data = await Tournaments.getResults(ownerId, getTournamentsQuery(req.query));
+    return res.status(200).json({ status: 'success', data });
+  }
+);
+
+router.get(
+  '/v1/tournaments/:id',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const _id = +req.params.id;
+    const data = await Tournaments.findOneByQuery({ _id, ownerId });
+    if (!data) return res.status(404).json({ status: 'error', message: 'Tournament not found' });
+    return res.status(200).json({ status: 'success', data });
+  }
+);
+
+router.patch(
+  '/v1/tournaments/:id',
+  validator(tournamentSchemas.tournamentPATCH, 'body'),
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const _id = +req.params.id;
+    const update = Tournaments.toMongoSetObject(req.body);
+    const { matchedCount } = await Tournaments.updateByQuery({ _id, ownerId }, update);
+    if (!matchedCount) return res.status(404).json({ status: 'error', message: 'Tournament not found' });
+    // Corrected buy-in or prize changes the tournament's ledger transaction
+    await syncBankroll(ownerId, { tournamentIds: [ _id ] });
+    return res.status(200).json({ status: 'success' });
+  }
+);
+
+module.exports = router;
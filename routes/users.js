@@ -11,6 +11,20 @@ const Comments = require('../db/collections/Comments');
 const Hands = require('../db/collections/Hands');
 const s3Helper = require('../utils/s3');
 const FileUploads = require('../db/collections/FileUploads');
+const StatsRollups = require('../db/collections/StatsRollups');
+const Opponents = require('../db/collections/Opponents');
+const validator = require('../utils/validator');
+const userSchemas = require('../schemas/users');
+const { isValidTimeZone, getUserTimeZone, getPlayedRange } = require('../utils/timezones');
+const {
+  getWinRateStats, getBreakEvenProbability, getPeriodProbability, simulateDownswings,
+} = require('../utils/variance');
+
+// Bounds of the downswing simulation, see userSchemas.varianceGET
+const MAX_SIMULATED_HANDS = 100000;
+const MAX_SIMULATION_TRIALS = 500;
+// Win rate and standard deviation come from the most recent hands only
+const MAX_VARIANCE_HANDS = 200000;
 
 router.get('/v1/my-profile',
   async (req, res) => {
@@ -46,6 +60,8 @@ router.get('/v1/users/:userId',
 router.put('/v1/my-preferences',
   async (req, res) => {
     const { key, value } = req.body;
+    // Played dates and heatmaps are read in this IANA time zone (utils/timezones)
+    if (key === 'timeZone' && !isValidTimeZone(value)) return res.status(400).json({ message: `Unknown time zone ${value}` });
     const user = Account.user();
     const { preferences } = user || {};
     const newPreferences = { ...preferences, [key]: value };
@@ -151,14 +167,9 @@ router.get('/v1/my-stats',
     const ownerId = Account.userId();
 
     try {
-      // Get hands uploaded count
-      const handsUploaded = await Hands.countByQuery({ ownerId });
-
-      // Get hands analyzed count
-      const handsAnalyzed = await Hands.countByQuery({
-        ownerId,
-        analysis: { $exists: true }
-      });
+      // Hands uploaded and analyzed counts, with lifetime results, from the user rollup
+      const results = await StatsRollups.getUserStats(ownerId);
+      const { totalHands: handsUploaded, handsAnalyzed } = results;
 
       const fileUploads = await FileUploads.countByQuery({ ownerId });
 
@@ -185,7 +196,8 @@ router.get('/v1/my-stats',
             comments,
             posts,
             upvotes,
-          }
+          },
+          results,
         }
       });
     } catch (error) {
@@ -197,4 +209,93 @@ router.get('/v1/my-stats',
     }
   });
 
+// Win rate, standard deviation and 95% confidence interval from hero's results, with simulated downswings over `hands`
+// `from` / `to` (played time) compare a period to the long term win rate: leak or variance?
+router.get('/v1/my-stats/variance',
+  validator(userSchemas.varianceGET, 'query'),
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const hands = Math.min(Math.max(+req.query.hands || 10000, 100), MAX_SIMULATED_HANDS);
+    const trials = Math.min(Math.max(+req.query.trials || 500, 1), MAX_SIMULATION_TRIALS);
+    // Timestamps or 'YYYY-MM-DD' days of the user's time zone
+    const [ from = 0, to = Infinity ] = getPlayedRange([ req.query.from, req.query.to ], getUserTimeZone());
+    const { gameType = 'cash' } = req.query;
+    let gameTypeFilter = { $exists: true };
+    if (gameType === 'cash') gameTypeFilter = 'cashgame';
+    if (gameType === 'mtt') gameTypeFilter = 'tournament';
+
+    try {
+      const results = await Hands.aggregate([
+        { $match: { ownerId, 'header.gametype': gameTypeFilter } },
+        { $sort: { 'header.timestamp': -1 } },
+        { $limit: MAX_VARIANCE_HANDS },
+        {
+          $project: {
+            _id: 0,
+            timestamp: '$header.timestamp',
+            winLossBB: {
+              $let: {
+                vars: {
+                  hero: {
+                    $arrayElemAt: [ {
+                      $filter: {
+                        input: '$playerChips',
+                        as: 'player',
+                        cond: { $eq: [ '$$player.hero', true ] }
+                      },
+                    }, 0 ],
+                  },
+                },
+                in: '$$hero.winLossBB',
+              },
+            },
+          }
+        }
+      ], { allowDiskUse: true });
+      const winLossOf = (hand) => hand.winLossBB || 0;
+
+      const overall = getWinRateStats(results.map(winLossOf));
+      if (overall.hands < 2) {
+        return res.status(400).json({ message: 'At least 2 hands are needed to compute variance' });
+      }
+      const period = req.query.from || req.query.to
+        ? getWinRateStats(results.filter((hand) => hand.timestamp >= from && hand.timestamp <= to).map(winLossOf))
+        : undefined;
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          ...overall,
+          breakEvenProbability: +getBreakEvenProbability(overall.winRate, overall.stdDev, hands).toFixed(4),
+          simulation: simulateDownswings({
+            winRate: overall.winRate, stdDev: overall.stdDev, hands, trials,
+          }),
+          ...(period ? {
+            period: {
+              ...period,
+              // Chance of running this bad or worse at the long term win rate
+              probability: period.hands ? +getPeriodProbability(period, overall).toFixed(4) : null,
+            },
+          } : {}),
+        },
+      });
+    } catch (error) {
+      console.error('Error getting variance stats:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to compute variance stats'
+      });
+    }
+  });
+
+// Recompute the session and user statistics rollups and the villain profiles from every hand of the user
+router.post('/v1/my-stats/rebuild',
+  async (req, res) => {
+    const ownerId = Account.userId();
+    const rollups = await StatsRollups.rebuild(ownerId);
+    const opponents = await Opponents.rebuild(ownerId);
+    const results = await StatsRollups.getUserStats(ownerId);
+    return res.status(200).json({ status: 'success', data: { rollups, opponents, results } });
+  });
+
 module.exports = router;
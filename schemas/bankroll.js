@@ -0,0 +1,29 @@
+const joi = require('joi');
+
+const bankrollSchemas = {
+  // Manual ledger entry, deposit and withdrawal amounts are positive and signed by the type,
+  // adjustments are signed by the user
+  transactionPOST: joi.object().keys({
+    type: joi.string().valid('deposit', 'withdrawal', 'adjustment').required(),
+    amount: joi.number().required().when('type', { is: joi.valid('deposit', 'withdrawal'), then: joi.number().positive() }),
+    currency: joi.string().max(5).required(),
+    occurredAt: joi.number().integer().min(0),
+    note: joi.string().allow('').max(500),
+  }),
+  settingsPUT: joi.object().keys({
+    currency: joi.string().max(5),
+    rates: joi.array().items(joi.object().keys({
+      currency: joi.string().max(5).required(),
+      rate: joi.number().greater(0).required(),
+    })).unique('currency'),
+    rules: joi.object().keys({
+      gameType: joi.string().valid('cash', 'mtt'),
+      stakes: joi.array().items(joi.number().greater(0)),
+      currentStake: joi.number().greater(0).allow(null),
+      moveUpBuyIns: joi.number().min(0),
+      moveDownBuyIns: joi.number().min(0),
+    }),
+  }).min(1),
+};
+
+module.exports = bankrollSchemas;
@@ -28,7 +28,7 @@ const handSchema = joi
         min: Types.IntMinMax(0, 59), // 57,
         sec: Types.IntMinMax(0, 59), // 57,
         timezone: Types.String, // 'ET',
-        // Moment timestamp
+        // Played instant in ms, the header date read in `timezone`
         timestamp: Types.IntPositive,
         players: Types.IntMinMax(2, 10), // 6,
         anyInvested: Types.Boolean, // true,
@@ -71,6 +71,41 @@ const handSchema = joi
         heroSeatIndex: Types.IntZero,
         heroWinning: Types.IntZero,
         heroWinningBB: Types.IntZero,
+        allInEVBB: Types.IntZero, // All-in adjusted winnings, only for hands all-in before the river
+        // Preflop line
+        heroPreflopLine: Types.String,
+        openSizeBB: Types.IntZero,
+        openerPos: Types.Position,
+        threeBettorPos: Types.Position,
+        pfaPos: Types.Position,
+        pfCallersPos: joi.array().items(Types.Position),
+        heroFaced3Bet: Types.Boolean,
+        heroVs3Bet: Types.String, // 'fold', 'call', '4bet'
+        // Postflop flags
+        flopCBetOpp: Types.Boolean,
+        flopCBet: Types.Boolean,
+        facedFlopCBet: Types.Boolean,
+        foldToFlopCBet: Types.Boolean,
+        flopCheckRaise: Types.Boolean,
+        flopDonk: Types.Boolean,
+        turnCBetOpp: Types.Boolean,
+        turnCBet: Types.Boolean,
+        facedTurnCBet: Types.Boolean,
+        foldToTurnCBet: Types.Boolean,
+        turnCheckRaise: Types.Boolean,
+        turnDonk: Types.Boolean,
+        riverCBetOpp: Types.Boolean,
+        riverCBet: Types.Boolean,
+        facedRiverCBet: Types.Boolean,
+        foldToRiverCBet: Types.Boolean,
+        riverCheckRaise: Types.Boolean,
+        riverDonk: Types.Boolean,
+        turnProbe: Types.Boolean,
+        riverProbe: Types.Boolean,
+        delayedCBetOpp: Types.Boolean,
+        delayedCBet: Types.Boolean,
+        facedRiverBet: Types.Boolean,
+        wtsdAfterRiverBet: Types.Boolean,
       }).required(true),
 
       // Players' Chips summary before and after hand
@@ -141,6 +176,8 @@ const handSchema = joi
           card1: Types.Card,
           card2: Types.Card,
         }),
+        // 2 cards hold'em, 4 / 5 cards Omaha
+        holeCards: joi.array().items(Types.Card).min(2).max(5),
         pos: Types.Position,
         heroPreflopSummary: Types.StringEmpty,
       }),
@@ -171,7 +208,8 @@ const handSchema = joi
           cards: joi.object({
             card1: Types.Card,
             card2: Types.Card
-          })
+          }),
+          holeCards: joi.array().items(Types.Card).min(2).max(5),
         })
       ),
 
@@ -0,0 +1,25 @@
+const joi = require('joi');
+const Types = require('./types');
+
+const savedFiltersSchemas = {
+  savedFilterPOST: joi.object().keys({
+    name: joi.string().max(100).required(),
+    description: joi.string().allow('').max(500),
+    criteria: joi.object(),
+    presets: joi.object(),
+    query: joi.string().allow('').max(2000),
+  }),
+  savedFilterPATCH: joi.object().keys({
+    name: joi.string().max(100),
+    description: joi.string().allow('').max(500),
+    criteria: joi.object(),
+    presets: joi.object(),
+    query: joi.string().allow('').max(2000),
+  }).min(1),
+  savedFilterPermissionPATCH: joi.object().keys({
+    recipientIds: joi.array().has(Types.String).min(1).required(),
+    access: Types.Access.required(),
+  }),
+};
+
+module.exports = savedFiltersSchemas;
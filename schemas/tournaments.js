@@ -0,0 +1,15 @@
+const joi = require('joi');
+
+const tournamentSchemas = {
+  // Manual corrections of results the files did not include
+  tournamentPATCH: joi.object().keys({
+    buyIn: joi.number().min(0),
+    fee: joi.number().min(0),
+    players: joi.number().integer().min(1),
+    prizePool: joi.number().min(0),
+    finishPosition: joi.number().integer().min(1),
+    prize: joi.number().min(0),
+  }).min(1),
+};
+
+module.exports = tournamentSchemas;
@@ -0,0 +1,17 @@
+const joi = require('joi');
+
+// Played time bound: timestamp or 'YYYY-MM-DD' day of the user's time zone
+const playedAt = joi.alternatives().try(joi.number().integer().min(0), joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/));
+
+const userSchemas = {
+  // Downswing simulation bounds keep the synchronous simulation under a few hundred thousand samples
+  varianceGET: joi.object().keys({
+    hands: joi.number().integer().min(100).max(100000),
+    trials: joi.number().integer().min(1).max(500),
+    from: playedAt,
+    to: playedAt,
+    gameType: joi.string().valid('cash', 'mtt', 'all'),
+  }),
+};
+
+module.exports = userSchemas;
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill hand keys
+ * Hands imported before uploads were deduplicated have no handKey, so uploading their file again
+ * imports every hand a second time. This script:
+ * 1. Sets handKey (room:handid) on every hand that has none
+ * 2. Leaves the later copies of a hand the owner imported more than once without a key and reports them,
+ *    --remove-duplicates deletes them
+ *
+ * Usage: node scripts/backfill-hand-keys.js [--dry-run] [--remove-duplicates]
+ */
+
+require('dotenv').config();
+require('../global');
+
+const Hands = require('../db/collections/Hands');
+
+const BATCH_SIZE = 1000;
+
+async function backfillHandKeys(dryRun, removeDuplicates) {
+  const collection = await Hands.collection.raw();
+  // Keyed hands of an owner come first so they keep their key, then the oldest copy of each hand
+  const cursor = collection.find(
+    { 'header.room': { $exists: true }, 'header.handid': { $exists: true } },
+    { projection: { ownerId: 1, handKey: 1, 'header.room': 1, 'header.handid': 1 } }
+  ).sort({ ownerId: 1, handKey: -1, _id: 1 }).allowDiskUse(true);
+  let scanned = 0;
+  let updated = 0;
+  let duplicates = 0;
+  let ownerId = null;
+  let seen = new Set();
+  let batch = [];
+  const flush = async () => {
+    if (batch.length && !dryRun) await collection.bulkWrite(batch, { ordered: false });
+    batch = [];
+  };
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const hand of cursor) {
+    scanned++;
+    if (hand.ownerId !== ownerId) {
+      ownerId = hand.ownerId;
+      seen = new Set();
+    }
+    const handKey = hand.handKey || Hands.getHandKey(hand);
+    if (!hand.handKey && handKey) {
+      if (seen.has(handKey)) {
+        duplicates++;
+        if (removeDuplicates) batch.push({ deleteOne: { filter: { _id: hand._id } } });
+      } else {
+        updated++;
+        batch.push({ updateOne: { filter: { _id: hand._id, handKey: { $exists: false } }, update: { $set: { handKey } } } });
+      }
+    }
+    if (handKey) seen.add(handKey);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return { scanned, updated, duplicates };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const removeDuplicates = process.argv.includes('--remove-duplicates');
+  try {
+    const { scanned, updated, duplicates } = await backfillHandKeys(dryRun, removeDuplicates);
+    console.log(`Hands: ${updated} of ${scanned} hand keys ${dryRun ? 'to set' : 'set'}`);
+    const duplicatesOutcome = dryRun ? 'to remove' : 'removed';
+    console.log(`Duplicates: ${duplicates} ${removeDuplicates ? duplicatesOutcome : 'left without a key'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Backfilling hand keys failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Compute board classes
+ * Hands imported before board classes were computed at ingestion have no info.flopClass,
+ * info.turnClasses or info.riverClasses. This script computes them from header.board.
+ *
+ * Usage: node scripts/compute-board-classes.js [--dry-run]
+ */
+
+require('dotenv').config();
+require('../global');
+
+const Hands = require('../db/collections/Hands');
+const { getRunoutClasses } = require('../utils/hand-parser');
+const { getFlopClass } = require('../utils/board-canonical');
+
+const BATCH_SIZE = 1000;
+
+async function computeBoardClasses(dryRun) {
+  const collection = await Hands.collection.raw();
+  const cursor = collection.find(
+    {
+      $or: [ { 'info.flopClass': { $exists: false } }, { 'info.turnClasses': { $exists: false } } ],
+      'header.board': { $exists: true },
+    },
+    { projection: { 'header.board': 1 } }
+  );
+  let scanned = 0;
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length && !dryRun) await collection.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const hand of cursor) {
+    scanned++;
+    const { board } = hand.header;
+    batch.push({
+      updateOne: {
+        filter: { _id: hand._id },
+        update: {
+          $set: {
+            'info.flopClass': getFlopClass(board),
+            'info.turnClasses': getRunoutClasses(board, 3),
+            'info.riverClasses': getRunoutClasses(board, 4),
+          },
+        },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return { scanned, updated };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const { scanned, updated } = await computeBoardClasses(dryRun);
+    console.log(`Hands: ${updated} of ${scanned} board classes ${dryRun ? 'to compute' : 'computed'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Computing board classes failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Export vector snapshot
+ * Writes the solver node points of the Qdrant collections to a JSON lines snapshot, the file the
+ * local vector store searches (VECTOR_STORE=local VECTOR_STORE_SNAPSHOT=<file>, see utils/vector-stores).
+ *
+ * Usage: node scripts/export-vector-snapshot.js <file> [--limit=N]
+ *   --limit: points per collection, e.g. a small snapshot for a laptop
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { createQdrantStore } = require('../utils/vector-stores/qdrant');
+
+const PAGE_SIZE = 1000;
+
+const COLLECTIONS = [
+  process.env.QDRANT_FLOP_COLLECTION || 'flop_nodes',
+  process.env.QDRANT_TURN_COLLECTION || 'turn_nodes',
+  process.env.QDRANT_RIVER_COLLECTION || 'river_nodes',
+];
+
+async function exportCollection(client, collection, output, limit) {
+  let exported = 0;
+  let offset;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const { points, next_page_offset: nextOffset } = await client.scroll(collection, {
+      limit: Math.min(PAGE_SIZE, limit - exported),
+      offset,
+      with_payload: true,
+      with_vector: true,
+    });
+    const lines = points.map(({ id, vector, payload }) => `${JSON.stringify({
+      collection, id, vector, payload,
+    })}\n`);
+    if (!output.write(lines.join(''))) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise(resolve => output.once('drain', resolve));
+    }
+    exported += points.length;
+    offset = nextOffset;
+  } while (offset !== null && offset !== undefined && exported < limit);
+  return exported;
+}
+
+async function main() {
+  const [ file ] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+  const limit = limitArg ? +limitArg.split('=')[1] : Infinity;
+  if (!file || !(limit > 0)) {
+    console.error('Usage: node scripts/export-vector-snapshot.js <file> [--limit=N]');
+    process.exit(1);
+  }
+
+  const { client } = createQdrantStore({
+    host: process.env.QDRANT_HOST || 'localhost',
+    port: parseInt(process.env.QDRANT_PORT) || 6333,
+  });
+  const output = fs.createWriteStream(file);
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const collection of COLLECTIONS) {
+      // eslint-disable-next-line no-await-in-loop
+      const exported = await exportCollection(client, collection, output, limit);
+      console.log(`${collection}: ${exported} points exported`);
+    }
+    await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())));
+    process.exit(0);
+  } catch (error) {
+    console.error('Exporting vector snapshot failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
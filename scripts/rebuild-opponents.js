@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild opponent profiles
+ * Villain profiles are only counted for hands imported since they existed, so deleting older hands
+ * (or a session holding them) takes counters off profiles that never had them. This script rebuilds
+ * the profiles of every owner (or one, --owner=<id>) from all of their hands, see Opponents.rebuild.
+ *
+ * Usage: node scripts/rebuild-opponents.js [--owner=<id>]
+ */
+
+require('dotenv').config();
+require('../global');
+
+const Hands = require('../db/collections/Hands');
+const Opponents = require('../db/collections/Opponents');
+
+async function main() {
+  const ownerArg = process.argv.find(arg => arg.startsWith('--owner='));
+  try {
+    const ownerIds = ownerArg
+      ? [ ownerArg.split('=')[1] ]
+      : await (await Hands.collection.raw()).distinct('ownerId');
+    // eslint-disable-next-line no-restricted-syntax
+    for (const ownerId of ownerIds) {
+      // eslint-disable-next-line no-await-in-loop
+      const profiles = await Opponents.rebuild(ownerId);
+      console.log(`${ownerId}: ${profiles} opponent profiles rebuilt`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Rebuilding opponent profiles failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
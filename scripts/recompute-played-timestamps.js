@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Recompute played timestamps
+ *
+ * Hands imported before header.timestamp honored the hand's time zone stored the room's wall
+ * clock time as if it was the server's. This script:
+ * 1. Recomputes header.timestamp of every hand from its header date and timezone
+ * 2. Updates sessionStart / sessionEnd of the sessions from their hands
+ *
+ * Usage: node scripts/recompute-played-timestamps.js [--dry-run]
+ */
+
+require('dotenv').config();
+require('../global');
+
+const Hands = require('../db/collections/Hands');
+const FileUploads = require('../db/collections/FileUploads');
+const { zonedTimeToTimestamp } = require('../utils/timezones');
+
+const BATCH_SIZE = 1000;
+
+async function recomputeHands(dryRun) {
+  const collection = await Hands.collection.raw();
+  const cursor = collection.find(
+    { 'header.year': { $exists: true } },
+    { projection: { 'header.year': 1, 'header.month': 1, 'header.day': 1, 'header.hour': 1, 'header.min': 1, 'header.sec': 1, 'header.timezone': 1, 'header.timestamp': 1 } }
+  );
+  let scanned = 0;
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length && !dryRun) await collection.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const hand of cursor) {
+    scanned++;
+    const timestamp = zonedTimeToTimestamp(hand.header, hand.header.timezone);
+    if (timestamp !== hand.header.timestamp) {
+      batch.push({ updateOne: { filter: { _id: hand._id }, update: { $set: { 'header.timestamp': timestamp } } } });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+  return { scanned, updated };
+}
+
+async function recomputeSessions(dryRun) {
+  const sessions = await Hands.aggregate([
+    { $match: { sourceFile: { $exists: true }, 'header.timestamp': { $gt: 0 } } },
+    { $group: { _id: '$sourceFile', sessionStart: { $min: '$header.timestamp' }, sessionEnd: { $max: '$header.timestamp' } } },
+  ], { allowDiskUse: true });
+  if (!dryRun) {
+    for (const { _id, sessionStart, sessionEnd } of sessions) {
+      await FileUploads.updateById(_id, { sessionStart, sessionEnd });
+    }
+  }
+  return sessions.length;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const { scanned, updated } = await recomputeHands(dryRun);
+    console.log(`Hands: ${updated} of ${scanned} timestamps ${dryRun ? 'to update' : 'updated'}`);
+    const sessions = await recomputeSessions(dryRun);
+    console.log(`Sessions: ${sessions} ${dryRun ? 'to update' : 'updated'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Recomputing played timestamps failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -57,6 +57,11 @@ const app = express();
     res.status(500).send({ error: 'Server error', message: err.message });
   });
   
+  // Parse uploaded hand histories in-process
+  if (process.env.HAND_INGESTION_WORKER !== 'false') {
+    require('./services/handIngestionService').startIngestionWorker();
+  }
+
   // Set port and start server
   const PORT = process.env.PORT || 9000;
 
@@ -4,6 +4,7 @@
  */
 const cardUtils = require('../utils/cardUtils');
 const rangeUtils = require('../utils/rangeUtils');
+const { parseRange, serializeRange, getHandComboCounts } = require('../utils/ranges');
 const solvesCollection = require('../db/collections/Solves');
 
 /**
@@ -174,24 +175,9 @@ async function getRangeData(node, position) {
     // Get the range for the specified position
     const rangeString = node.rangeStats[position];
     
-    // Parse the range into hand frequencies
-    const rangeObj = rangeUtils.parseRangeString(rangeString);
-    
-    // Convert specific combos to standardized notation and consolidate frequencies
-    const standardizedRangeData = {};
-    
-    // Process each combo to standardize notation
-    Object.entries(rangeObj.combos).forEach(([combo, frequency]) => {
-      // Use cardUtils to get logical hand representation (e.g., "AhKd" -> "AKo")
-      const standardHand = cardUtils.getLogicalHandRepresentation(combo);
-      
-      // Add frequency to standardized hand
-      if (!standardizedRangeData[standardHand]) {
-        standardizedRangeData[standardHand] = frequency;
-      } else {
-        standardizedRangeData[standardHand] += frequency;
-      }
-    });
+    // Parse the range and consolidate combo frequencies by logical hand (e.g., "AhKd" -> "AKo")
+    const range = parseRange(rangeString);
+    const standardizedRangeData = getHandComboCounts(range);
     
     // Get the board cards
     const board = node.board;
@@ -212,6 +198,7 @@ async function getRangeData(node, position) {
     
     return {
       rangeData: standardizedRangeData,
+      notation: serializeRange(range),
       compositionData
     };
   } catch (error) {
@@ -0,0 +1,81 @@
+/**
+ * Bankroll Service - Keeps the bankroll ledger in sync with imported sessions and tournaments
+ * and notifies the user when their stake rules say to move up or down
+ */
+
+const moment = require('moment');
+const BankrollTransactions = require('../db/collections/BankrollTransactions');
+const BankrollSettings = require('../db/collections/BankrollSettings');
+const Notifications = require('../db/collections/Notifications');
+const { getBalanceHistory, getStakeStatus } = require('../utils/bankroll');
+
+const ALERT_MESSAGES = {
+  moveUp: (status) => `Your bankroll covers the move up rule for ${status.nextStake} (${status.nextStakeBuyIns} buy-ins)`,
+  moveDown: (status) => `Your bankroll is down to ${status.buyIns} buy-ins for ${status.currentStake}, consider moving down`,
+};
+
+/**
+ * Balance, history and stake status of an owner
+ * @param {string} ownerId - Owner id
+ * @param {Object} [query] - Extra transactions filters (e.g. { occurredAt: { $gte } })
+ * @returns {Promise<Object>} - { settings, balance, history, missingRates, status }
+ */
+async function getBankroll(ownerId, query = {}) {
+  const settings = await BankrollSettings.getSettings(ownerId);
+  const transactions = await BankrollTransactions.findByQuery({ ownerId, ...query }, { sort: { occurredAt: 1 } });
+  const { balance, history, missingRates } = getBalanceHistory(transactions, settings);
+  return {
+    settings,
+    balance,
+    history,
+    missingRates,
+    status: getStakeStatus(balance, settings.rules),
+  };
+}
+
+/**
+ * Notifies the owner when the stake alert changes
+ * @param {string} ownerId - Owner id
+ * @returns {Promise<string|null>} - Current alert, moveUp / moveDown / null
+ */
+async function checkStakeAlert(ownerId) {
+  const { settings, status } = await getBankroll(ownerId);
+  const alert = status.alert || '';
+  if (alert === (settings.lastAlert || '')) return status.alert;
+  if (alert) {
+    await Notifications.insert({
+      ownerId,
+      type: 'bankroll',
+      entityType: 'bankroll',
+      title: alert === 'moveUp' ? 'Time to move up' : 'Time to move down',
+      content: ALERT_MESSAGES[alert](status),
+      url: '/bankroll',
+      isRead: false,
+      createdAt: moment().valueOf(),
+    });
+  }
+  await BankrollSettings.saveSettings(ownerId, { lastAlert: alert });
+  return status.alert;
+}
+
+/**
+ * Writes the ledger transactions of a session and its tournaments, then checks the stake rules
+ * @param {string} ownerId - Owner id
+ * @param {Object} params - { sourceFile: FileUploads id, tournamentIds: Tournaments ids,
+ *   removedTournamentIds: ids of deleted Tournaments }
+ * @returns {Promise<string|null>} - Current stake alert
+ */
+async function syncBankroll(ownerId, { sourceFile, tournamentIds = [], removedTournamentIds = [] }) {
+  if (sourceFile) await BankrollTransactions.recordSession(ownerId, sourceFile);
+  if (removedTournamentIds.length) {
+    await BankrollTransactions.deleteByQuery({ ownerId, source: 'tournament', tournamentId: { $in: removedTournamentIds } });
+  }
+  await BankrollTransactions.recordTournaments(ownerId, tournamentIds);
+  return checkStakeAlert(ownerId);
+}
+
+module.exports = {
+  getBankroll,
+  checkStakeAlert,
+  syncBankroll,
+};
@@ -0,0 +1,259 @@
+/**
+ * Hand Ingestion Service - In-process replacement for the hand parser lambda
+ * Picks up sessions in `processing`, parses the uploaded file and stores its hands
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const s3 = require('../utils/s3');
+const FileUploads = require('../db/collections/FileUploads');
+const Hands = require('../db/collections/Hands');
+const Tournaments = require('../db/collections/Tournaments');
+const Opponents = require('../db/collections/Opponents');
+const StatsRollups = require('../db/collections/StatsRollups');
+const { syncBankroll } = require('./bankrollService');
+const { processHandHistoryAsync } = require('../utils/hand-parser');
+const { isTournamentSummary, parseTournamentSummary } = require('../utils/tournament-summary');
+
+const DEFAULT_POLL_INTERVAL = 10 * 1000;
+// A session locked for longer than this is considered abandoned by a crashed worker
+const LOCK_TIMEOUT = 10 * 60 * 1000;
+
+let workerTimer = null;
+let isPolling = false;
+
+/**
+ * Reads the uploaded hand history file of a session
+ * - Uses HAND_STORAGE_DIR (local disk stand-in) when set, HAND_BUCKET on S3 otherwise
+ * @param {Object} session - FileUploads document
+ * @returns {Promise<string>} - Raw file content
+ */
+async function readSessionFile(session) {
+  const key = `${session._id}`;
+  if (process.env.HAND_STORAGE_DIR) {
+    return fs.promises.readFile(path.join(process.env.HAND_STORAGE_DIR, key), 'utf8');
+  }
+  const file = await s3.getObject(process.env.HAND_BUCKET, key);
+  return file.Body.toString('utf8');
+}
+
+/**
+ * Converts parsed hands into Hands documents for a session
+ * @param {Object} session - FileUploads document
+ * @param {Array} hands - Output of processHandHistoryAsync
+ * @returns {Array} - Documents ready for insertMany
+ */
+function buildHandDocuments(session, hands) {
+  return hands.map((hand, index) => ({
+    ...hand,
+    ownerId: session.ownerId,
+    sourceFile: session._id,
+    privacy: 'private',
+    indexInCollection: index,
+    notes: [],
+  }));
+}
+
+/**
+ * Session level summary stored on the FileUploads document
+ * @param {Array} hands - Hands documents of the session
+ * @returns {Object} - { noHands, sessionStart, sessionEnd, heroWinLoss, room }
+ */
+function summarizeSession(hands) {
+  const timestamps = hands.map((h) => h.header.timestamp).filter(Boolean);
+  const heroWinLoss = hands.reduce((acc, hand) => {
+    const heroChip = hand.playerChips.find((pc) => pc.hero);
+    return acc + (heroChip?.winLossBB || 0);
+  }, 0);
+  return {
+    noHands: hands.length,
+    sessionStart: timestamps.length ? Math.min(...timestamps) : undefined,
+    sessionEnd: timestamps.length ? Math.max(...timestamps) : undefined,
+    heroWinLoss: heroWinLoss.toFixed(2),
+    room: [ ...new Set(hands.map((h) => h.header.room).filter(Boolean)) ],
+  };
+}
+
+/**
+ * Claims a session for ingestion so concurrent workers do not process it twice
+ * @param {number} id - Session id
+ * @returns {Promise<Object|undefined>} - The claimed session, undefined if already taken
+ */
+async function claimSession(id) {
+  const now = moment().valueOf();
+  return FileUploads.findOneAndUpdate(
+    {
+      _id: id,
+      status: 'processing',
+      $or: [
+        { 'meta.ingestion.lockedAt': { $exists: false } },
+        { 'meta.ingestion.lockedAt': { $lt: now - LOCK_TIMEOUT } },
+      ],
+    },
+    { $set: { 'meta.ingestion.lockedAt': now } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Stores the results of a tournament summary file, the session holds no hands
+ * @param {Object} session - FileUploads document
+ * @param {string} text - Raw file content
+ * @returns {Promise<Object>} - Ingestion result
+ */
+async function ingestTournamentSummary(session, text) {
+  const summary = parseTournamentSummary(text);
+  const tournamentId = await Tournaments.upsertTournament(session.ownerId, summary, session._id);
+  await syncBankroll(session.ownerId, { tournamentIds: [ tournamentId ] });
+  const result = {
+    noHands: 0,
+    gameType: 'tournament',
+    room: [ summary.room ],
+    sessionStart: summary.startedAt,
+    sessionEnd: summary.finishedAt,
+    status: 'processed',
+    'meta.tournamentIds': [ tournamentId ],
+    'meta.ingestion': { processedAt: moment().valueOf(), tournamentSummary: true },
+  };
+  await FileUploads.updateById(session._id, result);
+  console.log(`Ingested tournament summary ${summary.tournamentId} from session ${session._id}`);
+  return result;
+}
+
+/**
+ * Removes what a failed ingestion left of a session: its hands, tournaments and ledger entries
+ * - Opponent profiles and rollups are rebuilt since counters of the session can be partly recorded
+ * @param {Object} session - FileUploads document
+ * @returns {Promise<void>}
+ */
+async function rollbackSession(session) {
+  const { ownerId, _id: sourceFile } = session;
+  await Hands.deleteByQuery({ ownerId, sourceFile });
+  const { updated, removed } = await Tournaments.forgetSourceFile(ownerId, sourceFile);
+  await Opponents.rebuild(ownerId);
+  await StatsRollups.rebuild(ownerId);
+  await syncBankroll(ownerId, { sourceFile, tournamentIds: updated, removedTournamentIds: removed });
+}
+
+/**
+ * Parses and stores the hands of one session, then marks it processed or failed
+ * - A failure once the previous hands of the session are replaced rolls the session back
+ * @param {number} id - Session id
+ * @returns {Promise<Object|null>} - Ingestion result, null if the session was not claimable
+ */
+async function ingestSession(id) {
+  const session = await claimSession(id);
+  if (!session) return null;
+
+  let storingHands = false;
+  try {
+    const text = await readSessionFile(session);
+    if (isTournamentSummary(text)) return await ingestTournamentSummary(session, text);
+
+    const {
+      hands, errors, count, format,
+    } = await processHandHistoryAsync(text);
+    if (!hands.length) {
+      throw new Error(count ? 'None of the hands in this file could be parsed' : 'No hands found in this file');
+    }
+
+    const docs = buildHandDocuments(session, hands);
+    // Re-ingesting a session replaces its previous hands
+    storingHands = true;
+    await Opponents.forgetHandsByQuery(session.ownerId, { sourceFile: session._id });
+    await StatsRollups.forgetHandsByQuery(session.ownerId, { sourceFile: session._id });
+    await Hands.deleteByQuery({ ownerId: session.ownerId, sourceFile: session._id });
+    const { inserted, duplicates } = await Hands.insertManyWithoutDuplicates(session.ownerId, docs);
+    if (!inserted.length) throw new Error('All hands in this file are already in your library');
+    const tournamentIds = await Tournaments.recordHands(session.ownerId, inserted, session._id);
+    await Opponents.recordHands(session.ownerId, inserted);
+    await StatsRollups.recordHands(session.ownerId, inserted);
+    await syncBankroll(session.ownerId, { sourceFile: session._id, tournamentIds });
+
+    const result = {
+      ...summarizeSession(inserted),
+      noDuplicateHands: duplicates,
+      status: 'processed',
+      'meta.parseErrors': errors,
+      ...(tournamentIds.length ? { gameType: 'tournament', 'meta.tournamentIds': tournamentIds } : {}),
+      'meta.ingestion': {
+        processedAt: moment().valueOf(),
+        format,
+        handsFound: count,
+        handsImported: inserted.length,
+        handsSkipped: errors.length,
+        handsDuplicate: duplicates,
+      },
+    };
+    await FileUploads.updateById(session._id, result);
+    console.log(`Ingested session ${session._id}: ${inserted.length}/${count} hands, ${duplicates} duplicates`);
+    return result;
+  } catch (error) {
+    console.error(`Failed to ingest session ${session._id}:`, error);
+    if (storingHands) {
+      try {
+        await rollbackSession(session);
+      } catch (rollbackError) {
+        console.error(`Failed to roll back session ${session._id}:`, rollbackError);
+      }
+    }
+    await FileUploads.updateById(session._id, {
+      status: 'failed',
+      'meta.ingestion': { failedAt: moment().valueOf(), error: error.message },
+    });
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Ingests every session currently waiting in `processing`
+ * @returns {Promise<number>} - Number of sessions handled
+ */
+async function pollSessions() {
+  if (isPolling) return 0;
+  isPolling = true;
+  try {
+    const sessions = await FileUploads.findByQuery(
+      { status: 'processing' },
+      { projection: { _id: 1 }, sort: { createdAt: 1 } }
+    );
+    let handled = 0;
+    for (let i = 0; i < sessions.length; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      if (await ingestSession(sessions[i]._id)) handled++;
+    }
+    return handled;
+  } catch (error) {
+    console.error('Hand ingestion poll failed:', error);
+    return 0;
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Starts polling for sessions to ingest
+ * @param {number} intervalMs - Poll interval, defaults to HAND_INGESTION_INTERVAL or 10s
+ */
+function startIngestionWorker(intervalMs = +process.env.HAND_INGESTION_INTERVAL || DEFAULT_POLL_INTERVAL) {
+  if (workerTimer) return;
+  workerTimer = setInterval(pollSessions, intervalMs);
+  pollSessions();
+  console.log(`Hand ingestion worker polling every ${intervalMs}ms`);
+}
+
+function stopIngestionWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  readSessionFile,
+  buildHandDocuments,
+  summarizeSession,
+  ingestSession,
+  pollSessions,
+  startIngestionWorker,
+  stopIngestionWorker,
+};
@@ -0,0 +1,30 @@
+const { getBalanceHistory, getBuyIns, getStakeStatus } = require('../bankroll');
+
+describe('bankroll', () => {
+    const settings = { currency: '$', rates: [ { currency: '€', rate: 1.1 } ] };
+
+    test('should convert transactions into a running balance', () => {
+        const { balance, history, missingRates } = getBalanceHistory([
+            { _id: 2, type: 'cash', occurredAt: 2, currency: '€', amount: -10 },
+            { _id: 1, type: 'deposit', occurredAt: 1, currency: '$', amount: 500 },
+            { _id: 3, type: 'tournament', occurredAt: 3, currency: '£', amount: 40 },
+        ], settings);
+        expect(history.map(t => t.balance)).toEqual([ 500, 489, 489 ]);
+        expect(history[2].converted).toBeNull();
+        expect(missingRates).toEqual([ '£' ]);
+        expect(balance).toBe(489);
+    });
+
+    test('should count buy-ins and apply the move up / move down rules', () => {
+        expect(getBuyIns(500, 0.25, 'cash')).toBe(20);
+        expect(getBuyIns(500, 5.5, 'mtt')).toBe(90.91);
+        const rules = {
+            gameType: 'cash', stakes: [ 0.1, 0.25, 0.5 ], currentStake: 0.25, moveUpBuyIns: 40, moveDownBuyIns: 20,
+        };
+        expect(getStakeStatus(2000, rules)).toEqual(expect.objectContaining({
+            buyIns: 80, nextStake: 0.5, nextStakeBuyIns: 40, recommendedStake: 0.5, alert: 'moveUp',
+        }));
+        expect(getStakeStatus(400, rules)).toEqual(expect.objectContaining({ buyIns: 16, recommendedStake: 0.1, alert: 'moveDown' }));
+        expect(getStakeStatus(700, rules).alert).toBeNull();
+    });
+});
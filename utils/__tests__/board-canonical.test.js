@@ -0,0 +1,36 @@
+const {
+    FLOP_CLASS_COUNT, canonicalizeBoard, getFlopClass, mapCardsBetweenBoards, getFlopClasses,
+} = require('../board-canonical');
+
+describe('board-canonical', () => {
+    test('should give suit-equivalent flops the same class', () => {
+        expect(getFlopClass('KhQh2c')).toBe('KsQs2h');
+        expect(getFlopClass([ '2s', 'Kd', 'Qd' ])).toBe('KsQs2h');
+        expect(getFlopClass('7c7d7h')).toBe('7s7h7d');
+        expect(getFlopClass('KhQh')).toBeNull();
+        expect(getFlopClass('KhKhQd')).toBeNull();
+    });
+
+    test('should remap the runout and hole cards with the flop', () => {
+        const spot = canonicalizeBoard([ 'Kh', 'Qh', '2c', '2h' ], [ 'AhTd', [ '3c', '4d' ]]);
+        expect(spot).toMatchObject({
+            board: [ 'Ks', 'Qs', '2h', '2s' ],
+            holeCards: [ 'AsTd', [ '4d', '3h' ]],
+            flopClass: 'KsQs2h',
+        });
+        expect(canonicalizeBoard('KdQd2s2d', [ 'AdTh' ])).toMatchObject({ board: spot.board, holeCards: [ 'AsTd' ] });
+        expect(mapCardsBetweenBoards('AhTd', 'KhQh2c', 'KdQd2s')).toBe('AdTh');
+        expect(mapCardsBetweenBoards('AhTd', 'KhQh2c', 'KdQc2s')).toBeNull();
+        // Monotone flop: hero's club follows the club turn onto the node's diamond turn
+        expect(mapCardsBetweenBoards('AcQd', 'Kh9h4h', 'Ks9s4s')).toBe('AhQd');
+        expect(mapCardsBetweenBoards('AcQd', 'Kh9h4h2c', 'Ks9s4s2d')).toBe('AdQc');
+        expect(mapCardsBetweenBoards('Ac2d', 'Kh9h4h2c', 'Ks9s4s2d')).toBe('Ad2c');
+    });
+
+    test('should list the 1,755 flop classes', () => {
+        const flopClasses = getFlopClasses();
+        expect(flopClasses).toHaveLength(FLOP_CLASS_COUNT);
+        expect(flopClasses.reduce((acc, { flops }) => acc + flops, 0)).toBe(22100);
+        expect(flopClasses[0]).toEqual({ flopClass: 'AsAhAd', flops: 4 });
+    });
+});
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { processHands } = require('../hand-parser');
+const { exportHand, exportHands, toOpenHandHistory } = require('../hand-exporter');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('hand-exporter', () => {
+    test.each([ 'pokerstars-cash.txt', 'pokerstars-mtt.txt', 'pokerstars-plo.txt', 'ggpoker-cash.txt' ])('should export %s hands that parse back the same', (fixture) => {
+        const hands = processHands(readFixture(fixture));
+        const reparsed = processHands(exportHands(hands));
+        expect(reparsed).toHaveLength(hands.length);
+        reparsed.forEach((hand, i) => {
+            expect(hand.playerChips).toEqual(hands[i].playerChips);
+            expect(hand.header.board).toEqual(hands[i].header.board);
+            expect(hand.preflopSummary.holeCards).toEqual(hands[i].preflopSummary.holeCards);
+            expect(hand.header).toEqual(expect.objectContaining({ room: hands[i].header.room, handid: hands[i].header.handid }));
+        });
+    });
+
+    test('should write PokerStars raise sizes and showdown lines', () => {
+        const [ hand ] = processHands(readFixture('pokerstars-cash.txt'));
+        const text = exportHand(hand);
+        expect(text).toContain('Hero: raises $0.40 to $0.55');
+        expect(text).toContain('jayjay: raises $2.35 to $3.85 and is all-in');
+        expect(text).toContain('*** RIVER *** [Qh 7h 2c 9s] [3h]');
+        expect(text).toContain('Seat 2: Hero (small blind) showed [Ah Kh] and won ($10.05) with a flush, Ace high');
+    });
+
+    test('should export Open Hand History JSON', () => {
+        const [ , hand ] = processHands(readFixture('pokerstars-mtt.txt'));
+        const { ohh } = toOpenHandHistory(hand);
+        expect(ohh).toEqual(expect.objectContaining({
+            game_number: '149652069877', tournament: true, dealer_seat: 5, big_blind_amount: 300, ante_amount: 35,
+        }));
+        expect(ohh.rounds.map((r) => r.street)).toEqual([ 'Preflop', 'Flop', 'Turn', 'River', 'Showdown' ]);
+        expect(ohh.pots[0].player_wins).toEqual([ { player_id: 0, win_amount: 6035 } ]);
+        expect(() => exportHand(hand, 'xml')).toThrow('Unknown export format');
+    });
+});
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    processHands, processHandHistory, getRunoutClasses, getAllInEVBB,
+} = require('../hand-parser');
+const { getEquities } = require('../equity');
+const { categorizeHand, getOmahaHandRepresentation } = require('../cardUtils');
+
+const cashFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-cash.txt'), 'utf8');
+const ggFile = fs.readFileSync(path.join(__dirname, 'fixtures/ggpoker-cash.txt'), 'utf8');
+const ploFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-plo.txt'), 'utf8');
+const mttFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-mtt.txt'), 'utf8');
+const ohhFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-cash.ohh'), 'utf8');
+const acrOhhFile = fs.readFileSync(path.join(__dirname, 'fixtures/acr-cash.ohh'), 'utf8');
+
+describe('hand-parser', () => {
+    describe('processHands', () => {
+        test('should parse every hand of a well formed file', () => {
+            const hands = processHands(cashFile);
+            expect(hands).toHaveLength(2);
+            expect(hands[0].preflopSummary.cards).toEqual(expect.objectContaining({ card1: 'Ah', card2: 'Kh' }));
+            expect(hands[0].info.potType).toBe('3bp');
+            expect(hands[0].info.isHero3B).toBe(true);
+            expect(hands[0].info.heroWinningBB).toBe(101);
+            expect(hands[0].header.timestamp).toBeGreaterThan(0);
+        });
+
+        test('should compute all-in EV when villain cards are known', () => {
+            const [ allIn, folded ] = processHands(cashFile);
+            // AhKh flush draw all-in on the turn against a set of queens, 7 outs out of 44
+            expect(allIn.info.allInEVBB).toBe(-68.02);
+            expect(folded.info.allInEVBB).toBeUndefined();
+        });
+
+        test('should only give hero the equity of the pots hero is eligible for', () => {
+            // Hero all-in for 50 on the turn, both villains for 100: 150 main pot, 100 side pot
+            const step = (playerIndex, type, amount, allin) => ({ street: 'turn', playerIndex, action: { type, amount, allin } });
+            const holeCards = [ [ 'As', 'Ah' ], [ 'Ks', 'Kh' ], [ '8c', '6c' ] ];
+            const board = [ '2c', '7d', '9s', 'Jc', '3h' ];
+            const allInEVBB = getAllInEVBB({
+                actionScript: [ step(0, 'bet', 50, true), step(1, 'raise', 100, true), step(2, 'call', 100, true), step(0, 'collect', 150), step(2, 'collect', 100) ],
+                playerChips: [ { hero: true, winLoss: 100 }, { winLoss: -100 }, { winLoss: 0 } ],
+                holeCardsByPlayer: holeCards,
+                board,
+                bb: 1,
+            });
+            const [ heroEquity ] = getEquities(holeCards, board.slice(0, 4));
+            expect(allInEVBB).toBe(+(heroEquity * 150 - 50).toFixed(2));
+            // Sampled preflop equities do not change between imports
+            expect(getEquities(holeCards)).toEqual(getEquities(holeCards));
+            // Omaha river runouts are enumerated, earlier Omaha all-ins have no equity
+            const omaha = [ [ 'Ah', 'Kh', 'Qd', 'Jd' ], [ 'As', 'Ks', '2c', '3c' ] ];
+            expect(getEquities(omaha, [ 'Th', '9h', '2d', '5s' ])).toEqual([ 0.45, 0.55 ]);
+            expect(getEquities(omaha, [ 'Th', '9h', '2d' ])).toBeNull();
+        });
+
+        test('should flag postflop c-bets and river bets', () => {
+            const [ heroPFA, heroCaller ] = processHands(cashFile);
+            expect(heroPFA.info).toEqual(expect.objectContaining({
+                flopCBetOpp: true, flopCBet: true, turnCBet: true, flopCheckRaise: false, flopDonk: false,
+            }));
+            expect(heroCaller.info).toEqual(expect.objectContaining({
+                facedFlopCBet: true, foldToFlopCBet: false, facedTurnCBet: false, facedRiverBet: true, wtsdAfterRiverBet: false,
+            }));
+        });
+
+        test('should classify hero preflop line and positions', () => {
+            const [ threeBet, coldCall ] = processHands(cashFile);
+            expect(threeBet.info).toEqual(expect.objectContaining({
+                heroPreflopLine: '3bet', openSizeBB: 3, openerPos: 'UTG+1', threeBettorPos: 'SB', pfaPos: 'SB', pfCallersPos: [ 'UTG+1' ],
+            }));
+            expect(coldCall.info).toEqual(expect.objectContaining({
+                heroPreflopLine: 'coldCall', openerPos: 'CO', pfaPos: 'CO', pfCallersPos: [ 'BU' ], heroFaced3Bet: false,
+            }));
+        });
+
+        test('should derive flop textures', () => {
+            const [ , hand ] = processHands(cashFile);
+            expect(hand.info.isTwoTones).toBe(true);
+            expect(hand.info.isPaired).toBe(false);
+            expect(hand.info.highestCard).toBe('K');
+        });
+    });
+
+    describe('getRunoutClasses', () => {
+        test('should classify the flop, turn and river', () => {
+            const [ hand ] = processHands(cashFile);
+            // Qh 7h 2c 9s 3h
+            expect(hand.info.turnClasses).toEqual([ 'brick' ]);
+            expect(hand.info.riverClasses).toEqual([ 'flushComplete' ]);
+            expect(hand.info.flopClass).toBe('Qs7s2h');
+            expect(getRunoutClasses([ '9h', '8c', '2d', '7s' ], 3)).toEqual([ 'straightComplete' ]);
+            expect(getRunoutClasses([ '9h', '9c', '2d', '2s' ], 3)).toEqual([ 'doublePaired', 'boardPair' ]);
+            expect(getRunoutClasses([ 'Jh', '8c', '2d', 'Ks' ], 3)).toEqual([ 'overcard' ]);
+            expect(getRunoutClasses([ 'Jh', '8c', '2d' ], 3)).toEqual([]);
+        });
+    });
+
+    describe('processHandHistory', () => {
+        test('should skip a hand without hero and keep the rest', () => {
+            const corrupted = cashFile.replace('Dealt to Hero [Ah Kh]\n', '');
+            const { hands, errors, count } = processHandHistory(corrupted);
+
+            expect(count).toBe(2);
+            expect(hands).toHaveLength(1);
+            expect(hands[0].preflopSummary.cards.card1).toBe('9c');
+            expect(errors).toHaveLength(1);
+            expect(errors[0].index).toBe(0);
+            expect(errors[0].reason).toBe('Hero not found in hand');
+            expect(errors[0].rawSnippet).toMatch(/^PokerStars Hand #149651992548/);
+        });
+
+        test('should parse GGPoker hands through the parser registry', () => {
+            const { hands, errors } = processHandHistory(ggFile);
+            expect(errors).toEqual([]);
+            expect(hands).toHaveLength(1);
+            expect(hands[0].header.room).toBe('ggpoker');
+            expect(hands[0].header.handid).toBe('RC1187431021');
+            expect(hands[0].info.potType).toBe('3bp');
+            expect(hands[0].spoilers).toEqual([ { pos: 'UTG+1', cards: { card1: 'Qd', card2: 'Qs' }, holeCards: [ 'Qd', 'Qs' ] } ]);
+            expect(hands[0].playerChips.find(p => p.hero).winLossBB).toBe(95);
+        });
+
+        test('should parse 4 and 5 card Omaha hands', () => {
+            const { hands, errors } = processHandHistory(ploFile);
+            expect(errors).toEqual([]);
+            expect(hands).toHaveLength(2);
+            expect(hands[0].header.pokertype).toBe('omaha');
+            expect(hands[0].header.limit).toBe('potlimit');
+            expect(hands[0].preflopSummary.holeCards).toEqual([ 'Ah', 'As', 'Ks', 'Jh' ]);
+            expect(hands[0].spoilers[0].holeCards).toEqual([ '9h', '9d', '8c', '6h' ]);
+            expect(hands[0].playerChips.find(p => p.hero).winLossBB).toBe(99);
+            expect(hands[1].preflopSummary.holeCards).toHaveLength(5);
+        });
+
+        test('should read tournament metadata and hero finish', () => {
+            const [ first, last ] = processHands(mttFile);
+            expect(first.header.tournament).toEqual({
+                id: '1495192630', buyIn: 1.98, fee: 0.22, currency: '$', level: 'vii', sb: 100, bb: 200, ante: 25,
+            });
+            expect(last.header.tournament).toEqual(expect.objectContaining({ level: 'viii', finishPosition: 12, prize: 5 }));
+        });
+
+        test('should import Open Hand History JSON like the text hand history', () => {
+            const { hands, errors, format } = processHandHistory(ohhFile);
+            const textHands = processHands(cashFile);
+            expect(format).toBe('ohh');
+            expect(errors).toEqual([]);
+            expect(hands).toHaveLength(2);
+            hands.forEach((hand, i) => {
+                expect(hand.playerChips).toEqual(textHands[i].playerChips);
+                expect(hand.preflopActions).toEqual(textHands[i].preflopActions);
+                expect(hand.info.potType).toBe(textHands[i].info.potType);
+            });
+            // Uncalled river bet is given back although OHH has no action for it
+            expect(hands[1].actionScript).toContainEqual(expect.objectContaining({
+                street: 'river', action: expect.objectContaining({ type: 'bet-returned', amount: 0.5 }),
+            }));
+        });
+
+        test('should read OHH raise amounts as the total bet on the street', () => {
+            // Laid out like a room's own OHH export: players ids apart from seats, raises written as "raise to"
+            const { hands, errors } = processHandHistory(acrOhhFile);
+            expect(errors).toEqual([]);
+            const [ hand ] = hands;
+            expect(hand.header.room).toBe('acrpoker');
+            expect(hand.playerChips.map(({ name, winLoss }) => [ name, winLoss ])).toEqual([
+                [ 'Hero', 100 ], [ 'Villain2', -2 ], [ 'Villain4', -100 ],
+            ]);
+            const raises = hand.actionScript.filter(s => s.action && s.action.type === 'raise');
+            expect(raises.map(s => [ s.street, s.action.chipsInFront ])).toEqual([ [ 'preflop', 6 ], [ 'preflop', 20 ], [ 'flop', 80 ] ]);
+        });
+
+        test('should not count an OHH dead blind toward the player\'s bet', () => {
+            const hand = JSON.parse(acrOhhFile);
+            hand.ohh.rounds[0].actions.splice(3, 0, { player_id: 2, action: 'Post Dead', amount: 1, is_allin: false });
+            const { hands, errors } = processHandHistory(JSON.stringify(hand));
+            expect(errors).toEqual([]);
+            expect(hands[0].posts).toContainEqual(expect.objectContaining({ name: 'Villain4', type: 'blind', amount: 1 }));
+            // Raise to 6 on top of the dead blind
+            expect(hands[0].playerChips.find(p => p.name === 'Villain4').winLoss).toBe(-101);
+        });
+
+        test('should report a malformed hand of an OHH array file on its own', () => {
+            const { hands, errors } = processHandHistory(`[${acrOhhFile}, { "ohh": { "players": [ , ] } }, ${acrOhhFile}]`);
+            expect(hands).toHaveLength(2);
+            expect(errors).toEqual([ expect.objectContaining({ index: 1 }) ]);
+        });
+
+        test('should report hands in an unknown format', () => {
+            const { hands, errors } = processHandHistory(`${cashFile}\n\nNot a hand\nat all\nreally\nnope\n`);
+            expect(hands).toHaveLength(2);
+            expect(errors).toEqual([ expect.objectContaining({ index: 2, reason: 'Unsupported hand history format' }) ]);
+        });
+    });
+
+    describe('Omaha card utilities', () => {
+        test('should use exactly two hole cards and three board cards', () => {
+            // One heart in hand does not make a flush on a four heart board
+            expect(categorizeHand('AhKc8s8d', [ 'Th', '6h', '3h', '2h' ])).toBe('aceHigh');
+            expect(categorizeHand('AhKh8s8d', [ 'Th', '6h', '3h', '2h' ])).toBe('flush');
+            expect(categorizeHand('AsAd7c2h', [ 'Ah', 'Kd', 'Kc' ])).toBe('fullHouse');
+        });
+
+        test('should group hole cards by ranks and suits', () => {
+            expect(getOmahaHandRepresentation([ 'Ks', 'As', 'Ah', 'Jh' ])).toBe('AAKJds');
+            expect(getOmahaHandRepresentation([ 'Qc', 'Jd', 'Tc', '9s', '2h' ])).toBe('QJT92ss');
+        });
+    });
+});
@@ -0,0 +1,43 @@
+const { compileHandQuery, HandQueryError } = require('../hand-query');
+
+describe('hand-query', () => {
+    test('should compile terms joined by AND, OR, NOT and parentheses', () => {
+        const match = compileHandQuery('pos:BTN AND pot:3bp flop:monotone AND result<-20bb AND line:"B/B/X"');
+        expect(match.$and).toEqual([
+            { 'info.heroPos': { $in: [ 'BU' ] } },
+            { 'info.potType': { $in: [ '3bp' ] } },
+            { $or: [ { 'info.isMonoTone': true } ] },
+            { 'info.heroWinningBB': { $lt: -20 } },
+            { 'flopSummary.heroFlopSummary': 'B', 'turnSummary.heroTurnSummary': 'B', 'riverSummary.heroRiverSummary': 'X' },
+        ]);
+        expect(compileHandQuery('(pot:srp OR eff>=40) AND NOT is:showdown')).toEqual({
+            $and: [
+                { $or: [ { 'info.potType': { $in: [ 'srp', '2bp' ] } }, { 'info.effStack': { $gte: 40 } } ] },
+                { $nor: [ { $or: [ { 'info.sawShowdown': true } ] } ] },
+            ],
+        });
+        expect(compileHandQuery('line:X-C/*')).toEqual({ 'flopSummary.heroFlopSummary': 'X/C' });
+        expect(compileHandQuery('board:KdQd2s')).toEqual({ 'info.flopClass': { $in: [ 'KsQs2h' ] } });
+        expect(compileHandQuery('river:flushComplete')).toEqual({ 'info.riverClasses': { $in: [ 'flushComplete' ] } });
+        const heroCards = compileHandQuery('hero:AKs+,QQ+').$expr.$in[1];
+        expect(heroCards).toHaveLength((4 + 3 * 6) * 2);
+        expect(heroCards).toEqual(expect.arrayContaining([ 'AhKh', 'KhAh', 'QsQh', 'QhQs' ]));
+    });
+
+    test('should point at the bad token', () => {
+        const errorOf = (query) => {
+            try {
+                compileHandQuery(query);
+            } catch (error) {
+                return error;
+            }
+            return null;
+        };
+        expect(errorOf('pos:BTN AND pot:6bp')).toBeInstanceOf(HandQueryError);
+        expect(errorOf('pos:BTN AND pot:6bp')).toMatchObject({ position: 16, token: '6bp' });
+        expect(errorOf('pos:BTN AND foo:1')).toMatchObject({ position: 12, token: 'foo' });
+        expect(errorOf('pos<BTN')).toMatchObject({ position: 3, token: '<' });
+        expect(errorOf('(pos:BTN')).toMatchObject({ position: 8 });
+        expect(errorOf('hero:AKx')).toMatchObject({ position: 5, token: 'AKx' });
+    });
+});
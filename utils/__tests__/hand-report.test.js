@@ -0,0 +1,58 @@
+const { getReportGroupStage, formatReport, formatHeatmaps } = require('../hand-report');
+
+describe('hand-report', () => {
+    test('should group by the dimension expressions', () => {
+        const { $group } = getReportGroupStage([ 'position', 'stakes' ]);
+        expect($group._id).toEqual({ position: '$info.heroPos', stakes: '$header.bb' });
+    });
+
+    test('should drill down into the main runout class a row is grouped on', () => {
+        const { rows } = formatReport([
+            {
+                _id: { turnClass: 'flushComplete' }, hands: 4, netBB: 0, vpip: 0, pfr: 0, sawFlop: 4, sawShowdown: 0,
+            },
+        ], [ 'turnClass' ]);
+        expect(rows[0].presets).toEqual({ selectedMainTurnClasses: [ 'flushComplete' ] });
+    });
+
+    test('should compute bb/100, VPIP, PFR, WTSD and the drill-down presets of each row', () => {
+        const groups = [
+            {
+                _id: { position: 'BTN', stackDepth: '60-100bb' }, hands: 50, netBB: 10, vpip: 20, pfr: 15, sawFlop: 20, sawShowdown: 5,
+            },
+            {
+                _id: { position: 'SB', stackDepth: '150+bb' }, hands: 150, netBB: -30, vpip: 45, pfr: 15, sawFlop: 0, sawShowdown: 0,
+            },
+        ];
+        const { rows, total } = formatReport(groups, [ 'position', 'stackDepth' ]);
+        expect(rows[0]).toEqual({
+            group: { position: 'SB', stackDepth: '150+bb' },
+            presets: { selectedPos: [ 'sb' ], effStackRange: [ 150, null ] },
+            hands: 150, netBB: -30, bb100: -20, vpip: 30, pfr: 10, wtsd: null,
+        });
+        expect(rows[1]).toEqual(expect.objectContaining({ bb100: 20, vpip: 40, wtsd: 25 }));
+        expect(total).toEqual({
+            hands: 200, netBB: -20, bb100: -10, vpip: 32.5, pfr: 15, wtsd: 25,
+        });
+    });
+
+    test('should lay out the weekday x hour grid and bucket sessions by length', () => {
+        const hour = 60 * 60 * 1000;
+        const { weekdayHour, sessionLength } = formatHeatmaps({
+            weekdayHour: [ { _id: { weekday: 7, hour: 23 }, hands: 10, netBB: -5 } ],
+            sessions: [
+                { _id: 1, start: 0, end: 0.5 * hour, hands: 50, netBB: 10 },
+                { _id: 2, start: 0, end: 7 * hour, hands: 900, netBB: -90 },
+            ],
+        });
+        expect(weekdayHour).toHaveLength(7 * 24);
+        expect(weekdayHour[weekdayHour.length - 1]).toEqual({
+            weekday: 7, hour: 23, hands: 10, netBB: -5, bb100: -50,
+        });
+        expect(weekdayHour[0]).toEqual({
+            weekday: 1, hour: 0, hands: 0, netBB: 0, bb100: null,
+        });
+        expect(sessionLength.find(b => b.label === '<1h')).toEqual(expect.objectContaining({ sessions: 1, hands: 50, bb100: 20 }));
+        expect(sessionLength.find(b => b.label === '6h+')).toEqual(expect.objectContaining({ sessions: 1, bb100: -10 }));
+    });
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore, matchesFilter } = require('../vector-stores/local');
+
+describe('local vector store', () => {
+    const snapshotPath = path.join(os.tmpdir(), `vector-snapshot-${process.pid}.jsonl`);
+    const points = [
+        { collection: 'flop_nodes', id: 1, vector: [ 1, 0, 0 ], payload: { street: 'FLOP', pot_type: 'srp', position_bucket_ip: 'BU' } },
+        { collection: 'flop_nodes', id: 2, vector: [ 1, 1, 0 ], payload: { street: 'FLOP', pot_type: 'srp', position_bucket_ip: 'CO' } },
+        { collection: 'flop_nodes', id: 3, vector: [ 0, 0, 1 ], payload: { street: 'FLOP', pot_type: '3bp', position_bucket_ip: 'BU' } },
+        { collection: 'turn_nodes', id: 4, vector: [ 1, 0, 0 ], payload: { street: 'TURN', pot_type: 'srp' } },
+    ];
+
+    beforeAll(() => fs.writeFileSync(snapshotPath, points.map(point => JSON.stringify(point)).join('\n')));
+    afterAll(() => fs.unlinkSync(snapshotPath));
+
+    test('should search a collection by cosine similarity with Qdrant filters', async () => {
+        const store = createLocalStore({ snapshotPath });
+        const results = await store.search('flop_nodes', {
+            vector: [ 1, 0.1, 0 ],
+            limit: 5,
+            score_threshold: 0.5,
+            filter: { must: [ { key: 'pot_type', match: { value: 'srp' } } ] },
+        });
+        expect(results.map(({ id }) => id)).toEqual([ 1, 2 ]);
+        expect(results[0].score).toBeCloseTo(0.995, 3);
+        expect(results[0].payload).toEqual(points[0].payload);
+
+        const filtered = await store.search('flop_nodes', {
+            vector: [ 1, 0, 0 ],
+            filter: { must: [ { key: 'position_bucket_ip', match: { value: 'BU' } } ] },
+        });
+        expect(filtered.map(({ id }) => id)).toEqual([ 1, 3 ]);
+        expect(await store.search('river_nodes', { vector: [ 1, 0, 0 ] })).toEqual([]);
+    });
+
+    test('should match should and must_not conditions', () => {
+        const payload = { street: 'FLOP', tags: [ 'a', 'b' ] };
+        expect(matchesFilter(payload, { should: [ { key: 'street', match: { value: 'TURN' } }, { key: 'tags', match: { value: 'b' } } ] })).toBe(true);
+        expect(matchesFilter(payload, { must_not: [ { key: 'tags', match: { any: [ 'a' ] } } ] })).toBe(false);
+        expect(matchesFilter(payload, { must: [ { must: [ { key: 'street', match: { value: 'FLOP' } } ] } ] })).toBe(true);
+    });
+});
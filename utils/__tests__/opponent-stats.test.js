@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const { processHands } = require('../hand-parser');
+const { getPlayerCounters, getHudStats } = require('../opponent-stats');
+
+const cashFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-cash.txt'), 'utf8');
+
+describe('opponent-stats', () => {
+    const [ threeBetPot, singleRaisedPot ] = processHands(cashFile);
+    const countersOf = (hand, name) => getPlayerCounters(hand, hand.playerChips.findIndex((p) => p.name === name));
+
+    test('should count preflop and showdown actions of a villain', () => {
+        // jayjay opens, calls hero's 3-bet, calls the flop c-bet and loses at showdown
+        expect(countersOf(threeBetPot, 'jayjay')).toEqual(expect.objectContaining({
+            hands: 1, vpip: 1, pfr: 1, threeBetOpp: 0, foldTo3BetOpp: 1, foldTo3Bet: 0,
+            foldToCBetOpp: 1, foldToCBet: 0, sawFlop: 1, wtsd: 1, wsd: 0,
+        }));
+        // Folding behind an open is a missed 3-bet
+        expect(countersOf(threeBetPot, 'Morty')).toEqual(expect.objectContaining({ vpip: 0, threeBetOpp: 1, threeBet: 0 }));
+        expect(countersOf(singleRaisedPot, 'Fischersito')).toEqual(expect.objectContaining({
+            pfr: 1, cbetOpp: 1, cbet: 1, postflopAggressive: 2, postflopCalls: 0, wtsd: 0,
+        }));
+    });
+
+    test('should compute HUD percentages with their sample sizes', () => {
+        const stats = getHudStats({
+            hands: 4, vpip: 1, pfr: 1, threeBetOpp: 3, threeBet: 1, postflopAggressive: 3, postflopCalls: 2, sawFlop: 2, wtsd: 1, wsd: 1,
+        });
+        expect(stats).toEqual(expect.objectContaining({
+            vpip: 25, pfr: 25, threeBet: 33.3, foldTo3Bet: null, af: 1.5, wtsd: 50, wsd: 100,
+        }));
+        expect(stats.samples).toEqual(expect.objectContaining({ hands: 4, threeBet: 3, foldTo3Bet: 0 }));
+    });
+});
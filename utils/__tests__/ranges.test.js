@@ -0,0 +1,41 @@
+const {
+    expandRangeNotation, parseRange, serializeRange, toSolverString,
+    unionRanges, intersectRanges, subtractRanges, removeDeadCards, countCombos, getHandWeights,
+} = require('../ranges');
+const { parseRangeString } = require('../rangeUtils');
+
+describe('ranges', () => {
+    test('should parse notation, weights, exclusions and solver strings', () => {
+        expect(expandRangeNotation('ATs+')).toEqual([ 'ATs', 'AJs', 'AQs', 'AKs' ]);
+        expect(expandRangeNotation('22-44, KTo-K9o, AK')).toEqual([ '22', '33', '44', 'K9o', 'KTo', 'AKs', 'AKo' ]);
+        // 5 pairs, 4 suited aces, KQo
+        expect(countCombos('22-66, A2s-A5s, KQo+')).toBe(5 * 6 + 4 * 4 + 12);
+        expect(parseRange('AKs:0.5, ahkh, !AdKd')).toEqual({ AsKs: 0.5, AhKh: 1, AcKc: 0.5 });
+        expect(parseRange('4h2h:0.0724,AhAs:1,KdKc:0')).toEqual({ '4h2h': 0.0724, AsAh: 1 });
+        expect(parseRangeString('AhKh:0.5').combos).toEqual({ AhKh: 0.5 });
+        // Database solver strings keep their keys, order and zero frequencies, malformed parts are skipped
+        expect(parseRangeString('AhAs:0.5,KdKc:0,QhQd:,4h2h:0.0724').combos).toEqual({ AhAs: 0.5, KdKc: 0, '4h2h': 0.0724 });
+        expect(Object.keys(parseRangeString('AhAs:0.5,KdKc:0').combos)).toEqual([ 'AhAs', 'KdKc' ]);
+        expect(parseRangeString('QQ+, AhKh').combos).toEqual(expect.objectContaining({ AsAh: 1, QdQc: 1, AhKh: 1 }));
+        expect(Object.keys(parseRangeString('QQ+, AhKh').combos)).toHaveLength(3 * 6 + 1);
+        [ 'A2s-K5s', 'AKx', 'AA:2', 'AhAh' ].forEach((range) => expect(() => parseRange(range)).toThrow(`Invalid range "${range}"`));
+    });
+
+    test('should serialize to the shortest notation', () => {
+        expect(serializeRange('22-66, A2s-A5s, KQo+')).toBe('22-66,A2s-A5s,KQo');
+        expect(serializeRange('QQ+,AKs,AKo,ATs+,ATo+')).toBe('QQ+,AT+');
+        expect(serializeRange('AK,!AhKd,KK:0.5')).toBe('AK,KK:0.5,!AhKd');
+        expect(serializeRange('AhKh,AsKd')).toBe('AhKh,AsKd');
+        expect(toSolverString('AA:0.5,!AhAd')).toBe('AsAh:0.5,AsAd:0.5,AsAc:0.5,AhAc:0.5,AdAc:0.5');
+        const range = 'TT+,AQs+:0.75,K9s-KJs,76s,AhKd:0.25';
+        expect(parseRange(serializeRange(range))).toEqual(parseRange(range));
+    });
+
+    test('should combine ranges', () => {
+        expect(serializeRange(unionRanges('AKs:0.5', 'AKs,AQs'))).toBe('AQs+');
+        expect(serializeRange(intersectRanges('TT+', '99-JJ:0.5'))).toBe('TT-JJ:0.5');
+        expect(serializeRange(subtractRanges('TT+', 'AA,KK:0.5'))).toBe('TT-QQ,KK:0.5');
+        expect(serializeRange(removeDeadCards('AA,KK', 'Ah7c2d'))).toBe('KK,AsAd,AsAc,AdAc');
+        expect(getHandWeights('AKs:0.5,AhKh')).toEqual({ AKs: 0.625 });
+    });
+});
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const { processHands } = require('../hand-parser');
+const { buildShowdownRanges } = require('../showdown-ranges');
+
+const cashFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-cash.txt'), 'utf8');
+
+describe('showdown-ranges', () => {
+    const hands = processHands(cashFile);
+
+    test('should group shown hands by the villain line on the hand matrix', () => {
+        // jayjay calls hero's 3-bet, calls the flop, raises the turn all-in and shows QdQs
+        const { showdowns, lines } = buildShowdownRanges(hands, { name: 'jayjay' });
+        expect(showdowns).toBe(1);
+        expect(lines).toHaveLength(1);
+        const [ line ] = lines;
+        expect(line).toEqual(expect.objectContaining({
+            key: '3bp|caller|C|R|', label: 'C-R in 3BP as caller', role: 'caller', count: 1,
+        }));
+        expect(line.grid).toHaveLength(169);
+        expect(line.grid.find((cell) => cell.value === 'QQ')).toEqual(expect.objectContaining({
+            count: 1, combos: [ 'QdQs' ], categories: { set: 1 },
+        }));
+        expect(line.strength.set).toEqual([ 'QQ' ]);
+        expect(line.strategic.value).toEqual([ 'QQ' ]);
+    });
+
+    test('should skip other villains and other lines', () => {
+        expect(buildShowdownRanges(hands, { name: 'Morty' }).showdowns).toBe(0);
+        expect(buildShowdownRanges(hands, { line: 'srp|PFR|B|B|B' }).lines).toEqual([]);
+    });
+});
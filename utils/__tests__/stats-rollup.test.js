@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const { processHands } = require('../hand-parser');
+const { ROLLUP_COUNTERS, getHandRollupCounters, getRollupStats } = require('../stats-rollup');
+
+const cashFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-cash.txt'), 'utf8');
+
+describe('stats-rollup', () => {
+    const hands = processHands(cashFile);
+
+    test('should add up hand counters into the session statistics', () => {
+        const counters = hands.map(getHandRollupCounters).reduce((acc, c) => ROLLUP_COUNTERS.reduce((sum, key) => ({
+            ...sum, [key]: (acc[key] || 0) + c[key],
+        }), {}), {});
+        const netBB = hands.reduce((acc, hand) => acc + hand.playerChips.find(pc => pc.hero).winLossBB, 0);
+        const stats = getRollupStats(counters);
+        expect(stats.totalHands).toBe(hands.length);
+        expect(stats.netWon).toBe(netBB.toFixed(2));
+        expect(stats.bb100).toBe(((netBB / hands.length) * 100).toFixed(2));
+        expect(stats.vpip).toBe(((hands.filter(hand => hand.info.isVPIP).length / hands.length) * 100).toFixed(2));
+        expect(stats.handsAnalyzed).toBe(0);
+    });
+
+    test('should count analyzed hands and return zeros without hands', () => {
+        expect(getHandRollupCounters({ ...hands[0], analysis: { headline: '' } }).analyzed).toBe(1);
+        expect(getHandRollupCounters({ ...hands[0], analyzed: false }).analyzed).toBe(0);
+        expect(getRollupStats({ hands: 0 })).toEqual(expect.objectContaining({ totalHands: 0, bb100: 0, wwsf: 0 }));
+    });
+});
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const { processHands } = require('../hand-parser');
+const {
+    zonedTimeToTimestamp, getPlayedRange, getPlayedRangeFilter, isValidTimeZone,
+} = require('../timezones');
+
+const cashFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-cash.txt'), 'utf8');
+
+describe('timezones', () => {
+    test('should read room wall clock times in their time zone', () => {
+        // 2016/03/01 1:29:41 ET, UTC-5 in winter
+        expect(new Date(processHands(cashFile)[0].header.timestamp).toISOString()).toBe('2016-03-01T06:29:41.000Z');
+        // UTC-4 in summer
+        expect(zonedTimeToTimestamp({
+            year: 2021, month: 9, day: 20, hour: 13, min: 42, sec: 17,
+        }, 'ET')).toBe(Date.UTC(2021, 8, 20, 17, 42, 17));
+        expect(zonedTimeToTimestamp({ year: 2023, month: 1, day: 15, hour: 20 }, 'unknown')).toBe(Date.UTC(2023, 0, 15, 20));
+    });
+
+    test('should take calendar days whole in the user time zone', () => {
+        // Paris switches to summer time on 2024-03-31
+        expect(getPlayedRange([ '2024-03-31', '2024-03-31' ], 'Europe/Paris')).toEqual([
+            Date.UTC(2024, 2, 30, 23), Date.UTC(2024, 2, 31, 22) - 1,
+        ]);
+        expect(getPlayedRange([ 1000, undefined ], 'UTC')).toEqual([ 1000, undefined ]);
+        expect(isValidTimeZone('Europe/Paris')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+
+    test('should only filter hands on played time when a bound is set', () => {
+        expect(getPlayedRangeFilter(undefined, 'UTC')).toEqual({});
+        expect(getPlayedRangeFilter([ 1000, '' ], 'UTC')).toEqual({
+            $and: [ { $or: [ { 'header.timestamp': { $gte: 1000 } }, { 'header.timestamp': null, createdAt: { $gte: 1000 } } ] } ],
+        });
+    });
+});
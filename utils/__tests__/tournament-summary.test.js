@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const { isTournamentSummary, parseTournamentSummary } = require('../tournament-summary');
+
+const summaryFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-mtt-summary.txt'), 'utf8');
+const handsFile = fs.readFileSync(path.join(__dirname, 'fixtures/pokerstars-mtt.txt'), 'utf8');
+
+describe('tournament-summary', () => {
+    test('should tell summary files from hand histories', () => {
+        expect(isTournamentSummary(summaryFile)).toBe(true);
+        expect(isTournamentSummary(handsFile)).toBe(false);
+    });
+
+    test('should read buy-in, entrants and hero result', () => {
+        expect(parseTournamentSummary(summaryFile)).toEqual(expect.objectContaining({
+            room: 'pokerstars',
+            tournamentId: '1495192630',
+            currency: '$',
+            buyIn: 1.98,
+            fee: 0.22,
+            players: 180,
+            prizePool: 356.4,
+            finishPosition: 12,
+            prize: 5,
+        }));
+    });
+
+    test('should count bounties in the buy-in and default the prize to 0', () => {
+        const bounty = summaryFile
+            .replace('Buy-In: $1.98/$0.22 USD', 'Buy-In: $1.50/$0.50/$0.20 USD')
+            .replace(/You received.*\n/, '')
+            .replace('12th', '95th');
+        expect(parseTournamentSummary(bounty)).toEqual(expect.objectContaining({ buyIn: 2, fee: 0.2, finishPosition: 95, prize: 0 }));
+    });
+});
@@ -0,0 +1,43 @@
+const {
+    normalCdf, getWinRateStats, getBreakEvenProbability, getPeriodProbability, simulateDownswings,
+} = require('../variance');
+
+// Deterministic random numbers for the simulation (mulberry32)
+const seeded = (seed) => {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+describe('variance', () => {
+    test('should compute win rate, standard deviation per 100 hands and the 95% interval', () => {
+        // +1 / -1 BB alternating: 0 bb/100, 1 BB per hand standard deviation
+        const results = Array.from({ length: 10000 }, (_, i) => (i % 2 ? -1 : 1));
+        const stats = getWinRateStats(results);
+        expect(stats).toEqual(expect.objectContaining({ hands: 10000, netBB: 0, winRate: 0, stdDev: 10 }));
+        expect(stats.standardError).toBe(1);
+        expect(stats.confidenceInterval).toEqual({ level: 0.95, low: -1.96, high: 1.96 });
+    });
+
+    test('should compute break-even and period probabilities from the normal distribution', () => {
+        expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+        expect(normalCdf(1.959964)).toBeCloseTo(0.975, 5);
+        // 5 bb/100 with 100 bb/100 deviation over 10k hands is 0.5 standard deviation above zero
+        expect(getBreakEvenProbability(5, 100, 10000)).toBeCloseTo(normalCdf(-0.5), 6);
+        expect(getPeriodProbability({ hands: 10000, winRate: -5 }, { winRate: 5, stdDev: 100 })).toBeCloseTo(normalCdf(-1), 6);
+    });
+
+    test('should simulate downswings with the break-even probability of the normal distribution', () => {
+        const simulation = simulateDownswings({
+            winRate: 5, stdDev: 100, hands: 10000, trials: 2000, random: seeded(42),
+        });
+        expect(simulation.hands).toBe(10000);
+        expect(simulation.breakEvenProbability).toBeCloseTo(normalCdf(-0.5), 1);
+        expect(simulation.maxDownswing.p50).toBeLessThanOrEqual(simulation.maxDownswing.p95);
+        expect(simulation.downswingProbabilities[100]).toBeGreaterThanOrEqual(simulation.downswingProbabilities[1000]);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Bankroll
+ * Balance history from ledger transactions (db/collections/BankrollTransactions) converted to the
+ * user's currency with their rate table, bankroll in buy-ins and stake move up / move down rules.
+ */
+
+// Cash game buy-in in big blinds
+const CASH_BUY_IN_BB = 100;
+
+const DEFAULT_SETTINGS = {
+  currency: '$',
+  rates: [], // [ { currency: '€', rate: 1.08 } ] value of one unit in the settings currency
+  rules: {
+    gameType: 'cash', // cash: stakes are big blinds, mtt: stakes are tournament buy-ins
+    stakes: [], // e.g. [ 0.05, 0.1, 0.25, 0.5 ]
+    currentStake: null,
+    moveUpBuyIns: 40, // buy-ins of the next stake needed to move up
+    moveDownBuyIns: 20, // move down below this many buy-ins of the current stake
+  },
+};
+
+const round = (amount) => +(+amount || 0).toFixed(2);
+
+/**
+ * Amount in the settings currency
+ * @param {number} amount: amount in `currency`
+ * @param {string} currency: transaction currency, e.g. '$', '€'
+ * @param {object} settings: { currency, rates }
+ * @returns {number|null} converted amount, null when the rate table has no rate for the currency
+ */
+const convertAmount = (amount, currency, settings) => {
+  if (!currency || currency === settings.currency) return amount;
+  const rate = (settings.rates || []).find((r) => r.currency === currency);
+  return rate ? amount * rate.rate : null;
+};
+
+/**
+ * Running balance of transactions, oldest first
+ * @param {array} transactions: BankrollTransactions documents
+ * @param {object} settings: see DEFAULT_SETTINGS
+ * @returns {object} { balance, history: [ { _id, type, occurredAt, currency, amount, converted, balance } ], missingRates }
+ */
+const getBalanceHistory = (transactions, settings) => {
+  const missingRates = [];
+  let balance = 0;
+  const history = [ ...transactions ]
+    .sort((a, b) => a.occurredAt - b.occurredAt)
+    .map(({
+      _id, type, occurredAt, currency, amount,
+    }) => {
+      const converted = convertAmount(amount, currency, settings);
+      if (converted === null) {
+        if (!missingRates.includes(currency)) missingRates.push(currency);
+      } else {
+        balance += converted;
+      }
+      return {
+        _id, type, occurredAt, currency, amount, converted: converted === null ? null : round(converted), balance: round(balance),
+      };
+    });
+  return { balance: round(balance), history, missingRates };
+};
+
+/**
+ * Cost of one buy-in at a stake
+ * @param {number} stake: big blind (cash) or tournament buy-in (mtt)
+ * @param {string} gameType: cash, mtt
+ * @returns {number}
+ */
+const getBuyInCost = (stake, gameType) => (gameType === 'mtt' ? stake : stake * CASH_BUY_IN_BB);
+
+/**
+ * Bankroll in buy-ins of a stake
+ * @param {number} balance: bankroll in the settings currency
+ * @param {number} stake: big blind (cash) or tournament buy-in (mtt)
+ * @param {string} gameType: cash, mtt
+ * @returns {number|null}
+ */
+const getBuyIns = (balance, stake, gameType) => {
+  const cost = getBuyInCost(stake, gameType);
+  return cost > 0 ? round(balance / cost) : null;
+};
+
+/**
+ * Stake management status
+ * @param {number} balance: bankroll in the settings currency
+ * @param {object} rules: see DEFAULT_SETTINGS.rules
+ * @returns {object} { currentStake, buyIns, nextStake, nextStakeBuyIns, recommendedStake, alert: moveUp / moveDown / null }
+ */
+const getStakeStatus = (balance, rules) => {
+  const {
+    gameType, currentStake, moveUpBuyIns, moveDownBuyIns,
+  } = { ...DEFAULT_SETTINGS.rules, ...rules };
+  const stakes = [ ...(rules.stakes || []) ].sort((a, b) => a - b);
+  // Highest stake the move up rule allows
+  const recommendedStake = stakes.filter((stake) => getBuyIns(balance, stake, gameType) >= moveUpBuyIns).pop() || stakes[0] || null;
+  if (!currentStake) {
+    return {
+      currentStake: null, buyIns: null, nextStake: null, nextStakeBuyIns: null, recommendedStake, alert: null,
+    };
+  }
+  const buyIns = getBuyIns(balance, currentStake, gameType);
+  const nextStake = stakes.find((stake) => stake > currentStake) || null;
+  const nextStakeBuyIns = nextStake ? getBuyIns(balance, nextStake, gameType) : null;
+  const previousStake = stakes.filter((stake) => stake < currentStake).pop();
+  let alert = null;
+  if (nextStake && nextStakeBuyIns >= moveUpBuyIns) alert = 'moveUp';
+  else if (previousStake && buyIns < moveDownBuyIns) alert = 'moveDown';
+  return {
+    currentStake, buyIns, nextStake, nextStakeBuyIns, recommendedStake, alert,
+  };
+};
+
+module.exports = {
+  CASH_BUY_IN_BB,
+  DEFAULT_SETTINGS,
+  convertAmount,
+  getBalanceHistory,
+  getBuyInCost,
+  getBuyIns,
+  getStakeStatus,
+};
@@ -0,0 +1,161 @@
+const _ = require('lodash');
+const { RANKS, SUITS, normalizeCard } = require('./ranges');
+
+/**
+ * Board canonicalization
+ * Suits are interchangeable before the flop, so flops that only differ by a suit permutation are
+ * strategically identical: the 22,100 flops collapse to 1,755 classes. The canonical form of a flop is
+ * its lowest suit permutation, written higher rank first with suits assigned in SUITS order:
+ * KhQh2c and KdQd2s are both KsQs2h.
+ *
+ * The suit map that canonicalizes the flop is applied to the turn, river and hole cards so a hand stays
+ * consistent with its board. When the flop leaves suits free (rainbow and monotone flops), the lowest
+ * permutation of the remaining cards picks the map.
+ */
+
+const FLOP_CLASS_COUNT = 1755;
+
+const permutations = (items) => (items.length <= 1
+  ? [ items ]
+  : _.flatMap(items, (item, i) => permutations([ ...items.slice(0, i), ...items.slice(i + 1) ]).map(rest => [ item, ...rest ])));
+
+// The 24 suit maps, e.g. { s: 'h', h: 's', d: 'd', c: 'c' }
+const SUIT_MAPS = permutations(SUITS.split('')).map(suits => _.zipObject(SUITS.split(''), suits));
+
+const cardOrder = (card) => RANKS.indexOf(card[0]) * SUITS.length + SUITS.indexOf(card[1]);
+const sortCards = (cards) => _.sortBy(cards, cardOrder);
+
+// Sortable key of cards, one character per card
+const toKey = (cards) => cards.map(card => String.fromCharCode(65 + cardOrder(card))).join('');
+
+/**
+ * Cards of a board or hand
+ * @param {string|array} input - [ "Ah", "Kd", "2c" ] or "AhKd2c"
+ * @returns {array|null} normalized cards, null when a card is invalid or repeated
+ */
+const toCards = (input) => {
+  const raw = typeof input === 'string' ? input.replace(/\s|,/g, '').match(/.{1,2}/g) || [] : input || [];
+  const cards = raw.map(normalizeCard);
+  if (cards.some(card => !card) || _.uniq(cards).length !== cards.length) return null;
+  return cards;
+};
+
+/**
+ * Apply a suit map to cards
+ * @param {string|array} cards - array or concatenated cards, returned in the same form
+ * @param {object} suitMap - { s: 'h', ... }
+ */
+const remapCards = (cards, suitMap) => {
+  const mapped = (toCards(cards) || []).map(card => card[0] + suitMap[card[1]]);
+  return typeof cards === 'string' ? mapped.join('') : mapped;
+};
+
+/**
+ * Canonical form of a board and of hole cards dealt with it
+ * @param {string|array} board - flop, turn or river board
+ * @param {array} holeCards - hole cards of the players, each an array or concatenated cards
+ * @returns {object|null} { board, holeCards, suitMap, flopClass }, null without a valid flop
+ *   board: canonical flop (higher rank first) followed by the remapped turn and river
+ *   holeCards: remapped hole cards, higher rank first, in the form they were given
+ *   suitMap: original suit to canonical suit
+ *   flopClass: canonical flop, e.g. "KsQs2h"
+ */
+const canonicalizeBoard = (board, holeCards = []) => {
+  const cards = toCards(board);
+  if (!cards || cards.length < 3) return null;
+  const hands = holeCards.map(hand => (hand ? toCards(hand) : []));
+  if (hands.some(hand => !hand)) return null;
+
+  const [ flop, runout ] = [ cards.slice(0, 3), cards.slice(3) ];
+  const candidates = SUIT_MAPS.map((suitMap) => {
+    const mappedFlop = sortCards(remapCards(flop, suitMap));
+    const mappedRunout = remapCards(runout, suitMap);
+    const mappedHands = hands.map(hand => sortCards(remapCards(hand, suitMap)));
+    return {
+      suitMap,
+      flop: mappedFlop,
+      runout: mappedRunout,
+      hands: mappedHands,
+      key: [ mappedFlop, mappedRunout, ...mappedHands ].map(toKey).join('|'),
+    };
+  });
+  const best = _.minBy(candidates, 'key');
+  return {
+    board: [ ...best.flop, ...best.runout ],
+    holeCards: best.hands.map((hand, i) => (typeof holeCards[i] === 'string' ? hand.join('') : hand)),
+    suitMap: best.suitMap,
+    flopClass: best.flop.join(''),
+  };
+};
+
+/**
+ * Flop class of a board
+ * @param {string|array} board
+ * @returns {string|null} canonical flop, e.g. "KsQs2h"
+ */
+const getFlopClass = (board) => {
+  const cards = toCards(board);
+  const canonical = cards && canonicalizeBoard(cards.slice(0, 3));
+  return canonical ? canonical.flopClass : null;
+};
+
+/**
+ * Map cards dealt with one board onto another board of the same flop class
+ * e.g. hero cards of a hand onto the board of a matched solver node
+ * Among the suit maps taking one flop onto the other, the map keeps the cards off the other board,
+ * then gives the turn and river the suits of the other board's (the suits a rainbow or monotone flop
+ * leaves free), then follows the canonical forms
+ * @param {string|array} cards
+ * @param {string|array} fromBoard
+ * @param {string|array} toBoard
+ * @returns {string|array|null} remapped cards, higher rank first, null when the flops are not isomorphic
+ */
+const mapCardsBetweenBoards = (cards, fromBoard, toBoard) => {
+  const [ from, to, hand ] = [ toCards(fromBoard), toCards(toBoard), toCards(cards) ];
+  if (!from || !to || !hand || from.length < 3 || to.length < 3) return null;
+  const toFlop = toKey(sortCards(to.slice(0, 3)));
+  const flopMaps = SUIT_MAPS.filter(suitMap => toKey(sortCards(remapCards(from.slice(0, 3), suitMap))) === toFlop);
+  if (!flopMaps.length) return null;
+
+  const canonicalFrom = canonicalizeBoard(from.slice(0, 3), [ hand ]);
+  const toOriginal = _.invert(canonicalizeBoard(to.slice(0, 3)).suitMap);
+  const canonicalMap = _.mapValues(canonicalFrom.suitMap, suit => toOriginal[suit]);
+  const runout = from.slice(3);
+  const best = _.maxBy(flopMaps, (suitMap) => {
+    const collisions = remapCards(hand, suitMap).filter(card => to.includes(card)).length;
+    const runoutSuits = remapCards(runout, suitMap).filter((card, i) => to[i + 3] && card[1] === to[i + 3][1]).length;
+    return -100 * collisions + 2 * runoutSuits + (_.isEqual(suitMap, canonicalMap) ? 1 : 0);
+  });
+  const mapped = sortCards(remapCards(hand, best));
+  return typeof cards === 'string' ? mapped.join('') : mapped;
+};
+
+let flopClasses = null;
+
+/**
+ * Every flop class with the number of flops it stands for, strongest ranks first
+ * @returns {array} [{ flopClass: "AsAhAd", flops: 4 }, ...], FLOP_CLASS_COUNT entries summing to 22,100 flops
+ */
+const getFlopClasses = () => {
+  if (!flopClasses) {
+    const deck = _.flatMap(RANKS.split(''), rank => SUITS.split('').map(suit => rank + suit));
+    const counts = {};
+    deck.forEach((first, i) => deck.slice(i + 1).forEach((second, j) => deck.slice(i + j + 2).forEach((third) => {
+      const flopClass = getFlopClass([ first, second, third ]);
+      counts[flopClass] = (counts[flopClass] || 0) + 1;
+    })));
+    flopClasses = _.sortBy(Object.keys(counts), flopClass => toKey(flopClass.match(/.{2}/g)))
+      .map(flopClass => ({ flopClass, flops: counts[flopClass] }));
+  }
+  return flopClasses;
+};
+
+module.exports = {
+  FLOP_CLASS_COUNT,
+  toCards,
+  remapCards,
+  canonicalizeBoard,
+  getFlopClass,
+  mapCardsBetweenBoards,
+  getFlopClasses,
+};
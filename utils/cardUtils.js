@@ -135,20 +135,151 @@ function getLogicalHandRepresentation(combo) {
   return firstRank + secondRank + suited;
 }
 
+// Categories from strongest to weakest, used to pick the best Omaha two-card combination
+const HAND_CATEGORY_ORDER = [
+  HAND_CATEGORIES.STRAIGHT_FLUSH,
+  HAND_CATEGORIES.QUADS,
+  HAND_CATEGORIES.FULL_HOUSE,
+  HAND_CATEGORIES.FLUSH,
+  HAND_CATEGORIES.STRAIGHT,
+  HAND_CATEGORIES.SET,
+  HAND_CATEGORIES.TRIPS,
+  HAND_CATEGORIES.TWO_PAIR,
+  HAND_CATEGORIES.OVER_PAIR,
+  HAND_CATEGORIES.TOP_PAIR,
+  HAND_CATEGORIES.MIDDLE_PAIR,
+  HAND_CATEGORIES.WEAK_PAIR,
+  HAND_CATEGORIES.UNDER_PAIR,
+  HAND_CATEGORIES.FLUSH_DRAW,
+  HAND_CATEGORIES.STRAIGHT_DRAW,
+  HAND_CATEGORIES.GUTSHOT,
+  HAND_CATEGORIES.ACE_HIGH,
+  HAND_CATEGORIES.NO_MADE_HAND,
+];
+
+/**
+ * Splits a combo into card objects
+ * @param {string|Array} combo - Card combo (e.g., "AhKh", "AhKhQsJs") or array of cards (e.g., ["Ah", "Kh"])
+ * @returns {Array} Array of card objects with rank and suit
+ */
+function parseCombo(combo) {
+  const cards = Array.isArray(combo) ? combo : combo.match(/../g);
+  return cards.map(card => ({ rank: card[0], suit: card[1] }));
+}
+
+/**
+ * Sorts cards from highest to lowest rank (e.g., ["5d", "Ah", "Ks", "Kh"] => ["Ah", "Ks", "Kh", "5d"])
+ * @param {Array} cards - Array of cards
+ * @returns {Array} Sorted copy of the cards
+ */
+function sortCards(cards) {
+  return [...cards].sort((a, b) => getRankValue(b[0]) - getRankValue(a[0]));
+}
+
+/**
+ * Returns every k-sized combination of an array
+ * @param {Array} items - Items to combine
+ * @param {number} k - Combination size
+ * @returns {Array} Array of combinations
+ */
+function getCombinations(items, k) {
+  if (k === 0) return [[]];
+  if (items.length < k) return [];
+  const [first, ...rest] = items;
+  return [
+    ...getCombinations(rest, k - 1).map(combination => [first, ...combination]),
+    ...getCombinations(rest, k)
+  ];
+}
+
+/**
+ * Converts Omaha hole cards to their logical representation (e.g., "AAKJds")
+ * Ranks from highest to lowest followed by the suit structure:
+ * ds (double suited), ss (single suited), ts (three of a suit), ms (monotone) or r (rainbow)
+ * @param {Array} cards - Array of 4 or 5 hole cards (e.g., ["Ah", "As", "Kh", "Js"])
+ * @returns {string} Logical hand representation
+ */
+function getOmahaHandRepresentation(cards) {
+  const sorted = sortCards(cards);
+  const suitCounts = {};
+  for (const card of sorted) {
+    suitCounts[card[1]] = (suitCounts[card[1]] || 0) + 1;
+  }
+  const counts = Object.values(suitCounts).sort((a, b) => b - a);
+
+  let suitedness = 'r';
+  if (counts[0] === sorted.length) {
+    suitedness = 'ms';
+  } else if (counts[0] >= 3) {
+    suitedness = 'ts';
+  } else if (counts[0] === 2 && counts[1] === 2) {
+    suitedness = 'ds';
+  } else if (counts[0] === 2) {
+    suitedness = 'ss';
+  }
+
+  return sorted.map(card => card[0]).join('') + suitedness;
+}
+
 /**
  * Categorizes a hand based on the board
- * @param {string} combo - Card combo (e.g., "AhKh")
+ * Omaha hands (4 or 5 hole cards) must use exactly two hole cards and three board cards
+ * @param {string|Array} combo - Card combo (e.g., "AhKh", "AhKhQsJs") or array of hole cards
  * @param {Array} board - Array of board cards
  * @returns {string} Hand category
  */
 function categorizeHand(combo, board) {
-  // Extract the two cards from the combo
-  const card1 = { rank: combo[0], suit: combo[1] };
-  const card2 = { rank: combo[2], suit: combo[3] };
+  const holeCards = parseCombo(combo);
   
   // Parse the board cards
   const boardCards = board.map(card => ({ rank: card[0], suit: card[1] }));
-  
+
+  if (holeCards.length > 2) {
+    return categorizeOmahaHand(holeCards, boardCards);
+  }
+
+  const [card1, card2] = holeCards;
+  return getMadeHandCategory(card1, card2, boardCards) ||
+    getPairOrDrawCategory(card1, card2, boardCards) ||
+    HAND_CATEGORIES.NO_MADE_HAND;
+}
+
+/**
+ * Categorizes an Omaha hand with the two-plus-three rule
+ * - Made hands (two pair and better) are evaluated on every 2 hole cards + 3 board cards combination
+ * - Pairs and draws are read per pair of hole cards against the whole board, flush draws need two suited hole cards
+ * @param {Array} holeCards - Array of card objects
+ * @param {Array} boardCards - Array of card objects
+ * @returns {string} Best hand category
+ */
+function categorizeOmahaHand(holeCards, boardCards) {
+  const holePairs = getCombinations(holeCards, 2);
+  const boardTriplets = boardCards.length > 3 ? getCombinations(boardCards, 3) : [boardCards];
+  const categories = [];
+
+  for (const [card1, card2] of holePairs) {
+    for (const triplet of boardTriplets) {
+      const made = getMadeHandCategory(card1, card2, triplet);
+      if (made) categories.push(made);
+    }
+    const pairOrDraw = getPairOrDrawCategory(card1, card2, boardCards, true);
+    if (pairOrDraw) categories.push(pairOrDraw);
+  }
+
+  if (!categories.length) return HAND_CATEGORIES.NO_MADE_HAND;
+  return categories.reduce((best, category) => (
+    HAND_CATEGORY_ORDER.indexOf(category) < HAND_CATEGORY_ORDER.indexOf(best) ? category : best
+  ));
+}
+
+/**
+ * Made hand category of two hole cards, two pair or better
+ * @param {Object} card1 - First hole card
+ * @param {Object} card2 - Second hole card
+ * @param {Array} boardCards - Array of card objects
+ * @returns {string|null} Hand category, null when no made hand
+ */
+function getMadeHandCategory(card1, card2, boardCards) {
   // Check for made hands first (strongest to weakest)
   if (hasStraightFlush(card1, card2, boardCards)) {
     return HAND_CATEGORIES.STRAIGHT_FLUSH;
@@ -181,7 +312,19 @@ function categorizeHand(combo, board) {
   if (hasTwoPair(card1, card2, boardCards)) {
     return HAND_CATEGORIES.TWO_PAIR;
   }
-  
+
+  return null;
+}
+
+/**
+ * Pair, draw or high card category of two hole cards
+ * @param {Object} card1 - First hole card
+ * @param {Object} card2 - Second hole card
+ * @param {Array} boardCards - Array of card objects
+ * @param {boolean} isOmaha - Flush draws must use both hole cards
+ * @returns {string|null} Hand category, null when nothing
+ */
+function getPairOrDrawCategory(card1, card2, boardCards, isOmaha = false) {
   // Check for different pairs
   if (hasOverPair(card1, card2, boardCards)) {
     return HAND_CATEGORIES.OVER_PAIR;
@@ -204,7 +347,7 @@ function categorizeHand(combo, board) {
   }
   
   // Check for drawing hands
-  if (hasFlushDraw(card1, card2, boardCards)) {
+  if ((!isOmaha || card1.suit === card2.suit) && hasFlushDraw(card1, card2, boardCards)) {
     return HAND_CATEGORIES.FLUSH_DRAW;
   }
   
@@ -220,9 +363,8 @@ function categorizeHand(combo, board) {
   if (hasAceHigh(card1, card2, boardCards)) {
     return HAND_CATEGORIES.ACE_HIGH;
   }
-  
-  // Default to no made hand
-  return HAND_CATEGORIES.NO_MADE_HAND;
+
+  return null;
 }
 
 // Implementation of hand evaluation functions
@@ -790,6 +932,8 @@ module.exports = {
   getRankValue,
   getRankValues,
   getLogicalHandRepresentation,
+  getOmahaHandRepresentation,
+  sortCards,
   categorizeHand,
   analyzeBoardTexture,
   getBoardWetness,
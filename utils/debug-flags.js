@@ -1,6 +1,7 @@
 const { BOARD_TEXTURE } = require('./constants');
 const { getPositionBucket } = require('./position-buckets');
 const { generateActionSequence } = require('./solver-node');
+const { getFlopClass } = require('./board-canonical');
 
 /**
  * Generate debug flags comparing query and result
@@ -14,9 +15,11 @@ function generateDebugFlags(querySnapshot, resultPayload, queryCleanedActions, s
     matchActionHistory: false,
     matchBoardTexture: false,
     matchFlopArchetype: false,
+    matchFlopClass: false,
     
     // Board analysis
     flopArchetype: '',
+    flopClass: '',
     boardTexture: '',
     
     // Action analysis
@@ -58,6 +61,7 @@ function generateDebugFlags(querySnapshot, resultPayload, queryCleanedActions, s
   // Board texture analysis for result
   flags.flopArchetype = getFlopArchetypeName(resultPayload.board);
   flags.boardTexture = getBoardTextureName(resultPayload.board);
+  flags.flopClass = getFlopClass(resultPayload.board || []) || '';
   
   // Calculate board matches
   const queryFlopArchetype = getFlopArchetypeName(querySnapshot.board);
@@ -65,6 +69,7 @@ function generateDebugFlags(querySnapshot, resultPayload, queryCleanedActions, s
   
   flags.matchFlopArchetype = flags.flopArchetype === queryFlopArchetype;
   flags.matchBoardTexture = flags.boardTexture === queryBoardTexture;
+  flags.matchFlopClass = !!flags.flopClass && flags.flopClass === getFlopClass(querySnapshot.board || []);
   
   // Stack difference
   const queryStack = Math.min(querySnapshot.stack_bb, 100);
@@ -0,0 +1,107 @@
+const { Hand } = require('pokersolver');
+const { RANKS, SUITS } = require('./cardUtils');
+
+const DECK = RANKS.flatMap((rank) => SUITS.map((suit) => `${rank}${suit}`));
+
+// Upper bound of pokersolver evaluations for one equity computation (~40 microseconds each, so ~80ms
+// of CPU at most), runouts are enumerated below it and sampled above it (preflop all-ins).
+// 1,000 heads-up preflop runouts keep the standard error of an equity under 1.6%.
+const MAX_EVALUATIONS = 2000;
+// An Omaha runout costs C(hole cards, 2) x 10 evaluations per player, so a sample under MAX_EVALUATIONS
+// is a dozen runouts. Omaha equities are only enumerated, within this bound (~300ms): river runouts of
+// turn all-ins. Earlier Omaha all-ins have no equity.
+const MAX_OMAHA_EVALUATIONS = 8000;
+
+const combinations = (items, k) => {
+  if (k === 0) return [ [] ];
+  if (items.length < k) return [];
+  const [ first, ...rest ] = items;
+  return [
+    ...combinations(rest, k - 1).map((c) => [ first, ...c ]),
+    ...combinations(rest, k),
+  ];
+};
+
+const countCombinations = (n, k) => {
+  let count = 1;
+  for (let i = 0; i < k; i++) count = (count * (n - i)) / (i + 1);
+  return Math.round(count);
+};
+
+// Seeded random numbers in [0, 1) (mulberry32), sampled equities are the same on every import of a hand
+const createRandom = (seedText) => {
+  let seed = 0;
+  for (let i = 0; i < seedText.length; i++) seed = (Math.imul(seed, 31) + seedText.charCodeAt(i)) | 0;
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const sampleRunout = (deck, size, random) => {
+  const cards = [ ...deck ];
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (cards.length - i));
+    [ cards[i], cards[j] ] = [ cards[j], cards[i] ];
+  }
+  return cards.slice(0, size);
+};
+
+/**
+ * Best five card hand of a player on a complete board
+ * Omaha hands (more than 2 hole cards) use exactly two hole cards and three board cards
+ * @param {array} holeCards: e.g. [ 'Ah', 'Kh' ]
+ * @param {array} board: 5 board cards
+ * @returns {object} pokersolver hand
+ */
+const solveHand = (holeCards, board) => {
+  if (holeCards.length <= 2) return Hand.solve([ ...holeCards, ...board ]);
+  const hands = [];
+  combinations(holeCards, 2).forEach((hole) => {
+    combinations(board, 3).forEach((flop) => hands.push(Hand.solve([ ...hole, ...flop ])));
+  });
+  return Hand.winners(hands)[0];
+};
+
+/**
+ * Showdown equity of each player, split pots count as a share of the pot
+ * @param {array} players: hole cards of each player, e.g. [ [ 'Ah', 'Kh' ], [ 'Qd', 'Qs' ] ]
+ * @param {array} board: known board cards (0 to 5)
+ * @returns {array|null} equity of each player in [0, 1], same order as players,
+ *   null for Omaha runouts too many to enumerate (see MAX_OMAHA_EVALUATIONS)
+ */
+const getEquities = (players, board = []) => {
+  const known = new Set([ ...board, ...players.flat() ]);
+  const deck = DECK.filter((card) => !known.has(card));
+  const missing = 5 - board.length;
+
+  const evaluationsPerRunout = players.reduce((acc, cards) => (
+    acc + (cards.length > 2 ? countCombinations(cards.length, 2) * countCombinations(5, 3) : 1)
+  ), 0);
+  const isOmaha = players.some((cards) => cards.length > 2);
+  const runoutCount = countCombinations(deck.length, missing);
+  if (isOmaha && runoutCount * evaluationsPerRunout > MAX_OMAHA_EVALUATIONS) return null;
+  const maxRunouts = isOmaha ? runoutCount : Math.max(1, Math.floor(MAX_EVALUATIONS / evaluationsPerRunout));
+  const random = createRandom([ ...players.map((cards) => cards.join('')), board.join('') ].join('|'));
+  const runouts = runoutCount <= maxRunouts
+    ? combinations(deck, missing)
+    : Array.from({ length: maxRunouts }, () => sampleRunout(deck, missing, random));
+
+  const shares = players.map(() => 0);
+  runouts.forEach((runout) => {
+    const fullBoard = [ ...board, ...runout ];
+    const solved = players.map((cards) => solveHand(cards, fullBoard));
+    const winners = Hand.winners(solved);
+    solved.forEach((hand, i) => {
+      if (winners.includes(hand)) shares[i] += 1 / winners.length;
+    });
+  });
+  return shares.map((share) => share / runouts.length);
+};
+
+module.exports = {
+  solveHand,
+  getEquities,
+};
@@ -0,0 +1,397 @@
+/* eslint-disable max-len */
+const moment = require('moment');
+const { solveHand } = require('./equity');
+
+/**
+ * Hand exporter - turns a stored Hands document back into a standard hand history
+ * - pokerstars: PokerStars text, readable by the hhp / utils/hand-parsers parsers and most trackers
+ * - ohh: Open Hand History JSON (https://hh-specs.handhistory.org)
+ * Hands imported before header.table / header.board / playerChips.seat were stored get seats
+ * numbered in position order and the board read back from the street summaries.
+ */
+
+const EXPORT_FORMATS = [ 'pokerstars', 'ohh' ];
+
+const STREETS = [ 'preflop', 'flop', 'turn', 'river' ];
+const CURRENCY_CODES = { $: 'USD', '€': 'EUR', '£': 'GBP' };
+const LIMIT_NAMES = { nolimit: 'No Limit', potlimit: 'Pot Limit', fixedlimit: 'Limit' };
+const POSITION_LABELS = { BU: 'button', SB: 'small blind', BB: 'big blind' };
+const POST_LABELS = { sb: 'small blind', bb: 'big blind', ante: 'the ante' };
+const FOLDED_ON = {
+  preflop: 'folded before Flop', flop: 'folded on the Flop', turn: 'folded on the Turn', river: 'folded on the River',
+};
+const SITE_NAMES = { pokerstars: 'PokerStars', ggpoker: 'GGPoker' };
+
+const round = (amount) => +(+amount || 0).toFixed(2);
+const sum = (amounts) => round(amounts.reduce((acc, a) => acc + a, 0));
+const pad = (value) => `${value}`.padStart(2, '0');
+
+const getBoard = (hand) => {
+  if (hand.header.board && hand.header.board.length) return hand.header.board;
+  const { flopSummary = {}, turnSummary = {}, riverSummary = {} } = hand;
+  return [ ...(flopSummary.board || []), turnSummary.board, riverSummary.board ].filter(Boolean);
+};
+
+// Players by playerIndex with their seat number, folded street and amount collected
+const getPlayers = (hand) => {
+  const { playerChips, actionScript, preflopSummary, spoilers = [] } = hand;
+  return playerChips.map((p, playerIndex) => {
+    const actions = actionScript.filter((s) => s.action && s.playerIndex === playerIndex);
+    const fold = actions.find((s) => s.action.type === 'fold');
+    const spoiler = spoilers.find((s) => s.pos === p.pos);
+    return {
+      ...p,
+      playerIndex,
+      seat: p.seat || playerIndex + 1,
+      foldedOn: fold && fold.street,
+      collected: sum(actions.filter((s) => s.action.type === 'collect').map((s) => s.action.amount)),
+      holeCards: p.hero ? preflopSummary.holeCards : spoiler && spoiler.holeCards,
+    };
+  });
+};
+
+const getButtonSeat = (hand, players) => {
+  if (hand.header.button) return hand.header.button;
+  const button = players.find((p) => p.pos === 'BU') || players.find((p) => p.pos === 'SB');
+  return button && button.seat;
+};
+
+const getRake = (players) => Math.max(0, sum(players.map((p) => p.chips - p.chipsAfter)));
+
+const wentToShowdown = (hand) => hand.actionScript.some((s) => s.street === 'showdown');
+
+const RANK_NAMES = {
+  2: 'Deuce', 3: 'Three', 4: 'Four', 5: 'Five', 6: 'Six', 7: 'Seven', 8: 'Eight', 9: 'Nine', T: 'Ten', J: 'Jack', Q: 'Queen', K: 'King', A: 'Ace',
+};
+const plural = (rank) => (rank === '6' ? 'Sixes' : `${RANK_NAMES[rank]}s`);
+
+/**
+ * Hand description shown next to the cards at showdown, worded like PokerStars
+ * @param {array} holeCards: player's hole cards
+ * @param {array} board: full board
+ * @returns {string} e.g. 'three of a kind, Queens', 'a flush, Ace high'
+ */
+const describeHand = (holeCards, board) => {
+  if (board.length < 5) return 'a hand';
+  const { name, cards } = solveHand(holeCards, board);
+  const ranks = cards.map((c) => c.value);
+  switch (name) {
+  case 'Pair':
+    return `a pair of ${plural(ranks[0])}`;
+  case 'Two Pair':
+    return `two pair, ${plural(ranks[0])} and ${plural(ranks[2])}`;
+  case 'Three of a Kind':
+    return `three of a kind, ${plural(ranks[0])}`;
+  case 'Straight':
+    return `a straight, ${RANK_NAMES[ranks[4]]} to ${RANK_NAMES[ranks[0]]}`;
+  case 'Flush':
+    return `a flush, ${RANK_NAMES[ranks[0]]} high`;
+  case 'Full House':
+    return `a full house, ${plural(ranks[0])} full of ${plural(ranks[3])}`;
+  case 'Four of a Kind':
+    return `four of a kind, ${plural(ranks[0])}`;
+  case 'Straight Flush':
+    return `a straight flush, ${RANK_NAMES[ranks[4]]} to ${RANK_NAMES[ranks[0]]}`;
+  case 'Royal Flush':
+    return 'a Royal Flush';
+  default:
+    return `high card ${RANK_NAMES[ranks[0]]}`;
+  }
+};
+
+/**
+ * Raise amounts are stored as the chips added by the action, hand histories print "raises X to Y"
+ * where X is the raise over the current bet and Y the player's total bet on the street
+ * @param {object} hand: Hands document
+ * @returns {array} actionScript entries with { raiseBy, raiseTo } on raises
+ */
+const withRaiseSizes = (hand) => {
+  const blind = Math.max(0, ...hand.posts.filter((p) => p.type !== 'ante' && p.type !== 'blind').map((p) => p.amount));
+  let street;
+  let currentBet = 0;
+  return hand.actionScript.filter((s) => s.action).map((s) => {
+    if (s.street !== street) {
+      street = s.street;
+      currentBet = street === 'preflop' ? blind : 0;
+    }
+    const { type, chipsInFront } = s.action;
+    if (type !== 'bet' && type !== 'raise') return s;
+    const raiseBy = round(chipsInFront - currentBet);
+    currentBet = Math.max(currentBet, chipsInFront);
+    return { ...s, raiseBy, raiseTo: round(chipsInFront) };
+  });
+};
+
+/**
+ * Export a hand as PokerStars hand history text
+ * @param {object} hand: Hands document
+ * @returns {string} hand history
+ */
+const toPokerStarsText = (hand) => {
+  const { header, posts } = hand;
+  const isTournament = header.gametype === 'tournament';
+  const { tournament } = header;
+  const players = getPlayers(hand);
+  const board = getBoard(hand);
+  const hero = players.find((p) => p.hero);
+  const buttonSeat = getButtonSeat(hand, players);
+
+  const money = (amount) => {
+    const value = Number.isInteger(round(amount)) ? `${round(amount)}` : round(amount).toFixed(2);
+    return isTournament ? value : `${header.currency || '$'}${value}`;
+  };
+  const currencyCode = CURRENCY_CODES[isTournament ? tournament && tournament.currency : header.currency];
+  const game = header.pokertype === 'omaha'
+    ? `${hero && hero.holeCards && hero.holeCards.length === 5 ? '5 Card ' : ''}Omaha ${LIMIT_NAMES[header.limit] || 'Pot Limit'}`
+    : `Hold'em ${LIMIT_NAMES[header.limit] || 'No Limit'}`;
+  // Wall clock time of the room, as read from the original hand
+  const date = header.year
+    ? `${header.year}/${pad(header.month)}/${pad(header.day)} ${header.hour}:${pad(header.min)}:${pad(header.sec)} ${header.timezone || 'ET'}`
+    : `${moment.utc(header.timestamp).format('YYYY/MM/DD H:mm:ss')} UTC`;
+  const handId = header.handid;
+
+  const lines = [];
+  if (header.room === 'ggpoker' && !isTournament) {
+    // GG hand ids carry letters ('RC1187431021'), the GG header keeps them so a re-import finds the same hand
+    lines.push(`Poker Hand #${handId}: ${game} (${money(header.sb)}/${money(header.bb)}) - ${moment.utc(header.timestamp).format('YYYY/MM/DD HH:mm:ss')}`);
+    lines.push(`Table '${header.table || header.handid}' ${header.maxseats}-max Seat #${buttonSeat} is the button`);
+  } else if (isTournament && tournament) {
+    const buyIn = `${tournament.currency || '$'}${round(tournament.buyIn).toFixed(2)}+${tournament.currency || '$'}${round(tournament.fee).toFixed(2)}`;
+    lines.push(`PokerStars Hand #${handId}: Tournament #${tournament.id}, ${buyIn}${currencyCode ? ` ${currencyCode}` : ''} ${game} - Level ${(tournament.level || 'I').toUpperCase()} (${money(header.sb)}/${money(header.bb)}) - ${date}`);
+    lines.push(`Table '${tournament.id} ${header.table || 1}' ${header.maxseats}-max Seat #${buttonSeat} is the button`);
+  } else {
+    lines.push(`PokerStars Hand #${handId}:  ${game} (${money(header.sb)}/${money(header.bb)}${currencyCode ? ` ${currencyCode}` : ''}) - ${date}`);
+    lines.push(`Table '${header.table || header.handid}' ${header.maxseats}-max Seat #${buttonSeat} is the button`);
+  }
+
+  const bySeat = [ ...players ].sort((a, b) => a.seat - b.seat);
+  bySeat.forEach((p) => lines.push(`Seat ${p.seat}: ${p.name} (${money(p.chips)} in chips)`));
+  posts.forEach((p) => lines.push(`${p.name}: posts ${POST_LABELS[p.type] || 'big blind'} ${money(p.amount)}`));
+
+  lines.push('*** HOLE CARDS ***');
+  if (hero && hero.holeCards) lines.push(`Dealt to ${hero.name} [${hero.holeCards.join(' ')}]`);
+
+  const script = withRaiseSizes(hand);
+  const boardByStreet = { flop: 3, turn: 4, river: 5 };
+  STREETS.forEach((street) => {
+    if (street !== 'preflop') {
+      if (board.length < boardByStreet[street]) return;
+      const shown = board.slice(0, boardByStreet[street]);
+      lines.push(street === 'flop'
+        ? `*** FLOP *** [${shown.join(' ')}]`
+        : `*** ${street.toUpperCase()} *** [${shown.slice(0, -1).join(' ')}] [${shown[shown.length - 1]}]`);
+    }
+    script.filter((s) => s.street === street).forEach(({ action, playerIndex, raiseBy, raiseTo }) => {
+      const { name } = players[playerIndex];
+      const allin = action.allin ? ' and is all-in' : '';
+      switch (action.type) {
+      case 'fold':
+        lines.push(`${name}: folds`);
+        break;
+      case 'check':
+        lines.push(`${name}: checks`);
+        break;
+      case 'call':
+        lines.push(`${name}: calls ${money(action.amount)}${allin}`);
+        break;
+      case 'bet':
+        lines.push(`${name}: bets ${money(raiseBy)}${allin}`);
+        break;
+      case 'raise':
+        lines.push(`${name}: raises ${money(raiseBy)} to ${money(raiseTo)}${allin}`);
+        break;
+      case 'bet-returned':
+        lines.push(`Uncalled bet (${money(action.amount)}) returned to ${name}`);
+        break;
+      default:
+        break;
+      }
+    });
+  });
+
+  const showdown = wentToShowdown(hand);
+  const atShowdown = players.filter((p) => !p.foldedOn);
+  if (showdown) {
+    lines.push('*** SHOW DOWN ***');
+    atShowdown.forEach((p) => lines.push(p.holeCards
+      ? `${p.name}: shows [${p.holeCards.join(' ')}] (${describeHand(p.holeCards, board)})`
+      : `${p.name}: mucks hand`));
+  }
+  players.filter((p) => p.collected).forEach((p) => lines.push(`${p.name} collected ${money(p.collected)} from pot`));
+  if (tournament && tournament.finishPosition && hero) {
+    const prize = tournament.prize ? ` and received ${tournament.currency || '$'}${round(tournament.prize).toFixed(2)}` : '';
+    lines.push(`${hero.name} finished the tournament in ${moment.localeData().ordinal(tournament.finishPosition)} place${prize}.`);
+  }
+
+  const rake = getRake(players);
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot ${money(sum(players.map((p) => p.collected)) + rake)} | Rake ${money(rake)}`);
+  if (board.length) lines.push(`Board [${board.join(' ')}]`);
+  bySeat.forEach((p) => {
+    const label = POSITION_LABELS[p.pos] || (p.seat === buttonSeat ? 'button' : '');
+    const seat = `Seat ${p.seat}: ${p.name}${label ? ` (${label})` : ''}`;
+    if (p.foldedOn) {
+      const invested = p.foldedOn === 'preflop'
+        && (posts.some((post) => post.playerIndex === p.playerIndex && post.type !== 'ante')
+          || hand.actionScript.some((s) => s.action && s.playerIndex === p.playerIndex && [ 'call', 'bet', 'raise' ].includes(s.action.type)));
+      lines.push(`${seat} ${FOLDED_ON[p.foldedOn]}${p.foldedOn === 'preflop' && !invested ? ' (didn\'t bet)' : ''}`);
+    } else if (showdown && p.holeCards) {
+      const description = describeHand(p.holeCards, board);
+      lines.push(p.collected
+        ? `${seat} showed [${p.holeCards.join(' ')}] and won (${money(p.collected)}) with ${description}`
+        : `${seat} showed [${p.holeCards.join(' ')}] and lost with ${description}`);
+    } else if (p.collected) {
+      lines.push(`${seat} collected (${money(p.collected)})`);
+    } else {
+      lines.push(`${seat} mucked`);
+    }
+  });
+
+  return lines.join('\n');
+};
+
+const OHH_ACTIONS = {
+  fold: 'Fold', check: 'Check', call: 'Call', bet: 'Bet', raise: 'Raise',
+};
+const OHH_POSTS = {
+  sb: 'Post SB', bb: 'Post BB', ante: 'Post Ante', blind: 'Post Dead',
+};
+const OHH_BET_TYPES = { nolimit: 'NL', potlimit: 'PL', fixedlimit: 'FL' };
+
+/**
+ * Export a hand as Open Hand History JSON
+ * Player ids are the playerIndex of the hand, action amounts are the chips added by the action except
+ * raises, which the spec writes as the player's total bet on the street (raise to), and the pot is exported as a single pot with every player's winnings
+ * @param {object} hand: Hands document
+ * @returns {object} { ohh }
+ */
+const toOpenHandHistory = (hand) => {
+  const { header, posts } = hand;
+  const { tournament } = header;
+  const players = getPlayers(hand);
+  const board = getBoard(hand);
+  const hero = players.find((p) => p.hero);
+  const startDate = moment(header.timestamp).toISOString();
+
+  let actionNumber = 0;
+  const nextAction = (action) => {
+    actionNumber += 1;
+    return { action_number: actionNumber, ...action };
+  };
+
+  const preflop = [
+    ...(hero && hero.holeCards ? [ nextAction({ player_id: hero.playerIndex, action: 'Dealt Cards', cards: hero.holeCards }) ] : []),
+    ...posts.map((p) => nextAction({
+      player_id: p.playerIndex, action: OHH_POSTS[p.type] || 'Post Extra Blind', amount: p.amount, is_allin: false,
+    })),
+  ];
+  const script = withRaiseSizes(hand);
+  const streetActions = (street) => script
+    .filter((s) => s.street === street && OHH_ACTIONS[s.action.type])
+    .map((s) => nextAction({
+      player_id: s.playerIndex,
+      action: OHH_ACTIONS[s.action.type],
+      ...([ 'fold', 'check' ].includes(s.action.type) ? {} : { amount: s.action.type === 'raise' ? s.raiseTo : round(s.action.amount) }),
+      is_allin: !!s.action.allin,
+    }));
+
+  const boardByStreet = { flop: [ 0, 3 ], turn: [ 3, 4 ], river: [ 4, 5 ] };
+  const rounds = STREETS
+    .filter((street) => street === 'preflop' || board.length >= boardByStreet[street][1])
+    .map((street, id) => ({
+      id,
+      street: `${street[0].toUpperCase()}${street.slice(1)}`,
+      ...(street === 'preflop' ? {} : { cards: board.slice(...boardByStreet[street]) }),
+      actions: street === 'preflop' ? [ ...preflop, ...streetActions(street) ] : streetActions(street),
+    }));
+  if (wentToShowdown(hand)) {
+    rounds.push({
+      id: rounds.length,
+      street: 'Showdown',
+      actions: players.filter((p) => !p.foldedOn).map((p) => nextAction(p.holeCards
+        ? { player_id: p.playerIndex, action: 'Shows Cards', cards: p.holeCards }
+        : { player_id: p.playerIndex, action: 'Mucks Cards' })),
+    });
+  }
+
+  const rake = getRake(players);
+  return {
+    ohh: {
+      spec_version: '1.4.7',
+      site_name: SITE_NAMES[header.room] || header.room,
+      network_name: SITE_NAMES[header.room] || header.room,
+      internal_version: '1.0',
+      tournament: header.gametype === 'tournament',
+      ...(tournament ? {
+        tournament_info: {
+          tournament_number: tournament.id,
+          start_date_utc: startDate,
+          currency: CURRENCY_CODES[tournament.currency] || tournament.currency,
+          buyin_amount: tournament.buyIn,
+          fee_amount: tournament.fee,
+          bounty_fee_amount: 0,
+        },
+      } : {}),
+      game_number: header.handid,
+      start_date_utc: startDate,
+      table_name: `${header.table || header.handid}`,
+      game_type: header.pokertype === 'omaha' ? 'Omaha' : 'Holdem',
+      bet_limit: { bet_type: OHH_BET_TYPES[header.limit] || 'NL', bet_cap: 0 },
+      table_size: header.maxseats,
+      currency: CURRENCY_CODES[header.currency] || header.currency,
+      dealer_seat: getButtonSeat(hand, players),
+      small_blind_amount: header.sb,
+      big_blind_amount: header.bb,
+      ante_amount: header.ante || 0,
+      ...(hero ? { hero_player_id: hero.playerIndex } : {}),
+      flags: [],
+      players: players.map((p) => ({
+        id: p.playerIndex,
+        seat: p.seat,
+        name: p.name,
+        display: p.name,
+        starting_stack: p.chips,
+      })),
+      rounds,
+      pots: [ {
+        number: 0,
+        amount: round(sum(players.map((p) => p.collected)) + rake),
+        rake,
+        player_wins: players.filter((p) => p.collected).map((p) => ({
+          player_id: p.playerIndex,
+          win_amount: p.collected,
+        })),
+      } ],
+    },
+  };
+};
+
+/**
+ * Export one hand
+ * @param {object} hand: Hands document
+ * @param {string} format: one of EXPORT_FORMATS
+ * @returns {string} hand history text / OHH JSON
+ */
+const exportHand = (hand, format = 'pokerstars') => {
+  if (format === 'ohh') return JSON.stringify(toOpenHandHistory(hand));
+  if (format === 'pokerstars') return toPokerStarsText(hand);
+  throw new Error(`Unknown export format ${format}`);
+};
+
+/**
+ * Export hands as one file, hands are separated by blank lines in both formats
+ * @param {array} hands: Hands documents
+ * @param {string} format: one of EXPORT_FORMATS
+ * @returns {string} file content
+ */
+const exportHands = (hands, format = 'pokerstars') => hands
+  .map((hand) => exportHand(hand, format))
+  .join(format === 'ohh' ? '\n\n' : '\n\n\n');
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportHand,
+  exportHands,
+  toPokerStarsText,
+  toOpenHandHistory,
+};
@@ -1,6 +1,13 @@
 /* eslint-disable max-len */
 const hha = require('hha');
 const hhp = require('hhp');
+const _ = require('lodash');
+const { getParser } = require('./hand-parsers');
+const { isOpenHandHistory, extractOpenHandHistories, parseOpenHandHistory } = require('./hand-parsers/ohh');
+const { sortCards } = require('./cardUtils');
+const { getEquities } = require('./equity');
+const { zonedTimeToTimestamp } = require('./timezones');
+const { getFlopClass } = require('./board-canonical');
 
 const actions = [ 'raise', 'call', 'check', 'fold', 'R', 'C', 'X', 'F', 'bet', 'B' ];
 
@@ -72,171 +79,615 @@ const getHeroPreflopBet = (potType, preflopActions, isVPIP, heroPos) => {
   };
 };
 
-const processHands = (hands) => {
-  const parsed = hhp.parseHands(hands);
-  const formatted = parsed.parsedHands.map((hand, index) => {
-    const analyzed = hha(hand);
-    const script = hha.script(analyzed);
-    const summary = hha.summary(script);
-    const { info } = analyzed;
-    const {
-      header,
-      spoilers,
-      seats,
-      preflopActions,
-      preflopSummary,
-      flopSummary,
-      turnSummary,
-      riverSummary,
-      totalPot,
-    } = summary;
-
-    // Get action script to be browsed later
-    const actionScript = Object.keys(script.actions).reduce((acc, street) => {
-      const streetActions = script.actions[street];
-      return [ ...acc, streetActions.map((action) => ({
-        ...action,
-        street,
-      })) ];
-    }, []).flat();
-
-    // Add new street actions (for replay purposes)
-    [ 'preflop', 'flop', 'turn', 'river', 'showdown' ].forEach((street) => {
-      const exist = actionScript.findIndex((action) => action.street === street);
-      if (exist >= 0) {
-        actionScript.splice(exist, 0, { isNewStreet: true, street });
-      }
-    });
+// Hero's first voluntary preflop decision, by number of raises faced: 0 / 1 / 2 / 3+
+const PREFLOP_LINES = [
+  'fold', 'check', 'limp', 'limpRaise', 'RFI', 'isoRaise',
+  'coldCall', '3bet', 'squeeze', 'coldCall3Bet', '4bet', 'coldCall4Bet', '5bet+',
+];
+
+/**
+ * Hero's preflop line and who did what preflop
+ * @param {array} actionScript: formatted action script
+ * @param {array} playerChips: players by playerIndex ({ pos })
+ * @param {number} heroIndex: hero's playerIndex
+ * @param {number} bb: big blind amount
+ * @returns {object} { heroPreflopLine, openSizeBB, openerPos, threeBettorPos, pfaPos, pfCallersPos, heroFaced3Bet, heroVs3Bet }
+ */
+const getPreflopLine = (actionScript, playerChips, heroIndex, bb) => {
+  const acts = actionScript.filter((s) => s.street === 'preflop' && s.action
+    && [ 'raise', 'call', 'check', 'fold' ].includes(s.action.type));
+  const posOf = (s) => playerChips[s.playerIndex] && playerChips[s.playerIndex].pos;
+  const raises = acts.filter((s) => s.action.type === 'raise');
+  const lastRaise = raises[raises.length - 1];
+
+  // State of the action when hero first acts
+  const heroFirstIndex = acts.findIndex((s) => s.playerIndex === heroIndex);
+  const before = acts.slice(0, heroFirstIndex);
+  const raisesBefore = before.filter((s) => s.action.type === 'raise');
+  const lastRaiseBefore = raisesBefore.length ? before.lastIndexOf(raisesBefore[raisesBefore.length - 1]) : -1;
+  const callsBefore = before.slice(lastRaiseBefore + 1).filter((s) => s.action.type === 'call').length;
+  const heroFirst = acts[heroFirstIndex];
+  const heroActs = acts.filter((s) => s.playerIndex === heroIndex);
 
-    /* Generic hand info for filtering */
-    // Eff stack is how much hero is effectively playing for against the table
-    const effStack = Math.min(
-      summary.seats.find((s) => s.hero).chipsBB,
-      Math.max(...summary.seats.filter((s) => !s.hero).map((s) => s.chipsBB)),
-    );
-    const potType = getPotType(preflopActions, actionScript);
-    const heroSeatIndex = seats.findIndex((s) => s.hero);
-    const heroPos = seats.find((s) => s.hero).pos;
-    const hasHero = preflopActions.find((a) => a.pos === heroPos);
-    const isVPIP = !!(hasHero && hasHero.type !== 'check');
-    const isPFR = !!(hasHero && hasHero.type === 'raise');
-
-    // Hero aggression info preflop
-    const {
-      isHero2B,
-      isHero3B,
-      isHero4B,
-      isHero5B,
-    } = getHeroPreflopBet(potType, preflopActions, isVPIP, heroPos);
-
-    // Hero did see flop turn river
-    const {
-      sawFlop,
-      sawTurn,
-      sawRiver,
-      sawShowdown,
-    } = sawStreet(actionScript, heroSeatIndex);
-
-    // Summary of players' chips before and after the hand
-    const playerChips = script.players.map((p) => ({
-      pos: p.exactPos.toUpperCase(),
-      name: p.name,
-      chips: +p.chips.toFixed(2),
-      chipsAfter: +p.chipsAfter.toFixed(2),
-      bb: +(p.chips / summary.header.bb).toFixed(2),
-      bbAfter: +(p.chipsAfter / summary.header.bb).toFixed(2),
-      winLoss: +(p.chipsAfter - p.chips).toFixed(2),
-      winLossBB: +((p.chipsAfter - p.chips) / summary.header.bb).toFixed(2),
-      hero: seats.find((s) => s.hero).pos === p.exactPos.toUpperCase(),
-    }));
-
-    const formattedPosts = hand.posts.map((p) => ({
-      name: p.player,
-      amount: p.amount,
-      type: p.type,
-      playerIndex: playerChips.findIndex((pl) => pl.name === p.player),
-      chips: playerChips.find((pl) => pl.name === p.player).chips,
-      chipsAfter: playerChips.find((pl) => pl.name === p.player).chips - p.amount,
-    }));
-
-    // Short hand of hero's action all postflop streets
-
-    const heroPreflopActions = preflopActions.filter((a) => a.pos === seats.find((s) => s.hero).pos);
-    let heroPreflopSummary;
-    if (heroPreflopActions.length) {
-      heroPreflopSummary = heroPreflopActions.reduce((a, c, i) => (i === 0 ? shortHand(c.type) : `${a}/${shortHand(c.type)}`), '');
+  let heroPreflopLine;
+  if (!heroFirst || heroFirst.action.type === 'fold') {
+    heroPreflopLine = 'fold';
+  } else if (heroFirst.action.type === 'check') {
+    heroPreflopLine = 'check';
+  } else if (raisesBefore.length === 0) {
+    if (heroFirst.action.type === 'raise') {
+      heroPreflopLine = callsBefore ? 'isoRaise' : 'RFI';
     } else {
-      heroPreflopSummary = preflopSummary.pos === 'BB' && !preflopActions.filter((a) => a.type === 'raise').length ? 'W' : 'F';
+      heroPreflopLine = heroActs.some((s) => s.action.type === 'raise') ? 'limpRaise' : 'limp';
     }
+  } else if (raisesBefore.length === 1) {
+    if (heroFirst.action.type === 'raise') heroPreflopLine = callsBefore ? 'squeeze' : '3bet';
+    else heroPreflopLine = 'coldCall';
+  } else if (raisesBefore.length === 2) {
+    heroPreflopLine = heroFirst.action.type === 'raise' ? '4bet' : 'coldCall3Bet';
+  } else {
+    heroPreflopLine = heroFirst.action.type === 'raise' ? '5bet+' : 'coldCall4Bet';
+  }
 
-    const getActionSummary = (a, c, i) => (i === 0 ? shortHand(c.action.type) : `${a}/${shortHand(c.action.type)}`);
-    const getHeroActionByStreet = (s, street) => s.street === street && s.playerIndex === heroSeatIndex && actions.includes(s.action.type);
-    const flopActions = actionScript.filter((s) => getHeroActionByStreet(s, 'flop'));
-    const heroFlopSummary = flopActions.reduce(getActionSummary, '');
-    const turnActions = actionScript.filter((s) => getHeroActionByStreet(s, 'turn'));
-    const heroTurnSummary = turnActions.reduce(getActionSummary, '');
-    const riverActions = actionScript.filter((s) => getHeroActionByStreet(s, 'river'));
-    const heroRiverSummary = riverActions.reduce(getActionSummary, '');
-
-    // Construct Processed Hand
-    const current = {};
-    current.preflopSummary = {
-      ...preflopSummary,
-      heroPreflopSummary,
-    };
-    current.flopSummary = {
-      ...flopSummary,
-      heroFlopSummary,
-    };
-    current.turnSummary = {
-      ...turnSummary,
-      heroTurnSummary,
-    };
-    current.riverSummary = {
-      ...riverSummary,
-      heroRiverSummary,
-    };
+  // Hero raised first in and someone re-raised
+  let heroVs3Bet;
+  if (raises.length >= 2 && raises[0].playerIndex === heroIndex) {
+    const heroResponse = acts.slice(acts.indexOf(raises[1]) + 1).find((s) => s.playerIndex === heroIndex);
+    if (heroResponse) heroVs3Bet = heroResponse.action.type === 'raise' ? '4bet' : heroResponse.action.type;
+  }
 
-    current.info = {
-      potType,
-      effStack,
-      isVPIP,
-      isPFR,
-      heroPos,
-      isHero2B,
-      isHero3B,
-      isHero4B,
-      isHero5B,
-      sawFlop,
-      sawTurn,
-      sawRiver,
-      sawShowdown,
-      heroSeatIndex,
-    };
+  return {
+    heroPreflopLine,
+    openSizeBB: raises.length ? +(raises[0].action.chipsInFront / bb).toFixed(2) : undefined,
+    openerPos: raises.length ? posOf(raises[0]) : undefined,
+    threeBettorPos: raises.length >= 2 ? posOf(raises[1]) : undefined,
+    pfaPos: lastRaise ? posOf(lastRaise) : undefined,
+    pfCallersPos: lastRaise
+      ? acts.slice(acts.indexOf(lastRaise) + 1).filter((s) => s.action.type === 'call').map(posOf)
+      : acts.filter((s) => s.action.type === 'call').map(posOf),
+    heroFaced3Bet: !!heroVs3Bet,
+    heroVs3Bet,
+  };
+};
+
+// Flop texture flags used by the my-hands texture / high card filters
+const getFlopTextures = (board) => {
+  if (!board || board.length < 3) return {};
+  const ranks = board.map((c) => c[0]);
+  const suits = board.map((c) => c[1]);
+  const uniqueSuits = new Set(suits).size;
+  const uniqueRanks = new Set(ranks).size;
+  const rankOrder = '23456789TJQKA';
+  const highestCard = ranks.reduce((a, c) => (rankOrder.indexOf(c) > rankOrder.indexOf(a) ? c : a));
+  return {
+    isRainbow: uniqueSuits === 3,
+    isTwoTones: uniqueSuits === 2,
+    isMonoTone: uniqueSuits === 1,
+    isPaired: uniqueRanks === 2,
+    isThreeOfAKind: uniqueRanks === 1,
+    isBroadway: ranks.every((r) => 'TJQKA'.includes(r)),
+    highestCard,
+  };
+};
+
+// Turn / river card classes, in priority order: the first class of a card is its main class
+const RUNOUT_CLASSES = [ 'flushComplete', 'straightComplete', 'doublePaired', 'boardPair', 'overcard', 'brick' ];
+
+// Rank windows of every straight, the ace plays low in the wheel
+const STRAIGHT_WINDOWS = [ ...Array(10).keys() ].map((i) => [ ...'A23456789TJQKA'.slice(i, i + 5) ]);
+
+/**
+ * Classes of the card dealt on a street against the board before it
+ * flushComplete: third card of a suit, straightComplete: new rank in a straight window that already held
+ * two board ranks, boardPair / doublePaired: pairs the board (doublePaired when another rank is already
+ * paired), overcard: higher than every board card, brick: none of them
+ * @param {array} board: board cards, e.g. [ 'Ah', '7c', '2d', 'Kh' ]
+ * @param {number} index: 3 turn, 4 river
+ * @returns {array} RUNOUT_CLASSES of the card, empty without that card
+ */
+const getRunoutClasses = (board, index) => {
+  if (!board || board.length <= index) return [];
+  const card = board[index];
+  const previous = board.slice(0, index);
+  const ranks = previous.map((c) => c[0]);
+  const rankOrder = '23456789TJQKA';
+  const counts = _.countBy(ranks);
+  const classes = {
+    flushComplete: previous.filter((c) => c[1] === card[1]).length === 2,
+    straightComplete: !ranks.includes(card[0])
+      && STRAIGHT_WINDOWS.some((window) => window.includes(card[0]) && _.uniq(ranks.filter((r) => window.includes(r))).length >= 2),
+    doublePaired: ranks.includes(card[0]) && Object.keys(counts).some((rank) => rank !== card[0] && counts[rank] >= 2),
+    boardPair: ranks.includes(card[0]),
+    overcard: ranks.every((rank) => rankOrder.indexOf(card[0]) > rankOrder.indexOf(rank)),
+  };
+  const found = RUNOUT_CLASSES.filter((name) => classes[name]);
+  return found.length ? found : [ 'brick' ];
+};
+
+// hha only analyzes hold'em, betting and pots are read the same way for Omaha
+const analyzeHand = (hand) => {
+  if (hand.info.pokertype !== 'omaha') return hha(hand);
+  const analyzed = hha({ ...hand, info: { ...hand.info, pokertype: 'holdem' } });
+  analyzed.info.pokertype = 'omaha';
+  return analyzed;
+};
+
+// Full hole card list: 2 cards in hold'em, 4 or 5 in Omaha (set by the Omaha parsers as `cards`)
+const getHoleCards = (entry) => (entry.cards ? sortCards(entry.cards) : [ entry.card1, entry.card2 ]);
+
+// Hole cards shown / mucked at showdown by player name
+const getShownHoleCards = (hand) => [ ...hand.showdown, ...(hand.summary || []) ]
+  .reduce((acc, action) => {
+    if (action.card1 && action.card2 && !acc[action.player]) acc[action.player] = getHoleCards(action);
+    return acc;
+  }, {});
+
+const POSTFLOP_STREETS = [ 'flop', 'turn', 'river' ];
+const isAggressive = (s) => s.action.type === 'bet' || s.action.type === 'raise';
+const capitalize = (street) => `${street[0].toUpperCase()}${street.slice(1)}`;
+
+// Postflop flags stored on info, `my-hands` filters on them by name
+const POSTFLOP_FLAGS = [
+  ...POSTFLOP_STREETS.flatMap((street) => [
+    `${street}CBetOpp`, `${street}CBet`,
+    `faced${capitalize(street)}CBet`, `foldTo${capitalize(street)}CBet`,
+    `${street}CheckRaise`, `${street}Donk`,
+  ]),
+  'turnProbe', 'riverProbe',
+  'delayedCBetOpp', 'delayedCBet',
+  'facedRiverBet', 'wtsdAfterRiverBet',
+];
+
+/**
+ * Hero's postflop behaviour read from the action script
+ * - c-bet: preflop aggressor bets first on the flop, then keeps betting first on the next streets
+ * - donk: hero bets first into the previous street's aggressor
+ * - probe: hero (not the preflop aggressor) bets first after the previous street checked through
+ * - delayed c-bet: preflop aggressor checks the flop through and bets first on the turn
+ * @param {array} actionScript: formatted action script
+ * @param {number} heroIndex: hero's playerIndex
+ * @param {boolean} sawShowdown: hero went to showdown
+ * @returns {object} every POSTFLOP_FLAGS key, true / false
+ */
+const getPostflopFlags = (actionScript, heroIndex, sawShowdown) => {
+  const flags = POSTFLOP_FLAGS.reduce((acc, flag) => ({ ...acc, [flag]: false }), {});
+  const streetActions = (street) => actionScript.filter((s) => s.street === street && s.action
+    && [ 'bet', 'raise', 'call', 'check', 'fold' ].includes(s.action.type));
+
+  const preflopRaises = streetActions('preflop').filter(isAggressive);
+  const pfaIndex = preflopRaises.length ? preflopRaises[preflopRaises.length - 1].playerIndex : undefined;
+  const isHeroPFA = pfaIndex === heroIndex;
+
+  let prevAggressor = pfaIndex;
+  let prevCheckedThrough = false;
+  // Player whose c-bets are still going, from the flop on
+  let cBettor = pfaIndex;
 
-    current.notes = {
-      summary: '',
-      flopNote: '',
-      turnNote: '',
-      riverNote: '',
+  POSTFLOP_STREETS.forEach((street) => {
+    const acts = streetActions(street);
+    const Street = capitalize(street);
+    const firstBet = acts.find(isAggressive);
+    const heroFirstIndex = acts.findIndex((s) => s.playerIndex === heroIndex);
+    const aggressor = acts.filter(isAggressive).pop();
+
+    if (heroFirstIndex !== -1) {
+      const heroFirst = acts[heroFirstIndex];
+      const betBeforeHero = acts.slice(0, heroFirstIndex).some(isAggressive);
+      const heroBetsFirst = heroFirst.action.type === 'bet';
+
+      if (cBettor === heroIndex && !betBeforeHero) {
+        flags[`${street}CBetOpp`] = true;
+        flags[`${street}CBet`] = heroBetsFirst;
+      }
+
+      if (firstBet && cBettor !== undefined && cBettor !== heroIndex && firstBet.playerIndex === cBettor) {
+        const response = acts.slice(acts.indexOf(firstBet) + 1).find((s) => s.playerIndex === heroIndex);
+        if (response) {
+          flags[`faced${Street}CBet`] = true;
+          flags[`foldTo${Street}CBet`] = response.action.type === 'fold';
+        }
+      }
+
+      flags[`${street}CheckRaise`] = heroFirst.action.type === 'check'
+        && acts.slice(heroFirstIndex + 1).some((s) => s.playerIndex === heroIndex && s.action.type === 'raise');
+
+      const prevAggressorActed = acts.slice(0, heroFirstIndex).some((s) => s.playerIndex === prevAggressor);
+      flags[`${street}Donk`] = heroBetsFirst && prevAggressor !== undefined && prevAggressor !== heroIndex
+        && !prevCheckedThrough && !prevAggressorActed;
+
+      if (street !== 'flop' && prevCheckedThrough && heroBetsFirst && !isHeroPFA) {
+        flags[`${street}Probe`] = true;
+      }
+
+      if (street === 'turn' && isHeroPFA && prevCheckedThrough && !betBeforeHero) {
+        flags.delayedCBetOpp = true;
+        flags.delayedCBet = heroBetsFirst;
+      }
+
+      if (street === 'river' && acts.some((s, i) => isAggressive(s) && s.playerIndex !== heroIndex
+        && acts.slice(i + 1).some((h) => h.playerIndex === heroIndex))) {
+        flags.facedRiverBet = true;
+        flags.wtsdAfterRiverBet = !!sawShowdown;
+      }
+    }
+
+    // C-bets only go on while the same player keeps betting first
+    cBettor = firstBet && firstBet.playerIndex === cBettor ? cBettor : undefined;
+    prevCheckedThrough = acts.length > 0 && !firstBet;
+    prevAggressor = aggressor ? aggressor.playerIndex : undefined;
+  });
+
+  return flags;
+};
+
+// Board cards known when the last all-in happened
+const ALL_IN_BOARD_SIZES = { preflop: 0, flop: 3, turn: 4 };
+
+/**
+ * Main pot and side pots of a hand
+ * @param {array} invested: chips each player put in the pot, by playerChips index
+ * @param {array} contenders: indexes of the players still in the hand
+ * @returns {array} [ { amount, eligible: [ contender indexes ] } ], main pot first
+ */
+const getPots = (invested, contenders) => {
+  const levels = _.sortBy(_.uniq(contenders.map((i) => invested[i])));
+  return levels.map((level, k) => {
+    const previous = k ? levels[k - 1] : 0;
+    return {
+      amount: invested.reduce((acc, chips) => acc + Math.max(0, Math.min(chips, level) - previous), 0),
+      eligible: contenders.filter((i) => invested[i] >= level),
     };
+  }).filter((pot) => pot.amount > 0);
+};
+
+/**
+ * Hero's all-in adjusted winnings: equity share of the pot at the all-in point instead of the actual runout
+ * Only for hands all-in before the river, with no betting afterwards and every remaining player's cards known
+ * Hero's equity is taken against the players eligible for each pot hero is in, rake comes off every pot in proportion
+ * Omaha all-ins before the turn are left out, their equities can't be computed precisely enough (see utils/equity)
+ * @param {object} params: { actionScript, playerChips, holeCardsByPlayer (by playerChips index), board, bb }
+ * @returns {number|undefined} all-in EV in BB
+ */
+const getAllInEVBB = ({
+  actionScript, playerChips, holeCardsByPlayer, board, bb,
+}) => {
+  const bettingActions = actionScript.filter((s) => s.action && [ 'bet', 'raise', 'call' ].includes(s.action.type));
+  const lastAllIn = bettingActions.filter((s) => s.action.allin).pop();
+  if (!lastAllIn || !(lastAllIn.street in ALL_IN_BOARD_SIZES)) return undefined;
+  if (bettingActions[bettingActions.length - 1].street !== lastAllIn.street) return undefined;
+
+  const folded = new Set(actionScript.filter((s) => s.action && s.action.type === 'fold').map((s) => s.playerIndex));
+  const remaining = playerChips.map((p, i) => i).filter((i) => !folded.has(i));
+  const heroIndex = playerChips.findIndex((p) => p.hero);
+  if (remaining.length < 2 || !remaining.includes(heroIndex)) return undefined;
+  if (remaining.some((i) => !holeCardsByPlayer[i])) return undefined;
+
+  const collects = actionScript.filter((s) => s.action && s.action.type === 'collect');
+  const collected = playerChips.map((p, i) => collects.filter((s) => s.playerIndex === i).reduce((acc, s) => acc + s.action.amount, 0));
+  // Uncalled bets are back in chipsAfter, so they are not part of what a player invested
+  const invested = playerChips.map((p, i) => Math.max(0, collected[i] - p.winLoss));
+  const totalInvested = _.sum(invested);
+  if (!totalInvested) return undefined;
+  const rakeFactor = _.sum(collected) / totalInvested;
+
+  const allInBoard = board.slice(0, ALL_IN_BOARD_SIZES[lastAllIn.street]);
+  const heroPots = getPots(invested, remaining).filter((pot) => pot.eligible.includes(heroIndex));
+  const heroEquities = heroPots.map((pot) => {
+    if (pot.eligible.length === 1) return 1;
+    const equities = getEquities(pot.eligible.map((i) => holeCardsByPlayer[i]), allInBoard);
+    return equities ? equities[pot.eligible.indexOf(heroIndex)] : null;
+  });
+  if (heroEquities.includes(null)) return undefined;
+  const heroPotShare = heroPots.reduce((acc, pot, i) => acc + heroEquities[i] * pot.amount * rakeFactor, 0);
+  return +((heroPotShare - invested[heroIndex]) / bb).toFixed(2);
+};
+
+/**
+ * Tournament metadata of a tournament hand
+ * Finishing position / prize are only known on hero's last hand (`<hero> finished the tournament in ...`)
+ * @param {object} hand: parsed hhp hand
+ * @param {object} info: analyzed hand info
+ * @returns {object} { id, buyIn, fee, currency, level, sb, bb, ante, finishPosition, prize }
+ */
+const getTournamentInfo = (hand, info) => {
+  const finish = hand.showdown.find((a) => a.type === 'finish' && a.player === hand.hero);
+  return {
+    id: info.gameno,
+    buyIn: info.donation || 0,
+    fee: info.rake || 0,
+    currency: info.currency,
+    level: info.level,
+    sb: info.sb,
+    bb: info.bb,
+    ante: info.ante || 0,
+    ...(finish ? { finishPosition: finish.place, prize: finish.amount || 0 } : {}),
+  };
+};
+
+// Instant the hand was played, the header time is the room's wall clock in header.timezone
+const getHandTimestamp = (header) => {
+  if (!header.year) return undefined;
+  return zonedTimeToTimestamp(header, header.timezone);
+};
+
+const formatHand = (hand) => {
+  if (!hand.hero || !hand.seats.some((s) => s.player === hand.hero)) throw new Error('Hero not found in hand');
+  const analyzed = analyzeHand(hand);
+  const script = hha.script(analyzed);
+  const summary = hha.summary(script);
+  const { info } = analyzed;
+  const {
+    header,
+    spoilers,
+    seats,
+    preflopActions,
+    preflopSummary,
+    flopSummary,
+    turnSummary,
+    riverSummary,
+    totalPot,
+  } = summary;
+
+  // Get action script to be browsed later
+  const actionScript = Object.keys(script.actions).reduce((acc, street) => {
+    const streetActions = script.actions[street];
+    return [ ...acc, streetActions.map((action) => ({
+      ...action,
+      street,
+    })) ];
+  }, []).flat();
+
+  // Add new street actions (for replay purposes)
+  [ 'preflop', 'flop', 'turn', 'river', 'showdown' ].forEach((street) => {
+    const exist = actionScript.findIndex((action) => action.street === street);
+    if (exist >= 0) {
+      actionScript.splice(exist, 0, { isNewStreet: true, street });
+    }
+  });
+
+  /* Generic hand info for filtering */
+  // Eff stack is how much hero is effectively playing for against the table
+  const effStack = Math.min(
+    summary.seats.find((s) => s.hero).chipsBB,
+    Math.max(...summary.seats.filter((s) => !s.hero).map((s) => s.chipsBB)),
+  );
+  const potType = getPotType(preflopActions, actionScript);
+  const heroSeatIndex = seats.findIndex((s) => s.hero);
+  const heroPos = seats.find((s) => s.hero).pos;
+  const hasHero = preflopActions.find((a) => a.pos === heroPos);
+  const isVPIP = !!(hasHero && hasHero.type !== 'check');
+  const isPFR = !!(hasHero && hasHero.type === 'raise');
+
+  // Hero aggression info preflop
+  const {
+    isHero2B,
+    isHero3B,
+    isHero4B,
+    isHero5B,
+  } = getHeroPreflopBet(potType, preflopActions, isVPIP, heroPos);
+
+  // Hero did see flop turn river
+  const {
+    sawFlop,
+    sawTurn,
+    sawRiver,
+    sawShowdown,
+  } = sawStreet(actionScript, heroSeatIndex);
+
+  // Summary of players' chips before and after the hand
+  const playerChips = script.players.map((p) => ({
+    pos: p.exactPos.toUpperCase(),
+    name: p.name,
+    chips: +p.chips.toFixed(2),
+    chipsAfter: +p.chipsAfter.toFixed(2),
+    bb: +(p.chips / summary.header.bb).toFixed(2),
+    bbAfter: +(p.chipsAfter / summary.header.bb).toFixed(2),
+    winLoss: +(p.chipsAfter - p.chips).toFixed(2),
+    winLossBB: +((p.chipsAfter - p.chips) / summary.header.bb).toFixed(2),
+    hero: seats.find((s) => s.hero).pos === p.exactPos.toUpperCase(),
+    seat: p.seatno,
+  }));
+
+  const formattedPosts = hand.posts.map((p) => ({
+    name: p.player,
+    amount: p.amount,
+    type: p.type,
+    playerIndex: playerChips.findIndex((pl) => pl.name === p.player),
+    chips: playerChips.find((pl) => pl.name === p.player).chips,
+    chipsAfter: playerChips.find((pl) => pl.name === p.player).chips - p.amount,
+  }));
+
+  // Short hand of hero's action all postflop streets
+
+  const heroPreflopActions = preflopActions.filter((a) => a.pos === seats.find((s) => s.hero).pos);
+  let heroPreflopSummary;
+  if (heroPreflopActions.length) {
+    heroPreflopSummary = heroPreflopActions.reduce((a, c, i) => (i === 0 ? shortHand(c.type) : `${a}/${shortHand(c.type)}`), '');
+  } else {
+    heroPreflopSummary = preflopSummary.pos === 'BB' && !preflopActions.filter((a) => a.type === 'raise').length ? 'W' : 'F';
+  }
+
+  const getActionSummary = (a, c, i) => (i === 0 ? shortHand(c.action.type) : `${a}/${shortHand(c.action.type)}`);
+  const getHeroActionByStreet = (s, street) => s.street === street && s.playerIndex === heroSeatIndex && actions.includes(s.action.type);
+  const flopActions = actionScript.filter((s) => getHeroActionByStreet(s, 'flop'));
+  const heroFlopSummary = flopActions.reduce(getActionSummary, '');
+  const turnActions = actionScript.filter((s) => getHeroActionByStreet(s, 'turn'));
+  const heroTurnSummary = turnActions.reduce(getActionSummary, '');
+  const riverActions = actionScript.filter((s) => getHeroActionByStreet(s, 'river'));
+  const heroRiverSummary = riverActions.reduce(getActionSummary, '');
+
+  // Construct Processed Hand
+  const current = {};
+  current.preflopSummary = {
+    ...preflopSummary,
+    holeCards: hand.holecards.cards ? getHoleCards(hand.holecards) : getHoleCards(preflopSummary.cards),
+    heroPreflopSummary,
+  };
+  current.flopSummary = {
+    ...flopSummary,
+    heroFlopSummary,
+  };
+  current.turnSummary = {
+    ...turnSummary,
+    heroTurnSummary,
+  };
+  current.riverSummary = {
+    ...riverSummary,
+    heroRiverSummary,
+  };
 
-    current.header = {
-      ...info,
-      ...header
+  const heroChips = playerChips.find((p) => p.hero);
+
+  const shownHoleCards = getShownHoleCards(hand);
+  current.spoilers = spoilers.map((s) => {
+    const player = playerChips.find((p) => p.pos === s.pos);
+    return {
+      ...s,
+      holeCards: (player && shownHoleCards[player.name]) || getHoleCards(s.cards),
     };
-    current.actionScript = actionScript;
-    current.playerChips = playerChips;
-    current.totalPot = totalPot;
-    // current.indexInCollection = index;
-    current.spoilers = spoilers;
-    current.posts = formattedPosts;
-
-    return current;
   });
-  return formatted;
+
+  const board = [ 'card1', 'card2', 'card3', 'card4', 'card5' ].map((c) => hand.board && hand.board[c]).filter(Boolean);
+  const allInEVBB = getAllInEVBB({
+    actionScript,
+    playerChips,
+    holeCardsByPlayer: playerChips.map((p) => (p.hero
+      ? current.preflopSummary.holeCards
+      : (current.spoilers.find((s) => s.pos === p.pos) || {}).holeCards)),
+    board,
+    bb: summary.header.bb,
+  });
+
+  current.info = {
+    ...getFlopTextures(flopSummary?.board),
+    flopClass: getFlopClass(board),
+    turnClasses: getRunoutClasses(board, 3),
+    riverClasses: getRunoutClasses(board, 4),
+    potType,
+    effStack,
+    isVPIP,
+    isPFR,
+    heroPos,
+    isHero2B,
+    isHero3B,
+    isHero4B,
+    isHero5B,
+    sawFlop,
+    sawTurn,
+    sawRiver,
+    sawShowdown,
+    heroSeatIndex,
+    heroWinning: heroChips ? heroChips.winLoss : 0,
+    heroWinningBB: heroChips ? heroChips.winLossBB : 0,
+    ...(allInEVBB !== undefined ? { allInEVBB } : {}),
+    ...getPostflopFlags(actionScript, heroSeatIndex, sawShowdown),
+    ..._.omitBy(getPreflopLine(actionScript, playerChips, heroSeatIndex, summary.header.bb), _.isUndefined),
+  };
+
+  current.notes = {
+    summary: '',
+    flopNote: '',
+    turnNote: '',
+    riverNote: '',
+  };
+
+  current.header = {
+    ...info,
+    ...header,
+    timestamp: getHandTimestamp(info),
+    // Table and full board, kept so the hand can be exported back to text (utils/hand-exporter)
+    table: hand.table && hand.table.tableno,
+    button: hand.table && hand.table.button,
+    board,
+    ...(info.gametype === 'tournament' ? { tournament: getTournamentInfo(hand, info) } : {}),
+  };
+  current.actionScript = actionScript;
+  current.playerChips = playerChips;
+  current.totalPot = totalPot;
+  // current.indexInCollection = index;
+  current.posts = formattedPosts;
+  current.preflopActions = preflopActions;
+
+  return current;
+};
+
+const RAW_SNIPPET_LINES = 3;
+const RAW_SNIPPET_LENGTH = 300;
+
+// Text hand: lines of the hand, read by the first parser of the registry recognizing them
+const parseTextHand = (lines) => {
+  const parser = getParser(lines);
+  if (!parser) throw new Error('Unsupported hand history format');
+  const parsed = parser.parse(lines);
+  if (!parsed || !parsed.info) throw new Error(`Could not read hand header (${parser.name})`);
+  return parsed;
+};
+
+// Hands between two yields of processHandHistoryAsync, all-in equities take up to ~80ms each
+const HANDS_PER_TICK = 20;
+
+const readHandHistory = (text) => {
+  const isOHH = isOpenHandHistory(text);
+  return { isOHH, rawHands: isOHH ? extractOpenHandHistories(text) : hhp.extractHands(text) };
+};
+
+const processRawHand = (raw, index, isOHH, result) => {
+  try {
+    result.hands.push(formatHand(isOHH ? parseOpenHandHistory(raw) : parseTextHand(raw)));
+  } catch (err) {
+    result.errors.push({
+      index,
+      rawSnippet: (isOHH ? raw : raw.slice(0, RAW_SNIPPET_LINES).join('\n')).slice(0, RAW_SNIPPET_LENGTH),
+      reason: err.message,
+    });
+  }
 };
 
+/**
+ * Parse a hand history file, each hand in isolation so a malformed hand does not fail the whole file
+ * Text hand histories and Open Hand History JSON files are both accepted
+ * @param {string} text: raw hand history file content
+ * @returns {object} { hands, errors, count, format } - errors are the skipped hands: { index, rawSnippet, reason },
+ * format is 'text' or 'ohh'
+ */
+const processHandHistory = (text) => {
+  const { isOHH, rawHands } = readHandHistory(text);
+  const result = {
+    hands: [], errors: [], count: rawHands.length, format: isOHH ? 'ohh' : 'text',
+  };
+  rawHands.forEach((raw, index) => processRawHand(raw, index, isOHH, result));
+  return result;
+};
+
+/**
+ * processHandHistory giving the event loop back every HANDS_PER_TICK hands, for parsing inside the API process
+ * @param {string} text: raw hand history file content
+ * @returns {Promise<object>} see processHandHistory
+ */
+const processHandHistoryAsync = async (text) => {
+  const { isOHH, rawHands } = readHandHistory(text);
+  const result = {
+    hands: [], errors: [], count: rawHands.length, format: isOHH ? 'ohh' : 'text',
+  };
+  for (let index = 0; index < rawHands.length; index++) {
+    // eslint-disable-next-line no-await-in-loop
+    if (index && index % HANDS_PER_TICK === 0) await new Promise((resolve) => setImmediate(resolve));
+    processRawHand(rawHands[index], index, isOHH, result);
+  }
+  return result;
+};
+
+const processHands = (hands) => processHandHistory(hands).hands;
+
 module.exports = {
+  PREFLOP_LINES,
+  POSTFLOP_FLAGS,
+  RUNOUT_CLASSES,
+  getRunoutClasses,
+  getPreflopLine,
+  getPostflopFlags,
+  getAllInEVBB,
   processHands,
+  processHandHistory,
+  processHandHistoryAsync,
 };
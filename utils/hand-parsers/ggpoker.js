@@ -0,0 +1,118 @@
+/* eslint-disable max-len */
+// hhp does not export its parser base class, the internal path is why hhp is pinned in package.json
+const HandHistoryParser = require('hhp/lib/holdem/base');
+const { withHoleCardList } = require('./omaha-cards');
+
+/**
+ * GGPoker (GG Network) cash game parser, Hold'em and Pot-Limit Omaha (4 and 5 card)
+ * GG histories are close to PokerStars, differences are:
+ * - `Poker Hand #RC123:` header with a lettered hand id and no timezone
+ * - `Dealt to <player>` lines without cards for every villain
+ * - `*** SHOWDOWN ***` indicator and Jackpot / Bingo / Fortune entries on the total pot line
+ */
+
+// Poker Hand #RC1234567890: Hold'em No Limit ($0.02/$0.05) - 2023/01/15 20:31:12
+// Poker Hand #RC1234567891: PLO-5 ($0.05/$0.1) - 2023/01/15 20:31:12
+const cashGameInfo = /^Poker Hand #([A-Z]*\d+): +(Hold'em|(?:5 Card )?Omaha|PLO(?:-?5)?) *(No Limit|Pot Limit)? \(([$€])([^/]+)\/[$€]([^)]+)\) - (\d{4}).(\d{2}).(\d{2}) (\d+):(\d+):(\d+)$/i;
+
+const cashGameInfoIdxs = {
+  handid: 1,
+  pokertype: 2,
+  limit: 3,
+  currency: 4,
+  sb: 5,
+  bb: 6,
+  year: 7,
+  month: 8,
+  day: 9,
+  hour: 10,
+  min: 11,
+  sec: 12,
+};
+
+const cashGameTable = /^Table '([^']+)' (\d+)-max Seat #(\d+) is the button$/i;
+
+const cashGameTableIdxs = {
+  tableno: 1,
+  maxseats: 2,
+  button: 3,
+};
+
+class HoldemGGPokerParser extends withHoleCardList(HandHistoryParser) {
+  _handInfoRx(gameType) {
+    if (gameType === 'cashgame') return { rx: cashGameInfo, idxs: cashGameInfoIdxs };
+    throw new Error(`Unknown game type ${gameType}`);
+  }
+
+  _tableRx(gameType) {
+    if (gameType === 'cashgame') return { rx: cashGameTable, idxs: cashGameTableIdxs };
+    throw new Error(`Unknown game type ${gameType}`);
+  }
+
+  _identifyPokerType(s) {
+    return /^PLO/i.test(s) ? 'omaha' : super._identifyPokerType(s);
+  }
+
+  _gameType() {
+    if (this._cachedGameType) return this._cachedGameType;
+    const lines = this._lines;
+    for (let i = 0; i < lines.length && lines[i].length; i++) {
+      if (cashGameInfo.test(lines[i])) {
+        this._cachedGameType = 'cashgame';
+        return this._cachedGameType;
+      }
+    }
+    return null;
+  }
+
+  parse() {
+    const hand = super.parse();
+    if (hand.info) {
+      hand.info.room = 'ggpoker';
+      hand.info.timezone = 'UTC';
+      // `PLO` headers carry no limit
+      if (hand.info.pokertype === 'omaha' && !hand.info.limit) hand.info.limit = 'potlimit';
+    }
+    return hand;
+  }
+}
+
+// Hand Setup
+HoldemGGPokerParser.prototype._seatInfoRx = /^Seat (\d+): (.+)\([$€]?([^ ]+) in chips\)( .+sitting out)?$/i;
+HoldemGGPokerParser.prototype._postRx = /^([^:]+): posts (?:the )?(ante|small blind|big blind) [$€]?([^ ]+)$/i;
+
+// Street Indicators
+HoldemGGPokerParser.prototype._preflopIndicatorRx = /^\*\*\* HOLE CARDS \*\*\*$/i;
+HoldemGGPokerParser.prototype._streetIndicatorRx = /^\*\*\* (FLOP|TURN|RIVER) \*\*\*[^[]+\[(..) (..) (..)(?: (..))?](?: \[(..)])?$/i;
+HoldemGGPokerParser.prototype._showdownIndicatorRx = /^\*\*\* SHOWDOWN \*\*\*$/i;
+HoldemGGPokerParser.prototype._summaryIndicatorRx = /^\*\*\* SUMMARY \*\*\*$/i;
+
+// Street actions, card lists hold 2 to 5 cards (Omaha), withHoleCardList keeps them all
+HoldemGGPokerParser.prototype._holecardsRx = /^Dealt to ([^[]+) \[(..) (..)(?: ..){0,3}]$/i;
+HoldemGGPokerParser.prototype._actionRx = /^([^:]+): (raises|bets|calls|checks|folds) ?[$€]?([^ ]+)?(?: to [$€]?([^ ]+))?(.+all-in)?$/i;
+HoldemGGPokerParser.prototype._collectRx = /^(.+) collected [$€]?([^ ]+) from (?:(main|side) )?pot$/i;
+HoldemGGPokerParser.prototype._betReturnedRx = /^uncalled bet [(]?[$€]?([^ )]+)[)]? returned to (.+)$/i;
+
+// Showdown (also uses _collectRx and _betReturnedRx)
+HoldemGGPokerParser.prototype._showRx = /^([^:]+): shows \[(..) (..)(?: ..){0,3}] \(([^)]+)\)$/i;
+HoldemGGPokerParser.prototype._muckRx = /^([^:]+): mucks hand$/i;
+HoldemGGPokerParser.prototype._finishRx = /^(.+?) finished the tournament(?: in (\d+).+ place)?(?: and received [$€]([^ ]+)\.)?$/i;
+
+// Summary
+HoldemGGPokerParser.prototype._summarySinglePotRx = /^Total pot [$€]?([^ ]+) \| Rake [$€]?([^ ]+)(?: \|.*)?$/i;
+HoldemGGPokerParser.prototype._summarySplitPotRx = /^Total pot [$€]?([^ ]+) Main pot [$€]?([^ ]+)\. Side pot(?:-\d+)? [$€]?([^ ]+)\. \| Rake [$€]?([^ ]+)(?: \|.*)?$/i;
+HoldemGGPokerParser.prototype._summaryBoardRx = /^Board \[(..)?( ..)?( ..)?( ..)?( ..)?]$/i;
+HoldemGGPokerParser.prototype._summaryMuckedRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?mucked \[(..) (..)(?: ..){0,3}]$/i;
+HoldemGGPokerParser.prototype._summaryCollectedRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?collected \([$€]?([^)]+)\)$/i;
+HoldemGGPokerParser.prototype._summaryShowedWonRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?showed \[(..) (..)(?: ..){0,3}] and won \([$€]?([^)]+)\) with (.+)$/i;
+HoldemGGPokerParser.prototype._summaryShowedLostRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?showed \[(..) (..)(?: ..){0,3}] and lost with (.+)$/i;
+HoldemGGPokerParser.prototype._summaryFoldedRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?folded (before Flop|on the Flop|on the Turn|on the River)( \(didn't bet\))?$/i;
+HoldemGGPokerParser.prototype._summaryIncludesPosition = true;
+
+HoldemGGPokerParser.prototype._revealRx = null;
+
+module.exports = {
+  name: 'ggpoker',
+  canParse: (lines) => new HoldemGGPokerParser(lines).canParse(),
+  parse: (lines) => new HoldemGGPokerParser(lines).parse(),
+};
@@ -0,0 +1,10 @@
+const hhp = require('hhp');
+
+/**
+ * Rooms supported out of the box by hhp - PokerStars, Ignition, PartyPoker, Pacific (888)
+ */
+module.exports = {
+  name: 'hhp',
+  canParse: (lines) => hhp.canParse(lines),
+  parse: (lines) => hhp.parseHand(lines),
+};
@@ -0,0 +1,44 @@
+/**
+ * Hand history parser registry
+ * Each parser turns the lines of one hand into the hhp hand representation,
+ * which utils/hand-parser.js analyzes with hha and normalizes into the stored Hands shape.
+ *
+ * Parser contract:
+ * - name {string}: parser / room name
+ * - canParse(lines) {boolean}: whether the parser recognizes the hand header
+ * - parse(lines) {object}: hhp style parsed hand ({ info, table, seats, posts, preflop, ... })
+ *   Omaha parsers add the full hole card list as `cards` next to card1 / card2
+ */
+const hhpParser = require('./hhp');
+const ggpokerParser = require('./ggpoker');
+const pokerstarsOmahaParser = require('./pokerstars-omaha');
+
+// First match wins, room specific parsers go before the generic hhp one
+const parsers = [
+  ggpokerParser,
+  pokerstarsOmahaParser,
+  hhpParser,
+];
+
+/**
+ * Register an additional room parser, takes precedence over the built-in ones
+ * @param {object} parser: { name, canParse, parse }
+ */
+const registerParser = (parser) => {
+  if (!parser || typeof parser.canParse !== 'function' || typeof parser.parse !== 'function') {
+    throw new Error('Hand parser must implement canParse(lines) and parse(lines)');
+  }
+  parsers.unshift(parser);
+};
+
+/**
+ * Find the parser able to read a hand, sniffing its header lines
+ * @param {array} lines: lines of one hand
+ * @returns {object|undefined} parser
+ */
+const getParser = (lines) => parsers.find((parser) => parser.canParse(lines));
+
+module.exports = {
+  registerParser,
+  getParser,
+};
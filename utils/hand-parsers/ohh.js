@@ -0,0 +1,201 @@
+/* eslint-disable max-len */
+const moment = require('moment');
+
+/**
+ * Open Hand History (OHH) JSON reader (https://hh-specs.handhistory.org)
+ * OHH hands are converted straight into the hhp hand representation the text parsers produce,
+ * so utils/hand-parser.js analyzes them like any other room.
+ * Files hold one `{ "ohh": { ... } }` object per hand, separated by blank lines, or a JSON array of them.
+ * Action amounts are the chips added by the action, except Raise amounts which are the player's total
+ * bet on the street ("raise to") as in the spec and the rooms' own OHH exports.
+ * Dead blinds go to the pot without counting toward the player's bet, hhp reads them as 'blind' posts.
+ */
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£' };
+const LIMITS = { NL: 'nolimit', PL: 'potlimit', FL: 'fixedlimit' };
+const POSTS = {
+  'Post SB': 'sb', 'Post BB': 'bb', 'Post Ante': 'ante', 'Post Extra Blind': 'bb', 'Post Dead': 'blind', Straddle: 'bb',
+};
+const ACTIONS = {
+  Fold: 'fold', Check: 'check', Call: 'call', Bet: 'bet', Raise: 'raise',
+};
+const STREETS = {
+  Preflop: 'preflop', Flop: 'flop', Turn: 'turn', River: 'river',
+};
+
+const round = (amount) => +(+amount || 0).toFixed(2);
+
+/**
+ * @param {string} text: raw file content
+ * @returns {boolean} whether the file holds OHH JSON rather than text hand histories
+ */
+const isOpenHandHistory = (text) => /^[[{]\s*(?:\{\s*)?"ohh"/.test(text.trim());
+
+/**
+ * Split an OHH file into one JSON string per hand
+ * Objects are delimited by brace depth so pretty-printed hands (blank lines inside) are kept whole,
+ * array files are split the same way so a malformed hand is reported on its own
+ * @param {string} text: raw file content
+ * @returns {array} JSON strings
+ */
+const extractOpenHandHistories = (text) => {
+  const content = text.trim();
+  const chunks = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (c === '}') {
+      depth--;
+      if (depth === 0) chunks.push(content.slice(start, i + 1));
+    }
+  }
+  return chunks;
+};
+
+const toCards = (cards) => ({
+  card1: cards[0],
+  card2: cards[1],
+  ...(cards.length > 2 ? { cards } : {}),
+});
+
+/**
+ * Convert one OHH hand into the hhp hand representation
+ * @param {string|object} raw: OHH JSON string or parsed object
+ * @returns {object} hhp style parsed hand ({ info, table, seats, posts, preflop, ... })
+ */
+const parseOpenHandHistory = (raw) => {
+  const { ohh } = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!ohh || !Array.isArray(ohh.players) || !Array.isArray(ohh.rounds)) throw new Error('Not an Open Hand History hand');
+
+  const playerName = (id) => {
+    const player = ohh.players.find((p) => p.id === id);
+    if (!player) throw new Error(`Unknown player id ${id}`);
+    return player.name;
+  };
+  const date = moment.utc(ohh.start_date_utc);
+  const tournament = ohh.tournament ? ohh.tournament_info || {} : undefined;
+  const site = `${ohh.site_name || ohh.network_name || 'ohh'}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  const hand = {
+    info: {
+      room: site,
+      handid: `${ohh.game_number}`,
+      currency: CURRENCY_SYMBOLS[ohh.currency] || ohh.currency,
+      pokertype: /omaha/i.test(ohh.game_type) ? 'omaha' : 'holdem',
+      limit: LIMITS[ohh.bet_limit && ohh.bet_limit.bet_type] || 'nolimit',
+      sb: ohh.small_blind_amount,
+      bb: ohh.big_blind_amount,
+      year: date.year(),
+      month: date.month() + 1,
+      day: date.date(),
+      hour: date.hour(),
+      min: date.minute(),
+      sec: date.second(),
+      timezone: 'UTC',
+      gametype: tournament ? 'tournament' : 'cashgame',
+      ...(ohh.ante_amount ? { ante: ohh.ante_amount } : {}),
+      ...(tournament ? {
+        gameno: `${tournament.tournament_number}`,
+        donation: tournament.buyin_amount || 0,
+        rake: tournament.fee_amount || 0,
+        buyin: round((tournament.buyin_amount || 0) + (tournament.fee_amount || 0)),
+        currency: CURRENCY_SYMBOLS[tournament.currency] || tournament.currency,
+      } : {}),
+    },
+    table: {
+      tableno: ohh.table_name,
+      maxseats: ohh.table_size,
+      button: ohh.dealer_seat,
+    },
+    seats: ohh.players.map((p) => ({ seatno: p.seat, player: p.name, chips: p.starting_stack })),
+    hero: ohh.hero_player_id !== undefined ? playerName(ohh.hero_player_id) : undefined,
+    posts: [],
+    preflop: [],
+    flop: [],
+    turn: [],
+    river: [],
+    showdown: [],
+    board: {},
+  };
+
+  const board = [];
+  let lastStreet = 'preflop';
+  ohh.rounds.forEach((ohhRound) => {
+    const street = STREETS[ohhRound.street];
+    if (street && street !== 'preflop') board.push(...(ohhRound.cards || []));
+    if (street && ohhRound.actions.length) lastStreet = street;
+
+    // Chips each player put in on the street, raises are stored by hhp as "raise to"
+    const invested = {};
+    let currentBet = 0;
+    ohhRound.actions.forEach((a) => {
+      const player = playerName(a.player_id);
+      if (a.action === 'Dealt Cards') {
+        if (player === hand.hero && a.cards) hand.holecards = toCards(a.cards);
+      } else if (POSTS[a.action]) {
+        const type = POSTS[a.action];
+        hand.posts.push({ player, type, amount: a.amount });
+        if (type !== 'ante' && type !== 'blind') {
+          invested[player] = (invested[player] || 0) + a.amount;
+          currentBet = Math.max(currentBet, invested[player]);
+        }
+      } else if (ACTIONS[a.action] && street) {
+        const type = ACTIONS[a.action];
+        const action = { player, type };
+        if (type === 'call' || type === 'bet') {
+          Object.assign(action, { amount: a.amount, allin: !!a.is_allin });
+        } else if (type === 'raise') {
+          const raiseTo = round(a.amount);
+          Object.assign(action, { amount: round(raiseTo - currentBet), raiseTo, allin: !!a.is_allin });
+        }
+        if (a.amount) {
+          invested[player] = type === 'raise' ? round(a.amount) : round((invested[player] || 0) + a.amount);
+          currentBet = Math.max(currentBet, invested[player]);
+        }
+        hand[street].push(action);
+      } else if (a.action === 'Shows Cards' && a.cards) {
+        hand.showdown.push({ player, type: 'show', ...toCards(a.cards) });
+      } else if (a.action === 'Mucks Cards') {
+        hand.showdown.push({ player, type: 'muck', ...(a.cards ? toCards(a.cards) : {}) });
+      }
+    });
+
+    // OHH has no uncalled bet action, the part of the biggest bet nobody matched goes back to its owner
+    const bets = Object.entries(invested).sort((a, b) => b[1] - a[1]);
+    if (street && bets.length && round(bets[0][1] - ((bets[1] && bets[1][1]) || 0)) > 0) {
+      hand[street].push({ player: bets[0][0], type: 'bet-returned', amount: round(bets[0][1] - ((bets[1] && bets[1][1]) || 0)) });
+    }
+  });
+  board.forEach((card, i) => { hand.board[`card${i + 1}`] = card; });
+
+  // Winnings are collected at showdown, or on the street where everyone else folded
+  const hasShowdown = ohh.rounds.some((r) => r.street === 'Showdown');
+  const collects = (ohh.pots || []).flatMap((pot) => (pot.player_wins || []).map((w) => ({
+    player: playerName(w.player_id), type: 'collect', amount: w.win_amount,
+  })));
+  hand[hasShowdown ? 'showdown' : lastStreet].push(...collects);
+  hand.summary = [ {
+    type: 'pot',
+    single: (ohh.pots || []).length <= 1,
+    amount: round((ohh.pots || []).reduce((acc, pot) => acc + pot.amount, 0)),
+    rake: round((ohh.pots || []).reduce((acc, pot) => acc + (pot.rake || 0), 0)),
+  } ];
+
+  return hand;
+};
+
+module.exports = {
+  isOpenHandHistory,
+  extractOpenHandHistories,
+  parseOpenHandHistory,
+};
@@ -0,0 +1,62 @@
+/**
+ * Hole cards beyond the first two (Omaha)
+ * hhp readers only know card1 / card2, their card regexes match the first two cards of a
+ * 2 to 5 card list and this mixin stores the full list as `cards` on the parsed entry.
+ */
+
+// First bracketed card list of a line, e.g. `Dealt to Hero [Ah Kh Qs Js]`
+const cardListRx = /\[((?:[2-9TJQKA][shdc] ?){2,5})]/i;
+
+/**
+ * @param {string} line: hand history line
+ * @returns {array} cards, e.g. [ 'Ah', 'Kh', 'Qs', 'Js' ]
+ */
+const readCardList = (line) => {
+  const match = line.match(cardListRx);
+  if (!match) return undefined;
+  return match[1].trim().split(/ +/).map((c) => `${c[0].toUpperCase()}${c[1].toLowerCase()}`);
+};
+
+const last = (arr) => arr[arr.length - 1];
+
+/**
+ * Extend an hhp parser class so hole cards, showdown and summary entries get a `cards` array
+ * @param {class} Parser: hhp HandHistoryParser subclass
+ * @returns {class} parser class
+ */
+const withHoleCardList = (Parser) => class extends Parser {
+  _readHoleCards(line, lineno) {
+    if (!super._readHoleCards(line, lineno)) return undefined;
+    this.hand.holecards.cards = readCardList(line);
+    return true;
+  }
+
+  _readShowdownShow(line, lineno) {
+    if (!super._readShowdownShow(line, lineno)) return undefined;
+    last(this.hand.showdown).cards = readCardList(line);
+    return true;
+  }
+
+  _readSummaryMucked(line, lineno) {
+    if (!super._readSummaryMucked(line, lineno)) return false;
+    last(this.hand.summary).cards = readCardList(line);
+    return true;
+  }
+
+  _readSummaryShowedWon(line, lineno) {
+    if (!super._readSummaryShowedWon(line, lineno)) return false;
+    last(this.hand.summary).cards = readCardList(line);
+    return true;
+  }
+
+  _readSummaryShowedLost(line, lineno) {
+    if (!super._readSummaryShowedLost(line, lineno)) return false;
+    last(this.hand.summary).cards = readCardList(line);
+    return true;
+  }
+};
+
+module.exports = {
+  readCardList,
+  withHoleCardList,
+};
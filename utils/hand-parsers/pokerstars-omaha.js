@@ -0,0 +1,78 @@
+/* eslint-disable max-len */
+// Internal hhp module, hhp is pinned in package.json
+const pokerstars = require('hhp/lib/holdem/pokerstars');
+const { withHoleCardList } = require('./omaha-cards');
+
+/**
+ * PokerStars Pot-Limit Omaha (4 and 5 card) cash game parser
+ * Same layout as the hhp PokerStars hold'em parser, only the game name and the card lists differ
+ */
+
+// hhp does not export the PokerStars class itself
+const HoldemPokerStarsParser = pokerstars.create([]).constructor;
+
+// PokerStars Hand #230226046470: Omaha Pot Limit ($0.05/$0.10 USD) - 2021/09/20 13:42:17 ET
+// PokerStars Zoom Hand #230226046471: 5 Card Omaha Pot Limit ($0.05/$0.10) - 2021/09/20 13:42:17 ET
+const cashGameInfo = /^(PokerStars) (?:Zoom )?(?:Hand|Game) #(\d+): +((?:5 Card )?Omaha) +(Pot Limit) -? *\(([$€])([^/]+)\/[$€]([^) ]+)(?: [A-Z]{3})?\)[ -]*[^\d]*(\d{4}).(\d{2}).(\d{2})[^\d]*([^:]+):([^:]+):([^\s]+) ([^\s]*).*$/;
+
+const cashGameInfoIdxs = {
+  room: 1,
+  handid: 2,
+  pokertype: 3,
+  limit: 4,
+  currency: 5,
+  sb: 6,
+  bb: 7,
+  year: 8,
+  month: 9,
+  day: 10,
+  hour: 11,
+  min: 12,
+  sec: 13,
+  timezone: 14,
+};
+
+const cashGameTable = /^Table '([^']+)' (\d+)-max Seat #(\d+) is.+button$/i;
+
+const cashGameTableIdxs = {
+  tableno: 1,
+  maxseats: 2,
+  button: 3,
+};
+
+class OmahaPokerStarsParser extends withHoleCardList(HoldemPokerStarsParser) {
+  _handInfoRx(gameType) {
+    if (gameType === 'cashgame') return { rx: cashGameInfo, idxs: cashGameInfoIdxs };
+    throw new Error(`Unknown game type ${gameType}`);
+  }
+
+  _tableRx(gameType) {
+    if (gameType === 'cashgame') return { rx: cashGameTable, idxs: cashGameTableIdxs };
+    throw new Error(`Unknown game type ${gameType}`);
+  }
+
+  _gameType() {
+    if (this._cachedGameType) return this._cachedGameType;
+    const lines = this._lines;
+    for (let i = 0; i < lines.length && lines[i].length; i++) {
+      if (cashGameInfo.test(lines[i])) {
+        this._cachedGameType = 'cashgame';
+        return this._cachedGameType;
+      }
+    }
+    return null;
+  }
+}
+
+// Card lists hold 4 or 5 cards, the regexes read the first two and withHoleCardList keeps them all
+OmahaPokerStarsParser.prototype._holecardsRx = /^Dealt to ([^[]+) \[(..) (..)(?: ..){2,3}]$/i;
+OmahaPokerStarsParser.prototype._showRx = /^([^:]+): shows \[(..) (..)(?: ..){2,3}] \(([^)]+)\)$/i;
+OmahaPokerStarsParser.prototype._summaryMuckedRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?mucked \[(..) (..)(?: ..){2,3}]$/i;
+OmahaPokerStarsParser.prototype._summaryShowedWonRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?showed \[(..) (..)(?: ..){2,3}] and won \([$€]?([^)]+)\) with (.+)$/i;
+OmahaPokerStarsParser.prototype._summaryShowedLostRx = /^Seat (\d+): (.+?) (?:\((button|small blind|big blind)\) )?showed \[(..) (..)(?: ..){2,3}] and lost with (.+)$/i;
+
+module.exports = {
+  name: 'pokerstars-omaha',
+  canParse: (lines) => new OmahaPokerStarsParser(lines).canParse(),
+  parse: (lines) => new OmahaPokerStarsParser(lines).parse(),
+};
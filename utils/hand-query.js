@@ -0,0 +1,368 @@
+const _ = require('lodash');
+const { BadRequestError } = require('./errors');
+const { parseRange } = require('./ranges');
+const { POSITION_TO_BUCKET } = require('./position-buckets');
+const { getFlopClass } = require('./board-canonical');
+const { PREFLOP_LINES, POSTFLOP_FLAGS, RUNOUT_CLASSES } = require('./hand-parser');
+
+/**
+ * Hand query language
+ * Text filter of the /v1/hands/my-hands search compiled into a Mongo $match, e.g.
+ *   pos:BTN AND pot:3bp AND flop:monotone AND hero:AKs+ AND result<-20bb AND line:"B/B/X"
+ * Terms are `field operator value` joined by AND (or a space), OR, NOT and parentheses.
+ * Values are bare words or quoted strings, comma separated lists match any of their values.
+ * Errors are HandQueryError, with the position of the bad token in the query.
+ */
+
+class HandQueryError extends BadRequestError {
+  constructor(message, token) {
+    super(`${message} at position ${token.position}`);
+    this.position = token.position;
+    this.token = token.value;
+  }
+}
+
+// Pot types of the query and of the presets selectedPotTypes
+const POT_TYPES = {
+  '3bp': [ '3bp' ],
+  '4bp': [ '4bp' ],
+  '5bp': [ '5bp' ],
+  aipf: [ 'aipf' ],
+  limped: [ 'limped' ],
+  srp: [ 'srp', '2bp' ],
+};
+
+// Flop textures of the query and of the presets selectedTextures, Hands info fields
+const TEXTURE_FIELDS = {
+  rainbow: 'isRainbow',
+  monotone: 'isMonoTone',
+  twotone: 'isTwoTones',
+  broadway: 'isBroadway',
+  '3ofakind': 'isThreeOfAKind',
+  paired: 'isPaired',
+};
+
+// is:<value>, hero's stats plus every postflop flag (is:flopCBet)
+const HERO_FLAGS = {
+  vpip: 'info.isVPIP',
+  pfr: 'info.isPFR',
+  '3bet': 'info.isHero3B',
+  flop: 'info.sawFlop',
+  showdown: 'info.sawShowdown',
+  ...POSTFLOP_FLAGS.reduce((acc, flag) => ({ ...acc, [flag.toLowerCase()]: `info.${flag}` }), {}),
+};
+
+const GAME_TYPES = { cash: 'cashgame', mtt: 'tournament' };
+const POKER_TYPES = [ 'holdem', 'omaha' ];
+const STREETS = [ 'flop', 'turn', 'river' ];
+const EQUALITY = [ ':', '=' ];
+const COMPARISON = [ ':', '=', '<', '>', '<=', '>=' ];
+
+const RANKS = 'AKQJT98765432';
+
+/**
+ * Mongo filter of hero's hold'em hole cards in a range
+ * @param {string} range: range notation, e.g. '22-66, A2s-A5s, KQo+', see utils/ranges
+ * @returns {object} filter on preflopSummary.cards, throws on invalid or empty ranges
+ */
+const getHeroRangeFilter = (range) => {
+  const cards = Object.keys(parseRange(`${range || ''}`));
+  if (!cards.length) throw new Error('Empty range');
+  return {
+    'header.pokertype': { $ne: 'omaha' },
+    $expr: {
+      $in: [
+        { $concat: [ '$preflopSummary.cards.card1', '$preflopSummary.cards.card2' ] },
+        // Hole cards are stored in either order
+        cards.flatMap((combo) => [ combo, combo.slice(2) + combo.slice(0, 2) ]),
+      ]
+    },
+  };
+};
+
+/**
+ * Query tokens: words, quoted strings, operators and parentheses with their position
+ * @param {string} query
+ * @returns {array} [ { type: word / string / op / '(' / ')', value, position } ]
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+    } else if (char === '"' || char === "'") {
+      const end = query.indexOf(char, i + 1);
+      if (end === -1) throw new HandQueryError('Unterminated string', { value: query.slice(i), position: i });
+      tokens.push({ type: 'string', value: query.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (/[:=<>]/.test(char)) {
+      const value = /^(<=|>=|[:=<>])/.exec(query.slice(i))[1];
+      tokens.push({ type: 'op', value, position: i });
+      i += value.length;
+    } else {
+      const value = /^[^\s()"':=<>]+/.exec(query.slice(i))[0];
+      tokens.push({ type: 'word', value, position: i });
+      i += value.length;
+    }
+  }
+  return tokens;
+};
+
+const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toUpperCase() === keyword;
+
+/**
+ * Syntax tree of a query
+ * query := or, or := and (OR and)*, and := not (AND? not)*, not := NOT not | ( or ) | term
+ * @param {string} query
+ * @returns {object} { type: and / or / not / term, children, child, field, op, value }
+ */
+const parse = (query) => {
+  const tokens = tokenize(query);
+  let index = 0;
+  const end = { type: 'end', value: '', position: query.length };
+  const peek = () => tokens[index] || end;
+  const next = () => tokens[index++] || end;
+
+  let parseOr;
+  const parseTerm = () => {
+    const field = next();
+    if (field.type !== 'word') throw new HandQueryError(field.type === 'end' ? 'Unexpected end of query' : `Unexpected "${field.value}"`, field);
+    const op = next();
+    if (op.type !== 'op') throw new HandQueryError(`Expected an operator after "${field.value}"`, op);
+    const value = next();
+    if (value.type !== 'word' && value.type !== 'string') throw new HandQueryError(`Expected a value after "${field.value}${op.value}"`, value);
+    return {
+      type: 'term', field, op, value,
+    };
+  };
+  const parseNot = () => {
+    const token = peek();
+    if (isKeyword(token, 'NOT')) {
+      next();
+      return { type: 'not', child: parseNot() };
+    }
+    if (token.type === '(') {
+      next();
+      const node = parseOr();
+      const close = next();
+      if (close.type !== ')') throw new HandQueryError('Expected ")"', close);
+      return node;
+    }
+    return parseTerm();
+  };
+  const parseAnd = () => {
+    const children = [ parseNot() ];
+    for (;;) {
+      const token = peek();
+      if (isKeyword(token, 'AND')) {
+        next();
+        children.push(parseNot());
+      } else if (token.type === 'end' || token.type === ')' || isKeyword(token, 'OR')) {
+        break;
+      } else {
+        children.push(parseNot());
+      }
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  parseOr = () => {
+    const children = [ parseAnd() ];
+    while (isKeyword(peek(), 'OR')) {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const tree = parseOr();
+  if (peek().type !== 'end') throw new HandQueryError(`Unexpected "${peek().value}"`, peek());
+  return tree;
+};
+
+const listValues = (value) => `${value.value}`.split(',').map((v) => v.trim()).filter(Boolean);
+
+// Value of a comma separated list looked up in a table, case insensitive
+const lookupValues = (value, table, label) => listValues(value).map((v) => {
+  const key = Object.keys(table).find((k) => k.toLowerCase() === v.toLowerCase());
+  if (key === undefined) throw new HandQueryError(`Unknown ${label} "${v}", expected one of ${Object.keys(table).join(', ')}`, value);
+  return table[key];
+});
+
+const toNumber = (value, unit) => {
+  const number = `${value.value}`.toLowerCase().replace(new RegExp(`${unit || ''}$`), '');
+  if (number === '' || Number.isNaN(+number)) throw new HandQueryError(`Expected a number, got "${value.value}"`, value);
+  return +number;
+};
+
+const MONGO_OPERATORS = {
+  ':': '$eq', '=': '$eq', '<': '$lt', '>': '$gt', '<=': '$lte', '>=': '$gte',
+};
+
+const numberField = (path, unit) => ({
+  ops: COMPARISON,
+  compile: (op, value) => ({ [path]: { [MONGO_OPERATORS[op.value]]: toNumber(value, unit) } }),
+});
+
+// Hero's summary of a street, '*' for any
+const streetLine = (street, line) => (line === '*' ? {} : { [`${street}Summary.hero${_.upperFirst(street)}Summary`]: line });
+
+/**
+ * Query fields
+ * ops: allowed operators, compile: (op token, value token) => Mongo filter
+ */
+const FIELDS = {
+  pos: {
+    ops: EQUALITY,
+    compile: (op, value) => ({
+      'info.heroPos': {
+        $in: listValues(value).map((pos) => {
+          if (!POSITION_TO_BUCKET[pos.toLowerCase()]) throw new HandQueryError(`Unknown position "${pos}"`, value);
+          return pos.toUpperCase() === 'BTN' ? 'BU' : pos.toUpperCase();
+        })
+      }
+    }),
+  },
+  pot: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ 'info.potType': { $in: _.flatten(lookupValues(value, POT_TYPES, 'pot type')) } }),
+  },
+  flop: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ $or: lookupValues(value, TEXTURE_FIELDS, 'flop texture').map((field) => ({ [`info.${field}`]: true })) }),
+  },
+  // Flop class, any suit-equivalent flop matches: 'board:KhQh2c' also finds KdQd2s
+  board: {
+    ops: EQUALITY,
+    compile: (op, value) => ({
+      'info.flopClass': {
+        $in: listValues(value).map((flop) => {
+          const flopClass = flop.length === 6 && getFlopClass(flop);
+          if (!flopClass) throw new HandQueryError(`Invalid flop "${flop}"`, value);
+          return flopClass;
+        })
+      }
+    }),
+  },
+  // Turn / river card classes, 'river:flushComplete'
+  ...[ 'turn', 'river' ].reduce((acc, street) => ({
+    ...acc,
+    [street]: {
+      ops: EQUALITY,
+      compile: (op, value) => ({ [`info.${street}Classes`]: { $in: lookupValues(value, _.keyBy(RUNOUT_CLASSES), `${street} class`) } }),
+    },
+  }), {}),
+  high: {
+    ops: EQUALITY,
+    compile: (op, value) => ({
+      'info.highestCard': {
+        $in: listValues(value).map((rank) => {
+          if (rank.length !== 1 || !RANKS.includes(rank.toUpperCase())) throw new HandQueryError(`Unknown rank "${rank}"`, value);
+          return rank.toUpperCase();
+        })
+      }
+    }),
+  },
+  hero: {
+    ops: EQUALITY,
+    compile: (op, value) => {
+      try {
+        return getHeroRangeFilter(value.value);
+      } catch (error) {
+        throw new HandQueryError(error.message, value);
+      }
+    },
+  },
+  result: numberField('info.heroWinningBB', 'bb'),
+  potsize: numberField('totalPot.bb', 'bb'),
+  eff: numberField('info.effStack', 'bb'),
+  stakes: numberField('header.bb'),
+  game: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ 'header.gametype': { $in: lookupValues(value, GAME_TYPES, 'game type') } }),
+  },
+  poker: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ 'header.pokertype': { $in: lookupValues(value, _.keyBy(POKER_TYPES), 'poker type') } }),
+  },
+  room: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ 'header.room': { $in: listValues(value).map((room) => new RegExp(`^${_.escapeRegExp(room)}$`, 'i')) } }),
+  },
+  pfline: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ 'info.heroPreflopLine': { $in: lookupValues(value, _.keyBy(PREFLOP_LINES), 'preflop line') } }),
+  },
+  // Hero's flop / turn / river summaries, '/' separates streets: "B/B/X", "X/*/B"
+  // '-' separates the actions of one street: "X-C/B" is check-call flop, bet turn
+  line: {
+    ops: EQUALITY,
+    compile: (op, value) => {
+      const lines = `${value.value}`.split('/');
+      if (lines.length > STREETS.length || lines.some((line) => !line)) throw new HandQueryError(`Invalid line "${value.value}"`, value);
+      return lines.reduce((acc, line, i) => ({ ...acc, ...streetLine(STREETS[i], line.replace(/-/g, '/')) }), {});
+    },
+  },
+  ...STREETS.reduce((acc, street) => ({
+    ...acc,
+    // One street as stored, "X/C"
+    [`${street}line`]: {
+      ops: EQUALITY,
+      compile: (op, value) => streetLine(street, value.value),
+    },
+  }), {}),
+  is: {
+    ops: EQUALITY,
+    compile: (op, value) => ({ $or: lookupValues(value, HERO_FLAGS, 'flag').map((path) => ({ [path]: true })) }),
+  },
+};
+
+const FIELD_ALIASES = {
+  position: 'pos',
+  pottype: 'pot',
+  texture: 'flop',
+  hand: 'hero',
+  won: 'result',
+  stack: 'eff',
+  bb: 'stakes',
+  preflop: 'pfline',
+  flopclass: 'board',
+};
+
+/**
+ * Mongo filter of a syntax tree node
+ * @param {object} node: see parse
+ * @returns {object}
+ */
+const compileNode = (node) => {
+  if (node.type === 'and') return { $and: node.children.map(compileNode) };
+  if (node.type === 'or') return { $or: node.children.map(compileNode) };
+  if (node.type === 'not') return { $nor: [ compileNode(node.child) ] };
+  const name = node.field.value.toLowerCase();
+  const field = FIELDS[FIELD_ALIASES[name] || name];
+  if (!field) throw new HandQueryError(`Unknown field "${node.field.value}", expected one of ${Object.keys(FIELDS).join(', ')}`, node.field);
+  if (!field.ops.includes(node.op.value)) throw new HandQueryError(`Operator "${node.op.value}" is not allowed on ${name}`, node.op);
+  return field.compile(node.op, node.value);
+};
+
+/**
+ * Mongo filter of a hand query
+ * @param {string} query: e.g. 'pos:BTN AND (pot:3bp OR pot:4bp) AND NOT is:showdown'
+ * @returns {object} $match filter, throws HandQueryError on invalid queries
+ */
+const compileHandQuery = (query) => compileNode(parse(`${query}`));
+
+module.exports = {
+  HandQueryError,
+  POT_TYPES,
+  TEXTURE_FIELDS,
+  FIELDS,
+  getHeroRangeFilter,
+  tokenize,
+  parse,
+  compileHandQuery,
+};
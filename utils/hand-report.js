@@ -0,0 +1,278 @@
+const _ = require('lodash');
+
+/**
+ * Hand report (player tracker style) and played time heatmaps
+ * Hero's hands grouped along one or more dimensions with hands, net BB, bb/100, VPIP, PFR and WTSD
+ * per group. Groups are computed by a Mongo $group stage appended to the /v1/hands/my-hands filter,
+ * every row carries the presets narrowing that filter down to the row so the frontend can drill down.
+ */
+
+// Effective stack buckets in BB, [min, max)
+const STACK_DEPTH_BUCKETS = [
+  { label: '0-20bb', min: 0, max: 20 },
+  { label: '20-40bb', min: 20, max: 40 },
+  { label: '40-60bb', min: 40, max: 60 },
+  { label: '60-100bb', min: 60, max: 100 },
+  { label: '100-150bb', min: 100, max: 150 },
+  { label: '150+bb', min: 150, max: null },
+];
+
+const stackDepthExpression = {
+  $switch: {
+    branches: STACK_DEPTH_BUCKETS.filter((b) => b.max !== null).map((b) => ({
+      case: { $lt: [ '$info.effStack', b.max ] },
+      then: b.label,
+    })),
+    default: STACK_DEPTH_BUCKETS[STACK_DEPTH_BUCKETS.length - 1].label,
+  },
+};
+
+/**
+ * Report dimensions
+ * expression: value of the group in a Hands document
+ * toPresets: /v1/hands/my-hands presets selecting the hands of a group
+ */
+const REPORT_DIMENSIONS = {
+  position: {
+    expression: '$info.heroPos',
+    toPresets: (value) => ({ selectedPos: [ `${value}`.toLowerCase() ] }),
+  },
+  potType: {
+    expression: '$info.potType',
+    toPresets: (value) => ({ selectedPotTypes: [ value === '2bp' ? 'srp' : value ] }),
+  },
+  stackDepth: {
+    expression: stackDepthExpression,
+    toPresets: (value) => {
+      const { min, max } = STACK_DEPTH_BUCKETS.find((b) => b.label === value);
+      return { effStackRange: [ min, max ] };
+    },
+  },
+  gameType: {
+    expression: '$header.gametype',
+    toPresets: (value) => ({ gameType: value === 'tournament' ? 'mtt' : 'cash' }),
+  },
+  stakes: {
+    expression: '$header.bb',
+    toPresets: (value) => ({ selectedStakes: [ value ] }),
+  },
+  preflopLine: {
+    expression: '$info.heroPreflopLine',
+    toPresets: (value) => ({ selectedPreflopLines: [ value ] }),
+  },
+  flopLine: {
+    expression: '$flopSummary.heroFlopSummary',
+    toPresets: (value) => ({ heroStreetLines: { flop: value } }),
+  },
+  turnLine: {
+    expression: '$turnSummary.heroTurnSummary',
+    toPresets: (value) => ({ heroStreetLines: { turn: value } }),
+  },
+  riverLine: {
+    expression: '$riverSummary.heroRiverSummary',
+    toPresets: (value) => ({ heroStreetLines: { river: value } }),
+  },
+  // Suit-isomorphic flop, one of the 1,755 flop classes of utils/board-canonical
+  flopClass: {
+    expression: '$info.flopClass',
+    toPresets: (value) => ({ selectedFlopClasses: [ value ] }),
+  },
+  // Main class of the turn / river card (first of info.turnClasses), rows drill down to hands with that
+  // main class: a flush completing card that also pairs the board is in the flushComplete row only
+  turnClass: {
+    expression: { $arrayElemAt: [ '$info.turnClasses', 0 ] },
+    toPresets: (value) => ({ selectedMainTurnClasses: [ value ] }),
+  },
+  riverClass: {
+    expression: { $arrayElemAt: [ '$info.riverClasses', 0 ] },
+    toPresets: (value) => ({ selectedMainRiverClasses: [ value ] }),
+  },
+};
+
+const countIf = (field) => ({ $sum: { $cond: [ { $eq: [ field, true ] }, 1, 0 ] } });
+
+/**
+ * $group stage of the report
+ * @param {array} dimensions: REPORT_DIMENSIONS keys, e.g. [ 'position', 'potType' ]
+ * @returns {object} $group stage
+ */
+const getReportGroupStage = (dimensions) => ({
+  $group: {
+    _id: dimensions.reduce((acc, dimension) => ({ ...acc, [dimension]: REPORT_DIMENSIONS[dimension].expression }), {}),
+    hands: { $sum: 1 },
+    netBB: { $sum: { $ifNull: [ '$info.heroWinningBB', 0 ] } },
+    vpip: countIf('$info.isVPIP'),
+    pfr: countIf('$info.isPFR'),
+    sawFlop: countIf('$info.sawFlop'),
+    sawShowdown: countIf('$info.sawShowdown'),
+  },
+});
+
+const percent = (count, total) => (total ? +((count / total) * 100).toFixed(1) : null);
+
+/**
+ * Statistics of a group of hands
+ * @param {object} counts: { hands, netBB, vpip, pfr, sawFlop, sawShowdown }
+ * @returns {object} { hands, netBB, bb100, vpip, pfr, wtsd }
+ */
+const getReportStats = ({
+  hands, netBB, vpip, pfr, sawFlop, sawShowdown,
+}) => ({
+  hands,
+  netBB: +netBB.toFixed(2),
+  bb100: hands ? +((netBB / hands) * 100).toFixed(2) : null,
+  vpip: percent(vpip, hands),
+  pfr: percent(pfr, hands),
+  wtsd: percent(sawShowdown, sawFlop),
+});
+
+/**
+ * Report rows from the $group results, most played groups first, and the totals over every group
+ * @param {array} groups: aggregation results of getReportGroupStage
+ * @param {array} dimensions: REPORT_DIMENSIONS keys
+ * @returns {object} { rows: [ { group, presets, hands, netBB, bb100, vpip, pfr, wtsd } ], total }
+ */
+const formatReport = (groups, dimensions) => {
+  const rows = groups
+    .map(({ _id: group, ...counts }) => ({
+      group,
+      presets: dimensions.reduce((acc, dimension) => (
+        group[dimension] === undefined || group[dimension] === null
+          ? acc
+          : _.merge(acc, REPORT_DIMENSIONS[dimension].toPresets(group[dimension]))
+      ), {}),
+      ...getReportStats(counts),
+    }))
+    .sort((a, b) => b.hands - a.hands);
+  const total = getReportStats(groups.reduce((acc, counts) => ({
+    hands: acc.hands + counts.hands,
+    netBB: acc.netBB + counts.netBB,
+    vpip: acc.vpip + counts.vpip,
+    pfr: acc.pfr + counts.pfr,
+    sawFlop: acc.sawFlop + counts.sawFlop,
+    sawShowdown: acc.sawShowdown + counts.sawShowdown,
+  }), {
+    hands: 0, netBB: 0, vpip: 0, pfr: 0, sawFlop: 0, sawShowdown: 0,
+  }));
+  return { rows, total };
+};
+
+// Session length buckets in hours, [min, max)
+const SESSION_LENGTH_BUCKETS = [
+  { label: '<1h', min: 0, max: 1 },
+  { label: '1-2h', min: 1, max: 2 },
+  { label: '2-3h', min: 2, max: 3 },
+  { label: '3-4h', min: 3, max: 4 },
+  { label: '4-6h', min: 4, max: 6 },
+  { label: '6h+', min: 6, max: null },
+];
+
+const HOUR = 60 * 60 * 1000;
+// Hands more than this apart start a new session, whatever file they were uploaded in
+const SESSION_GAP = 30 * 60 * 1000;
+
+const getResults = ({ hands, netBB }) => ({
+  hands,
+  netBB: +netBB.toFixed(2),
+  bb100: hands ? +((netBB / hands) * 100).toFixed(2) : null,
+});
+
+/**
+ * $facet stage of the heatmaps: hands by weekday / hour of the played time and sessions played time
+ * Sessions are runs of hands less than SESSION_GAP apart, an upload can hold weeks of play and
+ * tables played at the same time share a session
+ * @param {string} timeZone: IANA time zone the weekday and hour are read in
+ * @returns {object} $facet stage
+ */
+const getHeatmapFacetStage = (timeZone) => {
+  const date = { $toDate: '$header.timestamp' };
+  return {
+    $facet: {
+      weekdayHour: [
+        {
+          $group: {
+            _id: { weekday: { $isoDayOfWeek: { date, timezone: timeZone } }, hour: { $hour: { date, timezone: timeZone } } },
+            hands: { $sum: 1 },
+            netBB: { $sum: { $ifNull: [ '$info.heroWinningBB', 0 ] } },
+          }
+        },
+      ],
+      sessions: [
+        {
+          $setWindowFields: {
+            sortBy: { 'header.timestamp': 1 },
+            output: { previousTimestamp: { $shift: { output: '$header.timestamp', by: -1, default: null } } },
+          }
+        },
+        {
+          $set: {
+            newSession: {
+              $cond: [ {
+                $or: [
+                  { $eq: [ '$previousTimestamp', null ] },
+                  { $gt: [ { $subtract: [ '$header.timestamp', '$previousTimestamp' ] }, SESSION_GAP ] },
+                ]
+              }, 1, 0 ],
+            },
+          }
+        },
+        {
+          $setWindowFields: {
+            sortBy: { 'header.timestamp': 1 },
+            output: { session: { $sum: '$newSession', window: { documents: [ 'unbounded', 'current' ] } } },
+          }
+        },
+        {
+          $group: {
+            _id: '$session',
+            start: { $min: '$header.timestamp' },
+            end: { $max: '$header.timestamp' },
+            hands: { $sum: 1 },
+            netBB: { $sum: { $ifNull: [ '$info.heroWinningBB', 0 ] } },
+          }
+        },
+      ],
+    },
+  };
+};
+
+/**
+ * Heatmaps from the $facet results
+ * @param {object} facets: { weekdayHour, sessions } see getHeatmapFacetStage
+ * @returns {object} { weekdayHour: 7 x 24 [ { weekday (1 Monday - 7 Sunday), hour, hands, netBB, bb100 } ],
+ *   sessionLength: [ { label, min, max, sessions, hands, netBB, bb100 } ] }
+ */
+const formatHeatmaps = ({ weekdayHour, sessions }) => {
+  const cells = [];
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      const group = weekdayHour.find(({ _id }) => _id.weekday === weekday && _id.hour === hour) || { hands: 0, netBB: 0 };
+      cells.push({ weekday, hour, ...getResults(group) });
+    }
+  }
+  const sessionLength = SESSION_LENGTH_BUCKETS.map((bucket) => {
+    const inBucket = sessions.filter(({ start, end }) => {
+      const hours = (end - start) / HOUR;
+      return hours >= bucket.min && (bucket.max === null || hours < bucket.max);
+    });
+    return {
+      ...bucket,
+      sessions: inBucket.length,
+      ...getResults({
+        hands: inBucket.reduce((acc, s) => acc + s.hands, 0),
+        netBB: inBucket.reduce((acc, s) => acc + s.netBB, 0),
+      }),
+    };
+  });
+  return { weekdayHour: cells, sessionLength };
+};
+
+module.exports = {
+  REPORT_DIMENSIONS,
+  STACK_DEPTH_BUCKETS,
+  SESSION_LENGTH_BUCKETS,
+  getReportGroupStage,
+  formatReport,
+  getHeatmapFacetStage,
+  formatHeatmaps,
+};
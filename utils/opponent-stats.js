@@ -0,0 +1,117 @@
+const { getPreflopLine, getPostflopFlags } = require('./hand-parser');
+
+/**
+ * Opponent HUD statistics
+ * Each hand adds counters to a player's profile (db/collections/Opponents), percentages are
+ * computed from the counters when read so profiles can be incremented and decremented hand by hand.
+ */
+
+// Counter name: what one hand adds when true
+const STAT_COUNTERS = [
+  'hands',
+  'vpip', // called or raised preflop
+  'pfr', // raised preflop
+  'threeBetOpp', // faced exactly one raise preflop
+  'threeBet',
+  'foldTo3BetOpp', // opened and faced a 3-bet
+  'foldTo3Bet',
+  'cbetOpp', // preflop aggressor, checked to on the flop
+  'cbet',
+  'foldToCBetOpp', // faced a flop c-bet
+  'foldToCBet',
+  'postflopAggressive', // postflop bets and raises (count)
+  'postflopCalls', // postflop calls (count)
+  'sawFlop',
+  'wtsd', // saw the flop and went to showdown
+  'wsd', // won money at showdown
+];
+
+const PREFLOP_TYPES = [ 'raise', 'call', 'check', 'fold' ];
+
+/**
+ * Counters one hand adds to a player's profile
+ * @param {object} hand: Hands document
+ * @param {number} playerIndex: player's index in playerChips / actionScript
+ * @returns {object} { [counter]: number }
+ */
+const getPlayerCounters = (hand, playerIndex) => {
+  const { actionScript, playerChips, header } = hand;
+  const own = actionScript.filter((s) => s.action && s.playerIndex === playerIndex);
+  const preflop = actionScript.filter((s) => s.street === 'preflop' && s.action && PREFLOP_TYPES.includes(s.action.type));
+  const ownPreflop = preflop.filter((s) => s.playerIndex === playerIndex);
+  const postflop = own.filter((s) => [ 'flop', 'turn', 'river' ].includes(s.street));
+
+  // 3-bet opportunity: any decision taken while exactly one raise was in
+  const raisesBefore = (s) => preflop.slice(0, preflop.indexOf(s)).filter((a) => a.action.type === 'raise');
+  const threeBetOpp = ownPreflop.some((s) => {
+    const raises = raisesBefore(s);
+    return raises.length === 1 && raises[0].playerIndex !== playerIndex;
+  });
+  const threeBet = ownPreflop.some((s) => s.action.type === 'raise' && raisesBefore(s).length === 1);
+
+  const { heroVs3Bet } = getPreflopLine(actionScript, playerChips, playerIndex, header.bb);
+  const foldedPreflop = ownPreflop.some((s) => s.action.type === 'fold');
+  const flopDealt = (header.board ? header.board.length : ((hand.flopSummary || {}).board || []).length) >= 3;
+  const sawFlop = !foldedPreflop && flopDealt;
+  const wtsd = sawFlop && !own.some((s) => s.action.type === 'fold') && actionScript.some((s) => s.street === 'showdown');
+  const wsd = wtsd && own.some((s) => s.street === 'showdown' && s.action.type === 'collect');
+  const flags = getPostflopFlags(actionScript, playerIndex, wtsd);
+
+  return {
+    hands: 1,
+    vpip: +ownPreflop.some((s) => s.action.type === 'call' || s.action.type === 'raise'),
+    pfr: +ownPreflop.some((s) => s.action.type === 'raise'),
+    threeBetOpp: +threeBetOpp,
+    threeBet: +threeBet,
+    foldTo3BetOpp: +!!heroVs3Bet,
+    foldTo3Bet: +(heroVs3Bet === 'fold'),
+    cbetOpp: +flags.flopCBetOpp,
+    cbet: +flags.flopCBet,
+    foldToCBetOpp: +flags.facedFlopCBet,
+    foldToCBet: +flags.foldToFlopCBet,
+    postflopAggressive: postflop.filter((s) => s.action.type === 'bet' || s.action.type === 'raise').length,
+    postflopCalls: postflop.filter((s) => s.action.type === 'call').length,
+    sawFlop: +sawFlop,
+    wtsd: +wtsd,
+    wsd: +wsd,
+  };
+};
+
+const percent = (count, opportunities) => (opportunities ? +((count / opportunities) * 100).toFixed(1) : null);
+
+/**
+ * HUD statistics of a profile, null when the player never had the opportunity
+ * @param {object} counters: summed STAT_COUNTERS
+ * @returns {object} { vpip, pfr, threeBet, foldTo3Bet, cbet, foldToCBet, af, wtsd, wsd, samples }
+ */
+const getHudStats = (counters = {}) => {
+  const c = STAT_COUNTERS.reduce((acc, key) => ({ ...acc, [key]: counters[key] || 0 }), {});
+  return {
+    vpip: percent(c.vpip, c.hands),
+    pfr: percent(c.pfr, c.hands),
+    threeBet: percent(c.threeBet, c.threeBetOpp),
+    foldTo3Bet: percent(c.foldTo3Bet, c.foldTo3BetOpp),
+    cbet: percent(c.cbet, c.cbetOpp),
+    foldToCBet: percent(c.foldToCBet, c.foldToCBetOpp),
+    af: c.postflopCalls ? +(c.postflopAggressive / c.postflopCalls).toFixed(2) : null,
+    wtsd: percent(c.wtsd, c.sawFlop),
+    wsd: percent(c.wsd, c.wtsd),
+    // Sample size behind each statistic
+    samples: {
+      hands: c.hands,
+      threeBet: c.threeBetOpp,
+      foldTo3Bet: c.foldTo3BetOpp,
+      cbet: c.cbetOpp,
+      foldToCBet: c.foldToCBetOpp,
+      af: c.postflopAggressive + c.postflopCalls,
+      wtsd: c.sawFlop,
+      wsd: c.wtsd,
+    },
+  };
+};
+
+module.exports = {
+  STAT_COUNTERS,
+  getPlayerCounters,
+  getHudStats,
+};
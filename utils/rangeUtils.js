@@ -9,28 +9,33 @@ const {
   getLogicalHandRepresentation,
   getRankValue
 } = require('./cardUtils');
+const { parseRange } = require('./ranges');
 
 /**
- * Parses a range string from the database into a structured object
- * @param {string} rangeString - Range string in format "4h2h:0.0724,5h2h:0.3241,..."
- * @return {Object} Parsed range with combos and frequencies
+ * Parses a range string into a structured object
+ * Solver parts ("4h2h:0.0724") are kept as written, zero frequencies and malformed parts included, so
+ * combo counts of database ranges don't change. Parts without a frequency are standard range notation
+ * ("22-66, A2s-A5s", see utils/ranges) and every combo they cover gets frequency 1
+ * @param {string} rangeString - Range string in format "4h2h:0.0724,5h2h:0.3241,..." or "22-66, A2s-A5s"
+ * @return {Object} Parsed range with combos and frequencies, throws on invalid notation
  */
 function parseRangeString(rangeString) {
   if (!rangeString || rangeString.trim() === '') {
     return { combos: {} };
   }
 
-  const rangeParts = rangeString.split(',');
   const combos = {};
-
-  for (const part of rangeParts) {
+  const notation = [];
+  for (const part of rangeString.split(',')) {
     const [combo, frequency] = part.split(':');
     if (combo && frequency) {
       combos[combo] = parseFloat(frequency);
+    } else if (combo && combo.trim() && frequency === undefined) {
+      notation.push(combo);
     }
   }
 
-  return { combos };
+  return { combos: { ...combos, ...parseRange(notation.join(',')) } };
 }
 
 /**
@@ -99,6 +104,43 @@ function categorizeRange(range, board) {
   };
 }
 
+/**
+ * Strategic category of a hand strength category (simplified logic)
+ * This would be more sophisticated in a real implementation
+ * @param {string} handCategory - One of HAND_CATEGORIES
+ * @returns {string} value, draw, bluff or air
+ */
+function getStrategicCategory(handCategory) {
+  switch(handCategory) {
+    case HAND_CATEGORIES.STRAIGHT_FLUSH:
+    case HAND_CATEGORIES.QUADS:
+    case HAND_CATEGORIES.FULL_HOUSE:
+    case HAND_CATEGORIES.FLUSH:
+    case HAND_CATEGORIES.STRAIGHT:
+    case HAND_CATEGORIES.SET:
+    case HAND_CATEGORIES.TRIPS:
+    case HAND_CATEGORIES.TWO_PAIR:
+    case HAND_CATEGORIES.TOP_PAIR:
+    case HAND_CATEGORIES.OVER_PAIR:
+      return 'value';
+
+    case HAND_CATEGORIES.FLUSH_DRAW:
+    case HAND_CATEGORIES.STRAIGHT_DRAW:
+    case HAND_CATEGORIES.GUTSHOT:
+      return 'draw';
+
+    case HAND_CATEGORIES.MIDDLE_PAIR:
+    case HAND_CATEGORIES.WEAK_PAIR:
+    case HAND_CATEGORIES.UNDER_PAIR:
+    case HAND_CATEGORIES.ACE_HIGH:
+      return 'bluff';
+
+    case HAND_CATEGORIES.NO_MADE_HAND:
+    default:
+      return 'air';
+  }
+}
+
 /**
  * Categorizes hands in a range for visualization purposes
  * @param {Object} range - Range data object with hand frequencies
@@ -196,53 +238,16 @@ function categorizeRangeForVisualization(range, board) {
     }
     
     // Determine strategic category (simplified logic)
-    // This would be more sophisticated in a real implementation
+    let strategicCategory;
     try {
-      switch(handCategory) {
-        case HAND_CATEGORIES.STRAIGHT_FLUSH:
-        case HAND_CATEGORIES.QUADS:
-        case HAND_CATEGORIES.FULL_HOUSE:
-        case HAND_CATEGORIES.FLUSH:
-        case HAND_CATEGORIES.STRAIGHT:
-        case HAND_CATEGORIES.SET:
-        case HAND_CATEGORIES.TRIPS:
-        case HAND_CATEGORIES.TWO_PAIR:
-        case HAND_CATEGORIES.TOP_PAIR:
-        case HAND_CATEGORIES.OVER_PAIR:
-          if (!strategicCategories.value.includes(logicalHand)) {
-            strategicCategories.value.push(logicalHand);
-          }
-          break;
-        
-        case HAND_CATEGORIES.FLUSH_DRAW:
-        case HAND_CATEGORIES.STRAIGHT_DRAW:
-        case HAND_CATEGORIES.GUTSHOT:
-          if (!strategicCategories.draw.includes(logicalHand)) {
-            strategicCategories.draw.push(logicalHand);
-          }
-          break;
-          
-        case HAND_CATEGORIES.MIDDLE_PAIR:
-        case HAND_CATEGORIES.WEAK_PAIR:
-        case HAND_CATEGORIES.UNDER_PAIR:
-        case HAND_CATEGORIES.ACE_HIGH:
-          if (!strategicCategories.bluff.includes(logicalHand)) {
-            strategicCategories.bluff.push(logicalHand);
-          }
-          break;
-          
-        case HAND_CATEGORIES.NO_MADE_HAND:
-        default:
-          if (!strategicCategories.air.includes(logicalHand)) {
-            strategicCategories.air.push(logicalHand);
-          }
-      }
+      strategicCategory = getStrategicCategory(handCategory);
     } catch (e) {
       console.warn(`Failed to determine strategic category for hand: ${hand}`);
       // Default to air if categorization fails
-      if (!strategicCategories.air.includes(logicalHand)) {
-        strategicCategories.air.push(logicalHand);
-      }
+      strategicCategory = 'air';
+    }
+    if (!strategicCategories[strategicCategory].includes(logicalHand)) {
+      strategicCategories[strategicCategory].push(logicalHand);
     }
   });
   
@@ -452,6 +457,7 @@ module.exports = {
   parseRangeString,
   categorizeRange,
   categorizeRangeForVisualization,
+  getStrategicCategory,
   checkRangeBlocking,
   analyzeRange,
   generateAnalysisMarkdown
@@ -0,0 +1,355 @@
+const _ = require('lodash');
+const { getLogicalHandRepresentation } = require('./cardUtils');
+
+/**
+ * Poker ranges
+ * A range is an object of combos to weights (0-1], combos are written higher rank first and pairs in
+ * SUITS order: { AsKs: 1, AhAd: 0.5 }. Every endpoint parses and serializes ranges through this module.
+ *
+ * Notation, comma separated parts applied in order:
+ *   QQ, QQ+, 22-66          pairs
+ *   AKs, AKo, AK            suited, offsuit, both
+ *   ATs+, A2s-A5s, KQo+     kicker ladders and spans
+ *   AhKh                    explicit combos
+ *   AKs:0.5, 4h2h:0.0724    weighted entries, solver strings are weighted combos
+ *   !AKo, -AhKd             exclusions
+ */
+
+const RANKS = 'AKQJT98765432';
+const SUITS = 'shdc';
+const RANK = '[AKQJT2-9]';
+
+const rankIndex = (rank) => RANKS.indexOf(rank);
+
+const roundWeight = (weight) => +weight.toFixed(4);
+
+/**
+ * Card written rank upper case, suit lower case
+ * @param {string} card - e.g. "ah"
+ * @returns {string|null} "Ah", null when not a card
+ */
+const normalizeCard = (card) => {
+  const match = /^([akqjt2-9])([shdc])$/i.exec(`${card || ''}`.trim());
+  return match ? match[1].toUpperCase() + match[2].toLowerCase() : null;
+};
+
+/**
+ * Combo of two cards, higher rank first
+ * @param {string} card1
+ * @param {string} card2
+ * @returns {string|null} e.g. "AsKs", null when not two distinct cards
+ */
+const toCombo = (card1, card2) => {
+  const [ first, second ] = [ normalizeCard(card1), normalizeCard(card2) ];
+  if (!first || !second || first === second) return null;
+  const order = (card) => rankIndex(card[0]) * SUITS.length + SUITS.indexOf(card[1]);
+  return order(first) <= order(second) ? first + second : second + first;
+};
+
+/**
+ * Combos of a logical hand
+ * @param {string} hand - "AKs", "AKo", "QQ"
+ * @returns {array} e.g. [ "AsKs", "AhKh", "AdKd", "AcKc" ]
+ */
+const getHandCombos = (hand) => {
+  const combos = [];
+  const isPair = hand[0] === hand[1];
+  for (let i = 0; i < SUITS.length; i++) {
+    for (let j = 0; j < SUITS.length; j++) {
+      const suited = i === j;
+      if ((isPair && j > i) || (!isPair && (hand[2] === 's' ? suited : !suited))) {
+        combos.push(`${hand[0]}${SUITS[i]}${hand[1]}${SUITS[j]}`);
+      }
+    }
+  }
+  return combos;
+};
+
+// The 169 logical hands, pairs then suited then offsuit from the highest
+const HANDS = [
+  ...[ ...RANKS ].map((rank) => rank + rank),
+  ...[ 's', 'o' ].flatMap((suffix) => [ ...RANKS ].flatMap((high, i) => [ ...RANKS.slice(i + 1) ].map((low) => high + low + suffix))),
+];
+
+/**
+ * Logical hands of one notation part without weight
+ * @param {string} part - e.g. "ATs+", "22-66", "KQ"
+ * @returns {array|null} logical hands, null when not notation
+ */
+const expandHands = (part) => {
+  const normalized = part.toUpperCase().replace(/[SO](?=\+|-|$)/g, (s) => s.toLowerCase());
+  const hands = [];
+  const addNonPair = (high, low, suffix) => {
+    (suffix ? [ suffix ] : [ 's', 'o' ]).forEach((s) => hands.push(`${high}${low}${s}`));
+  };
+
+  let match = new RegExp(`^(${RANK})\\1(\\+)?$`).exec(normalized);
+  if (match) {
+    const to = match[2] ? 0 : rankIndex(match[1]);
+    for (let i = rankIndex(match[1]); i >= to; i--) hands.push(RANKS[i] + RANKS[i]);
+    return hands;
+  }
+  match = new RegExp(`^(${RANK})\\1-(${RANK})\\2$`).exec(normalized);
+  if (match) {
+    const [ from, to ] = [ rankIndex(match[1]), rankIndex(match[2]) ].sort((a, b) => a - b);
+    for (let i = to; i >= from; i--) hands.push(RANKS[i] + RANKS[i]);
+    return hands;
+  }
+  match = new RegExp(`^(${RANK})(${RANK})([so])?(\\+)?$`).exec(normalized);
+  if (match && rankIndex(match[1]) < rankIndex(match[2])) {
+    const [ , high, low, suffix, plus ] = match;
+    // AKs+ keeps AKs, ATs+ climbs the kicker up to AKs
+    const to = plus ? rankIndex(high) + 1 : rankIndex(low);
+    for (let i = rankIndex(low); i >= to; i--) addNonPair(high, RANKS[i], suffix);
+    return hands;
+  }
+  match = new RegExp(`^(${RANK})(${RANK})([so])?-(${RANK})(${RANK})([so])?$`).exec(normalized);
+  if (match && match[1] === match[4] && match[3] === match[6]
+    && rankIndex(match[1]) < rankIndex(match[2]) && rankIndex(match[4]) < rankIndex(match[5])) {
+    const [ from, to ] = [ rankIndex(match[2]), rankIndex(match[5]) ].sort((a, b) => a - b);
+    for (let i = to; i >= from; i--) addNonPair(match[1], RANKS[i], match[3]);
+    return hands;
+  }
+  return null;
+};
+
+/**
+ * Logical hands of a notation without weights nor exclusions
+ * @param {string} notation - e.g. "QQ+,AKs,ATs+,KTo-K7o"
+ * @returns {array} logical hands, throws on an invalid part
+ */
+const expandRangeNotation = (notation) => {
+  const hands = new Set();
+  `${notation || ''}`.split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const expanded = expandHands(part);
+    if (!expanded) throw new Error(`Invalid range "${part}"`);
+    expanded.forEach((hand) => hands.add(hand));
+  });
+  return [ ...hands ];
+};
+
+/**
+ * Range of a notation or solver string
+ * @param {string|object} input - e.g. "22-66, A2s-A5s, KQo+, !A5s", "4h2h:0.0724,5h2h:0.3241", or a range
+ * @returns {object} range, throws on an invalid part
+ */
+const parseRange = (input) => {
+  if (input && typeof input === 'object') return { ...input };
+  const range = {};
+  `${input || ''}`.split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const match = /^([!-])?\s*([^:]+?)\s*(?::\s*(.+))?$/.exec(part);
+    const [ , exclude, body, weightString ] = match || [];
+    const weight = weightString === undefined ? 1 : +weightString;
+    if (!match || Number.isNaN(weight) || weight < 0 || weight > 1 || (exclude && weightString !== undefined)) {
+      throw new Error(`Invalid range "${part}"`);
+    }
+    let combos;
+    if (body.length === 4 && normalizeCard(body.slice(0, 2)) && normalizeCard(body.slice(2))) {
+      const combo = toCombo(body.slice(0, 2), body.slice(2));
+      if (!combo) throw new Error(`Invalid range "${part}"`);
+      combos = [ combo ];
+    } else {
+      const hands = expandHands(body);
+      if (!hands) throw new Error(`Invalid range "${part}"`);
+      combos = hands.flatMap(getHandCombos);
+    }
+    combos.forEach((combo) => {
+      if (exclude || weight === 0) delete range[combo];
+      else range[combo] = weight;
+    });
+  });
+  return range;
+};
+
+// Runs of consecutive rank indices, [ [ from, to ] ] ascending
+const toRuns = (indices) => [ ...indices ].sort((a, b) => a - b).reduce((runs, index) => {
+  const last = runs[runs.length - 1];
+  if (last && last[1] === index - 1) last[1] = index;
+  else runs.push([ index, index ]);
+  return runs;
+}, []);
+
+// Notation of the pairs of rank indices
+const pairParts = (indices) => toRuns(indices).map(([ from, to ]) => {
+  const [ high, low ] = [ RANKS[from], RANKS[to] ];
+  if (from === to) return high + high;
+  return from === 0 ? `${low}${low}+` : `${low}${low}-${high}${high}`;
+});
+
+// Notation of the kickers (rank indices) of a high card index
+const kickerParts = (highIndex, indices, suffix) => toRuns(indices).map(([ from, to ]) => {
+  const high = RANKS[highIndex];
+  if (from === to) return `${high}${RANKS[from]}${suffix}`;
+  if (from === highIndex + 1) return `${high}${RANKS[to]}${suffix}+`;
+  return `${high}${RANKS[to]}${suffix}-${high}${RANKS[from]}${suffix}`;
+});
+
+// Notation of hands sharing one weight
+const handsParts = (hands) => {
+  const pairs = hands.filter((hand) => hand.length === 2).map((hand) => rankIndex(hand[0]));
+  const parts = pairParts(pairs);
+  [ ...RANKS ].forEach((high, highIndex) => {
+    const kickers = (suffix) => hands.filter((hand) => hand[0] === high && hand[2] === suffix).map((hand) => rankIndex(hand[1]));
+    const suited = kickers('s');
+    const offsuit = kickers('o');
+    const separate = [ ...kickerParts(highIndex, suited, 's'), ...kickerParts(highIndex, offsuit, 'o') ];
+    // Kickers in both suited and offsuit drop the modifier, when that is shorter
+    const both = suited.filter((index) => offsuit.includes(index));
+    const merged = [
+      ...kickerParts(highIndex, both, ''),
+      ...kickerParts(highIndex, suited.filter((index) => !both.includes(index)), 's'),
+      ...kickerParts(highIndex, offsuit.filter((index) => !both.includes(index)), 'o'),
+    ];
+    parts.push(...(merged.length < separate.length ? merged : separate));
+  });
+  return parts;
+};
+
+/**
+ * Shortest readable notation of a range
+ * Hands are grouped by weight (QQ+, ATs+, A2s-A5s, AQs:0.5), combos away from their hand's weight are
+ * listed after them (AK,!AhKd) unless listing the hand's combos is shorter
+ * @param {string|object} input - range or anything parseRange reads
+ * @returns {string} e.g. "QQ+,AKs,AQs:0.5,AhKd"
+ */
+const serializeRange = (input) => {
+  const range = parseRange(input);
+  const byWeight = {};
+  const combos = [];
+  HANDS.forEach((hand) => {
+    const weights = getHandCombos(hand).map((combo) => [ combo, roundWeight(range[combo] || 0) ]);
+    const present = weights.filter(([ , weight ]) => weight > 0);
+    if (!present.length) return;
+    // Most common weight of the hand
+    const counts = _.countBy(present, ([ , weight ]) => weight);
+    const weight = +_.maxBy(Object.keys(counts), (w) => counts[w]);
+    const overrides = weights.filter(([ , w ]) => w !== weight);
+    if (1 + overrides.length < present.length || !overrides.length) {
+      byWeight[weight] = [ ...(byWeight[weight] || []), hand ];
+      combos.push(...overrides);
+    } else {
+      combos.push(...present);
+    }
+  });
+  const withWeight = (part, weight) => (weight === 1 ? part : `${part}:${weight}`);
+  return [
+    ...Object.keys(byWeight).map(Number).sort((a, b) => b - a)
+      .flatMap((weight) => handsParts(byWeight[weight]).map((part) => withWeight(part, weight))),
+    ...combos.map(([ combo, weight ]) => (weight === 0 ? `!${combo}` : withWeight(combo, weight))),
+  ].join(',');
+};
+
+/**
+ * Solver string of a range, every combo with its weight
+ * @param {string|object} input
+ * @returns {string} e.g. "AsKs:1,AhKh:0.5"
+ */
+const toSolverString = (input) => Object.entries(parseRange(input))
+  .map(([ combo, weight ]) => `${combo}:${roundWeight(weight)}`)
+  .join(',');
+
+const combine = (ranges, reducer) => {
+  const parsed = ranges.map(parseRange);
+  const combined = {};
+  new Set(parsed.flatMap(Object.keys)).forEach((combo) => {
+    const weight = reducer(parsed.map((range) => range[combo] || 0));
+    if (weight > 0) combined[combo] = weight;
+  });
+  return combined;
+};
+
+/**
+ * Combos in any range, at their highest weight
+ * @param {...(string|object)} ranges
+ * @returns {object} range
+ */
+const unionRanges = (...ranges) => combine(ranges, (weights) => Math.max(...weights));
+
+/**
+ * Combos in every range, at their lowest weight
+ * @param {...(string|object)} ranges
+ * @returns {object} range
+ */
+const intersectRanges = (...ranges) => combine(ranges, (weights) => Math.min(...weights));
+
+/**
+ * Combos of a range minus the weight they have in another
+ * @param {string|object} range
+ * @param {string|object} removed
+ * @returns {object} range
+ */
+const subtractRanges = (range, removed) => combine([ range, removed ], ([ weight, removedWeight ]) => roundWeight(weight - removedWeight));
+
+/**
+ * Average weight of every combo over several ranges, absent combos weigh 0
+ * @param {array} ranges
+ * @returns {object} range
+ */
+const averageRanges = (ranges) => combine(ranges, (weights) => weights.reduce((a, b) => a + b, 0) / weights.length);
+
+/**
+ * Range without the combos holding a dead card (board, hero's hand)
+ * @param {string|object} input
+ * @param {array|string} deadCards - e.g. [ "Ah", "7c", "2d" ] or "Ah7c2d"
+ * @returns {object} range
+ */
+const removeDeadCards = (input, deadCards) => {
+  const cards = typeof deadCards === 'string' ? deadCards.replace(/\s|,/g, '').match(/.{1,2}/g) : deadCards;
+  const dead = (cards || []).map(normalizeCard).filter(Boolean);
+  const range = parseRange(input);
+  Object.keys(range).forEach((combo) => {
+    if (dead.includes(combo.slice(0, 2)) || dead.includes(combo.slice(2))) delete range[combo];
+  });
+  return range;
+};
+
+/**
+ * Weighted combos of a range
+ * @param {string|object} input
+ * @returns {number}
+ */
+const countCombos = (input) => Object.values(parseRange(input)).reduce((a, b) => a + b, 0);
+
+/**
+ * Weighted combos of every logical hand in a range
+ * @param {string|object} input
+ * @returns {object} e.g. { AKs: 2.5, QQ: 6 }
+ */
+const getHandComboCounts = (input) => {
+  const counts = {};
+  Object.entries(parseRange(input)).forEach(([ combo, weight ]) => {
+    const hand = getLogicalHandRepresentation(combo);
+    counts[hand] = (counts[hand] || 0) + weight;
+  });
+  return counts;
+};
+
+/**
+ * Share of the combos of every logical hand in a range
+ * @param {string|object} input
+ * @returns {object} e.g. { AKs: 0.625, QQ: 1 }
+ */
+const getHandWeights = (input) => Object.entries(getHandComboCounts(input)).reduce((acc, [ hand, count ]) => ({
+  ...acc, [hand]: roundWeight(count / getHandCombos(hand).length),
+}), {});
+
+module.exports = {
+  RANKS,
+  SUITS,
+  HANDS,
+  normalizeCard,
+  toCombo,
+  getHandCombos,
+  expandRangeNotation,
+  parseRange,
+  serializeRange,
+  toSolverString,
+  unionRanges,
+  intersectRanges,
+  subtractRanges,
+  averageRanges,
+  removeDeadCards,
+  countCombos,
+  getHandComboCounts,
+  getHandWeights,
+};
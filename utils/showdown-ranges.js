@@ -0,0 +1,145 @@
+const { matrixTable } = require('./constants');
+const { HAND_CATEGORIES, categorizeHand, getLogicalHandRepresentation } = require('./cardUtils');
+const { getStrategicCategory } = require('./rangeUtils');
+const { toCombo, serializeRange } = require('./ranges');
+
+/**
+ * Villain showdown ranges
+ * Hands villains showed down, grouped by the line they took to showdown and laid out on the
+ * 13x13 hand matrix (utils/constants matrixTable). Each combo is categorized on its own board
+ * with the categorizeRangeForVisualization rules: strength category + strategic category.
+ */
+
+const SHORT_HANDS = {
+  check: 'X', bet: 'B', call: 'C', raise: 'R', fold: 'F',
+};
+const POSTFLOP_STREETS = [ 'flop', 'turn', 'river' ];
+
+const getBoard = (hand) => {
+  if (hand.header.board && hand.header.board.length) return hand.header.board;
+  const { flopSummary = {}, turnSummary = {}, riverSummary = {} } = hand;
+  return [ ...(flopSummary.board || []), turnSummary.board, riverSummary.board ].filter(Boolean);
+};
+
+/**
+ * Line a player took in a hand, e.g. { potType: '3bp', role: 'PFR', flop: 'B', turn: 'B', river: 'B' }
+ * Streets the player did not act on (all-in before) are empty
+ * @param {object} hand: Hands document
+ * @param {number} playerIndex: player's index in playerChips / actionScript
+ * @returns {object} { key, label, potType, role, flop, turn, river }
+ */
+const getPlayerLine = (hand, playerIndex) => {
+  const { actionScript, info = {} } = hand;
+  const preflopRaises = actionScript.filter((s) => s.street === 'preflop' && s.action && s.action.type === 'raise');
+  const role = preflopRaises.length && preflopRaises[preflopRaises.length - 1].playerIndex === playerIndex ? 'PFR' : 'caller';
+  const streets = POSTFLOP_STREETS.reduce((acc, street) => ({
+    ...acc,
+    [street]: actionScript
+      .filter((s) => s.street === street && s.playerIndex === playerIndex && s.action && SHORT_HANDS[s.action.type])
+      .map((s) => SHORT_HANDS[s.action.type])
+      .join(''),
+  }), {});
+  const potType = info.potType || 'srp';
+  const actions = POSTFLOP_STREETS.map((street) => streets[street]).filter(Boolean);
+  return {
+    key: [ potType, role, ...POSTFLOP_STREETS.map((street) => streets[street]) ].join('|'),
+    label: `${actions.length ? actions.join('-') : 'No postflop action'} in ${potType.toUpperCase()} as ${role}`,
+    potType,
+    role,
+    ...streets,
+  };
+};
+
+/**
+ * Showdowns of villains in hands, one entry per shown Hold'em hand
+ * @param {array} hands: Hands documents
+ * @param {string} [name]: only this villain
+ * @returns {array} { handId, name, combo, hand, board, category, line }
+ */
+const getShowdowns = (hands, name) => hands.flatMap((hand) => {
+  const board = getBoard(hand);
+  return (hand.spoilers || []).map((spoiler) => {
+    const playerIndex = hand.playerChips.findIndex((p) => p.pos === spoiler.pos);
+    const player = hand.playerChips[playerIndex];
+    const holeCards = spoiler.holeCards || [ spoiler.cards.card1, spoiler.cards.card2 ];
+    if (!player || player.hero || holeCards.length !== 2 || (name && player.name !== name)) return undefined;
+    const combo = holeCards.join('');
+    return {
+      handId: hand._id,
+      name: player.name,
+      combo,
+      hand: getLogicalHandRepresentation(combo),
+      board,
+      category: board.length >= 3 ? categorizeHand(combo, board) : HAND_CATEGORIES.NO_MADE_HAND,
+      line: getPlayerLine(hand, playerIndex),
+    };
+  }).filter(Boolean);
+});
+
+/**
+ * 13x13 matrix of showdowns
+ * @param {array} showdowns: getShowdowns entries
+ * @returns {object} { grid, strength, strategic }
+ */
+const toMatrix = (showdowns) => {
+  const cells = matrixTable.reduce((acc, cell) => ({
+    ...acc,
+    [cell.value]: {
+      ...cell, count: 0, combos: [], categories: {},
+    },
+  }), {});
+  const strength = Object.values(HAND_CATEGORIES).reduce((acc, category) => ({ ...acc, [category]: [] }), {});
+  const strategic = {
+    value: [], draw: [], bluff: [], air: [],
+  };
+
+  showdowns.forEach(({ hand, combo, category }) => {
+    const cell = cells[hand];
+    if (!cell) return;
+    cell.count += 1;
+    cell.combos.push(combo);
+    cell.categories[category] = (cell.categories[category] || 0) + 1;
+    if (!strength[category].includes(hand)) strength[category].push(hand);
+    const strategicCategory = getStrategicCategory(category);
+    if (!strategic[strategicCategory].includes(hand)) strategic[strategicCategory].push(hand);
+  });
+
+  return { grid: Object.values(cells), strength, strategic };
+};
+
+/**
+ * Showdown ranges by line, most frequent lines first
+ * @param {array} hands: Hands documents with spoilers
+ * @param {object} options: { name: villain name, line: only this line key }
+ * @returns {object} { showdowns, lines: [ { key, label, potType, role, flop, turn, river, count, range, grid, strength, strategic } ] }
+ *   range: notation of the combos shown down, e.g. 'QQ+,AKs'
+ */
+const buildShowdownRanges = (hands, { name, line } = {}) => {
+  const showdowns = getShowdowns(hands, name).filter((s) => !line || s.line.key === line);
+  const byLine = showdowns.reduce((acc, showdown) => {
+    const { key } = showdown.line;
+    if (!acc[key]) acc[key] = { ...showdown.line, showdowns: [] };
+    acc[key].showdowns.push(showdown);
+    return acc;
+  }, {});
+  return {
+    showdowns: showdowns.length,
+    lines: Object.values(byLine)
+      .sort((a, b) => b.showdowns.length - a.showdowns.length)
+      .map(({ showdowns: lineShowdowns, ...lineInfo }) => ({
+        ...lineInfo,
+        count: lineShowdowns.length,
+        range: serializeRange(lineShowdowns.reduce((acc, { combo }) => {
+          const normalized = toCombo(combo.slice(0, 2), combo.slice(2));
+          return normalized ? { ...acc, [normalized]: 1 } : acc;
+        }, {})),
+        ...toMatrix(lineShowdowns),
+      })),
+  };
+};
+
+module.exports = {
+  getPlayerLine,
+  getShowdowns,
+  buildShowdownRanges,
+};
@@ -0,0 +1,83 @@
+/**
+ * Statistics rollups
+ * Hero's session and lifetime statistics kept as counters (db/collections/StatsRollups) that hands add
+ * when imported or analyzed and remove when deleted, percentages are computed from them on read.
+ */
+
+// Counter name: what one hand adds
+const ROLLUP_COUNTERS = [
+  'hands',
+  'netBB', // hero's winnings in BB
+  'vpip',
+  'pfr',
+  'threeBet',
+  'sawFlop',
+  'wonSawFlop', // saw the flop and won money
+  'allInEVBB', // winnings with all-in hands counted at their equity
+  'analyzed', // hands with an analysis
+];
+
+/**
+ * Counters one hand adds to the rollups
+ * @param {object} hand: Hands document, or its projection with an `analyzed` boolean instead of `analysis`
+ * @returns {object} { [counter]: number }
+ */
+const getHandRollupCounters = (hand) => {
+  const info = hand.info || {};
+  const heroChip = (hand.playerChips || []).find((pc) => pc.hero);
+  const winLossBB = (heroChip && heroChip.winLossBB) || 0;
+  const analyzed = hand.analyzed !== undefined ? hand.analyzed : !!hand.analysis;
+  return {
+    hands: 1,
+    netBB: winLossBB,
+    vpip: +!!info.isVPIP,
+    pfr: +!!info.isPFR,
+    threeBet: +!!info.isHero3B,
+    sawFlop: +!!info.sawFlop,
+    wonSawFlop: +!!(info.sawFlop && winLossBB > 0),
+    allInEVBB: info.allInEVBB !== undefined ? info.allInEVBB : winLossBB,
+    analyzed: +!!analyzed,
+  };
+};
+
+// Percentage with 2 decimals as returned by the session statistics
+const percent = (count, total) => (total ? ((count / total) * 100).toFixed(2) : 0);
+
+/**
+ * Statistics of a rollup
+ * @param {object} counters: summed ROLLUP_COUNTERS
+ * @returns {object} { netWon, totalHands, bb100, vpip, pfr, threeBet, wwsf, allInEV, handsAnalyzed }
+ */
+const getRollupStats = (counters = {}) => {
+  const c = ROLLUP_COUNTERS.reduce((acc, key) => ({ ...acc, [key]: counters[key] || 0 }), {});
+  if (!c.hands) {
+    return {
+      netWon: 0,
+      totalHands: 0,
+      bb100: 0,
+      vpip: 0,
+      pfr: 0,
+      threeBet: 0,
+      wwsf: 0,
+      allInEV: 0,
+      handsAnalyzed: 0,
+    };
+  }
+  return {
+    netWon: c.netBB.toFixed(2),
+    totalHands: c.hands,
+    bb100: ((c.netBB / c.hands) * 100).toFixed(2),
+    vpip: percent(c.vpip, c.hands),
+    pfr: percent(c.pfr, c.hands),
+    threeBet: percent(c.threeBet, c.hands),
+    wwsf: percent(c.wonSawFlop, c.sawFlop),
+    allInEV: c.allInEVBB.toFixed(2),
+    handsAnalyzed: c.analyzed,
+  };
+};
+
+module.exports = {
+  ROLLUP_COUNTERS,
+  getHandRollupCounters,
+  getRollupStats,
+};
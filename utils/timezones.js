@@ -0,0 +1,134 @@
+/**
+ * Time zones
+ * Hand histories print their wall clock time with a room abbreviation (ET, CET, ...), hands store the
+ * actual instant in header.timestamp. Played dates and time of day are read in the user's time zone
+ * (preferences.timeZone, an IANA name such as 'Europe/Paris'), UTC when not set.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Room abbreviations (hhp upper cases them) to IANA time zones
+const ROOM_TIME_ZONES = {
+  ET: 'America/New_York',
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  CT: 'America/Chicago',
+  MT: 'America/Denver',
+  PT: 'America/Los_Angeles',
+  WET: 'Europe/Lisbon',
+  CET: 'Europe/Paris',
+  CEST: 'Europe/Paris',
+  EET: 'Europe/Helsinki',
+  MSK: 'Europe/Moscow',
+  AEST: 'Australia/Sydney',
+  BRT: 'America/Sao_Paulo',
+  GMT: 'UTC',
+  UTC: 'UTC',
+};
+
+/**
+ * @param {string} timeZone: IANA time zone name
+ * @returns {boolean} whether the runtime knows the time zone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Offset of a time zone from UTC at an instant, in ms
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(timestamp)).reduce((acc, { type, value }) => ({ ...acc, [type]: +value }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (timestamp - (timestamp % 1000));
+};
+
+/**
+ * Instant of a wall clock time in a time zone
+ * @param {object} time: { year, month (1-12), day, hour, min, sec }
+ * @param {string} timeZone: IANA name or room abbreviation, UTC when unknown
+ * @returns {number} timestamp in ms
+ */
+const zonedTimeToTimestamp = ({
+  year, month, day, hour = 0, min = 0, sec = 0,
+}, timeZone) => {
+  const zone = ROOM_TIME_ZONES[`${timeZone || ''}`.toUpperCase()] || (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE);
+  const asUtc = Date.UTC(year, month - 1, day, hour, min, sec);
+  // Second pass settles wall times close to a daylight saving change
+  const guess = asUtc - getTimeZoneOffset(asUtc, zone);
+  return asUtc - getTimeZoneOffset(guess, zone);
+};
+
+/**
+ * Time zone of the current user
+ * @returns {string} preferences.timeZone when valid, UTC otherwise
+ */
+const getUserTimeZone = () => {
+  const user = Account.user();
+  const timeZone = user && user.preferences && user.preferences.timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Played time range as timestamps
+ * Bounds are timestamps, or 'YYYY-MM-DD' calendar days taken whole in the time zone
+ * @param {array} dateRange: [ from, to ]
+ * @param {string} timeZone: IANA time zone name
+ * @returns {array} [ fromTimestamp, toTimestamp ], undefined bounds when missing
+ */
+const getPlayedRange = (dateRange, timeZone) => {
+  const [ from, to ] = dateRange || [];
+  const toTimestamp = (value, endOfDay) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(`${value}`);
+    if (!day) return +value;
+    const time = { year: +day[1], month: +day[2], day: +day[3] };
+    return endOfDay
+      ? zonedTimeToTimestamp({ ...time, day: time.day + 1 }, timeZone) - 1
+      : zonedTimeToTimestamp(time, timeZone);
+  };
+  return [ toTimestamp(from, false), toTimestamp(to, true) ];
+};
+
+/**
+ * Hands $match conditions of a played time range, to spread into a $match
+ * Hands without header.timestamp (posted without it, or not recomputed by
+ * scripts/recompute-played-timestamps.js) are matched on their upload time
+ * @param {array} dateRange: see getPlayedRange
+ * @param {string} timeZone: IANA time zone name
+ * @returns {object} {} without bounds, else an $and (so it combines with other $or conditions)
+ */
+const getPlayedRangeFilter = (dateRange, timeZone) => {
+  const [ from, to ] = getPlayedRange(dateRange, timeZone);
+  if (from === undefined && to === undefined) return {};
+  const range = {
+    ...(from !== undefined ? { $gte: from } : {}),
+    ...(to !== undefined ? { $lte: to } : {}),
+  };
+  return {
+    $and: [ { $or: [ { 'header.timestamp': range }, { 'header.timestamp': null, createdAt: range } ] } ],
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  ROOM_TIME_ZONES,
+  isValidTimeZone,
+  zonedTimeToTimestamp,
+  getUserTimeZone,
+  getPlayedRange,
+  getPlayedRangeFilter,
+};
@@ -0,0 +1,81 @@
+/* eslint-disable max-len */
+const { zonedTimeToTimestamp } = require('./timezones');
+
+/**
+ * Tournament summary files (PokerStars, GGPoker)
+ * Rooms send them next to hand histories with the tournament results:
+ * buy-in, number of players, prize pool and hero's finishing position / prize
+ */
+
+// PokerStars Tournament #1495192630, No Limit Hold'em
+// Tournament #1495192630, Bounty Hunters $5.40, Hold'em No Limit
+const headerRx = /^(PokerStars )?Tournament #(\d+),/;
+// Buy-In: $1.98/$0.22 USD (PokerStars, bounty tournaments: $1.50/$0.50/$0.20)
+// Buy-in: $4.6+$0.8 (GGPoker)
+const buyInRx = /^Buy-?In: (.+)$/im;
+const playersRx = /^(\d+) players/im;
+const prizePoolRx = /^Total Prize Pool: [$€]?(\d[\d,]*(?:\.\d+)?)/im;
+const startedRx = /Tournament started (\d{4})\/(\d{2})\/(\d{2}) (\d+):(\d+):(\d+)(?: ([A-Z]+))?/;
+const finishedRx = /Tournament finished (\d{4})\/(\d{2})\/(\d{2}) (\d+):(\d+):(\d+)(?: ([A-Z]+))?/;
+const finishPositionRx = /You finished (?:the tournament )?in (\d+)(?:st|nd|rd|th) place/i;
+const prizeRx = /You received (?:a total of )?[$€]?(\d[\d,]*(?:\.\d+)?)/i;
+const winnerRx = /You won the tournament/i;
+
+const toNumber = (s) => +s.replace(/,/g, '');
+
+// Dates are printed in the room's time zone (ET when missing)
+const toTimestamp = (match) => {
+  if (!match) return undefined;
+  const [ , year, month, day, hour, min, sec ] = match.slice(0, 7).map(Number);
+  return zonedTimeToTimestamp({
+    year, month, day, hour, min, sec,
+  }, match[7] || 'ET');
+};
+
+/**
+ * @param {string} text: raw file content
+ * @returns {boolean} whether the file is a tournament summary rather than hand histories
+ */
+const isTournamentSummary = (text) => headerRx.test(text.trim()) && buyInRx.test(text);
+
+/**
+ * Parse a tournament summary file
+ * @param {string} text: raw file content
+ * @returns {object} { room, tournamentId, currency, buyIn, fee, players, prizePool, startedAt, finishedAt, finishPosition, prize }
+ */
+const parseTournamentSummary = (text) => {
+  const content = text.trim();
+  const header = content.match(headerRx);
+  if (!header) throw new Error('Not a tournament summary');
+
+  // Last amount is the fee, the others are the buy-in (and bounty)
+  const buyInLine = content.match(buyInRx)[1];
+  const amounts = (buyInLine.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(toNumber);
+  const fee = amounts.length > 1 ? amounts[amounts.length - 1] : 0;
+  const buyIn = amounts.slice(0, Math.max(amounts.length - 1, 1)).reduce((acc, a) => acc + a, 0);
+  const currency = (buyInLine.match(/[$€]/) || [])[0];
+
+  const players = content.match(playersRx);
+  const prizePool = content.match(prizePoolRx);
+  const finishPosition = content.match(finishPositionRx);
+  const prize = content.match(prizeRx);
+
+  return {
+    room: header[1] ? 'pokerstars' : 'ggpoker',
+    tournamentId: header[2],
+    currency,
+    buyIn: +buyIn.toFixed(2),
+    fee,
+    players: players ? +players[1] : undefined,
+    prizePool: prizePool ? toNumber(prizePool[1]) : undefined,
+    startedAt: toTimestamp(content.match(startedRx)),
+    finishedAt: toTimestamp(content.match(finishedRx)),
+    finishPosition: finishPosition ? +finishPosition[1] : (winnerRx.test(content) && 1) || undefined,
+    prize: prize ? toNumber(prize[1]) : 0,
+  };
+};
+
+module.exports = {
+  isTournamentSummary,
+  parseTournamentSummary,
+};
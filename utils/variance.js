@@ -0,0 +1,133 @@
+/**
+ * Win rate variance
+ * Observed win rate and standard deviation from hero's per hand results (winLossBB), confidence
+ * intervals of the true win rate and a Monte-Carlo simulation of the downswings it can produce.
+ * Win rates and standard deviations are in BB per 100 hands.
+ */
+
+const Z_95 = 1.959964;
+
+// Normal cumulative distribution (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+const normalCdf = (x) => {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Standard normal sample (Box-Muller)
+const normalSample = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const round = (value, decimals = 2) => +value.toFixed(decimals);
+
+/**
+ * Observed win rate and standard deviation with the 95% confidence interval of the true win rate
+ * @param {array} results: hero's winLossBB of each hand
+ * @returns {object} { hands, netBB, winRate, stdDev, standardError, confidenceInterval: { level, low, high } }
+ */
+const getWinRateStats = (results) => {
+  const hands = results.length;
+  const netBB = results.reduce((acc, r) => acc + r, 0);
+  const mean = hands ? netBB / hands : 0;
+  const variance = hands > 1 ? results.reduce((acc, r) => acc + (r - mean) ** 2, 0) / (hands - 1) : 0;
+  const winRate = mean * 100;
+  const stdDev = Math.sqrt(variance) * 10; // sqrt(100) hands
+  const standardError = hands ? stdDev / Math.sqrt(hands / 100) : 0;
+  return {
+    hands,
+    netBB: round(netBB),
+    winRate: round(winRate),
+    stdDev: round(stdDev),
+    standardError: round(standardError),
+    confidenceInterval: {
+      level: 0.95,
+      low: round(winRate - Z_95 * standardError),
+      high: round(winRate + Z_95 * standardError),
+    },
+  };
+};
+
+/**
+ * Probability of a result at or below zero over a number of hands
+ * @param {number} winRate: BB / 100
+ * @param {number} stdDev: BB / 100
+ * @param {number} hands: number of hands
+ * @returns {number} probability between 0 and 1
+ */
+const getBreakEvenProbability = (winRate, stdDev, hands) => {
+  if (!stdDev) return winRate > 0 ? 0 : 1;
+  return normalCdf((-winRate * Math.sqrt(hands / 100)) / stdDev);
+};
+
+/**
+ * Probability of running as bad as a period (or worse) if the long term win rate is the true one
+ * @param {object} period: getWinRateStats of the period
+ * @param {object} overall: getWinRateStats of every hand
+ * @returns {number} probability between 0 and 1
+ */
+const getPeriodProbability = (period, overall) => {
+  if (!period.hands || !overall.stdDev) return null;
+  return normalCdf(((period.winRate - overall.winRate) * Math.sqrt(period.hands / 100)) / overall.stdDev);
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * Monte-Carlo simulation of N hands at a win rate, played in blocks of 100 hands
+ * @param {object} params: { winRate, stdDev, hands, trials, downswings: BB thresholds, random }
+ * @returns {object} { hands, trials, maxDownswing: { p50, p90, p95, p99 }, downswingProbabilities: { [bb]: probability },
+ *   breakEvenProbability, finalResult: { p5, p50, p95 } }
+ */
+const simulateDownswings = ({
+  winRate, stdDev, hands = 10000, trials = 1000, downswings = [ 100, 300, 500, 1000 ], random = Math.random,
+}) => {
+  const blocks = Math.max(1, Math.round(hands / 100));
+  const maxDownswings = [];
+  const finalResults = [];
+  for (let trial = 0; trial < trials; trial++) {
+    let result = 0;
+    let peak = 0;
+    let maxDownswing = 0;
+    for (let block = 0; block < blocks; block++) {
+      result += winRate + stdDev * normalSample(random);
+      peak = Math.max(peak, result);
+      maxDownswing = Math.max(maxDownswing, peak - result);
+    }
+    maxDownswings.push(maxDownswing);
+    finalResults.push(result);
+  }
+  maxDownswings.sort((a, b) => a - b);
+  finalResults.sort((a, b) => a - b);
+
+  return {
+    hands: blocks * 100,
+    trials,
+    maxDownswing: {
+      p50: round(percentile(maxDownswings, 0.5)),
+      p90: round(percentile(maxDownswings, 0.9)),
+      p95: round(percentile(maxDownswings, 0.95)),
+      p99: round(percentile(maxDownswings, 0.99)),
+    },
+    downswingProbabilities: downswings.reduce((acc, bb) => ({
+      ...acc, [bb]: round(maxDownswings.filter((d) => d >= bb).length / trials, 4),
+    }), {}),
+    breakEvenProbability: round(finalResults.filter((r) => r <= 0).length / trials, 4),
+    finalResult: {
+      p5: round(percentile(finalResults, 0.05)),
+      p50: round(percentile(finalResults, 0.5)),
+      p95: round(percentile(finalResults, 0.95)),
+    },
+  };
+};
+
+module.exports = {
+  normalCdf,
+  getWinRateStats,
+  getBreakEvenProbability,
+  getPeriodProbability,
+  simulateDownswings,
+};
@@ -0,0 +1,54 @@
+/**
+ * Vector store registry
+ * utils/vectorSearch.js looks solver nodes up through a vector store, picked with VECTOR_STORE:
+ * - qdrant (default): Qdrant server at QDRANT_HOST / QDRANT_PORT
+ * - local: in-process search over the file snapshot at VECTOR_STORE_SNAPSHOT, to run the analysis
+ *   end-to-end without a Qdrant server
+ *
+ * Store contract:
+ * - name {string}
+ * - search(collectionName, { vector, limit, score_threshold, filter, with_payload }) {Promise<array>}:
+ *   Qdrant search parameters and results, [{ id, score, payload }] best first. Filters are Qdrant's
+ *   { must, should, must_not } of { key, match: { value } } conditions
+ */
+const { createQdrantStore } = require('./qdrant');
+const { createLocalStore } = require('./local');
+
+const factories = {
+  qdrant: () => createQdrantStore({
+    host: process.env.QDRANT_HOST || 'localhost',
+    port: parseInt(process.env.QDRANT_PORT) || 6333,
+  }),
+  local: () => createLocalStore({ snapshotPath: process.env.VECTOR_STORE_SNAPSHOT }),
+};
+
+let store = null;
+
+/**
+ * Vector store of the environment, created on first use
+ * @returns {object} store
+ */
+const getVectorStore = () => {
+  if (!store) {
+    const name = (process.env.VECTOR_STORE || 'qdrant').toLowerCase();
+    if (!factories[name]) throw new Error(`Unknown vector store "${name}", expected one of ${Object.keys(factories).join(', ')}`);
+    store = factories[name]();
+  }
+  return store;
+};
+
+/**
+ * Replace the vector store, e.g. a local store in tests
+ * @param {object} vectorStore: { name, search }
+ */
+const setVectorStore = (vectorStore) => {
+  if (vectorStore && typeof vectorStore.search !== 'function') {
+    throw new Error('Vector store must implement search(collectionName, params)');
+  }
+  store = vectorStore;
+};
+
+module.exports = {
+  getVectorStore,
+  setVectorStore,
+};
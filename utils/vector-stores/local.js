@@ -0,0 +1,118 @@
+const fs = require('fs');
+const readline = require('readline');
+const _ = require('lodash');
+
+/**
+ * Local vector store
+ * In-process brute-force cosine search over a file snapshot of the Qdrant collections, for
+ * environments without a Qdrant server. Scores and filters follow Qdrant's, so findSimilarNode
+ * matches the same nodes as long as the snapshot holds the same points.
+ *
+ * Snapshot: JSON lines, one point per line, as written by scripts/export-vector-snapshot.js
+ *   {"collection":"flop_nodes","id":"...","vector":[...71 numbers],"payload":{...}}
+ */
+
+const norm = (vector) => Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+
+const cosine = (a, b, normA, normB) => {
+  if (!normA || !normB) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot / (normA * normB);
+};
+
+// Qdrant field condition, array payload values match when any of their items does
+const matchesCondition = (payload, { key, match }) => {
+  const values = _.castArray(_.get(payload, key));
+  if ('value' in match) return values.includes(match.value);
+  if ('any' in match) return values.some(value => match.any.includes(value));
+  if ('except' in match) return !values.some(value => match.except.includes(value));
+  return false;
+};
+
+/**
+ * Whether a payload passes a Qdrant filter
+ * @param {object} payload
+ * @param {object} filter: { must, should, must_not } of field conditions or nested filters
+ * @returns {boolean}
+ */
+const matchesFilter = (payload, filter) => {
+  if (!filter) return true;
+  const matches = (condition) => (condition.key ? matchesCondition(payload, condition) : matchesFilter(payload, condition));
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+  return must.every(matches)
+    && (!should.length || should.some(matches))
+    && !mustNot.some(matches);
+};
+
+/**
+ * Points of a snapshot file grouped by collection
+ * @param {string} snapshotPath
+ * @returns {Promise<object>} { [collection]: [{ id, vector, norm, payload }] }
+ */
+const loadSnapshot = async (snapshotPath) => {
+  const collections = {};
+  const lines = readline.createInterface({ input: fs.createReadStream(snapshotPath), crlfDelay: Infinity });
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const line of lines) {
+    if (line.trim()) {
+      const {
+        collection, id, vector, payload,
+      } = JSON.parse(line);
+      if (!collections[collection]) collections[collection] = [];
+      collections[collection].push({
+        id, vector: Float32Array.from(vector), norm: norm(vector), payload: payload || {},
+      });
+    }
+  }
+  return collections;
+};
+
+/**
+ * Local vector store, loads the snapshot on the first search
+ * @param {object} options: { snapshotPath }
+ * @returns {object} store, see utils/vector-stores
+ */
+const createLocalStore = ({ snapshotPath }) => {
+  if (!snapshotPath) throw new Error('Local vector store requires VECTOR_STORE_SNAPSHOT, see scripts/export-vector-snapshot.js');
+  let loading = null;
+  const getCollections = () => {
+    if (!loading) {
+      loading = loadSnapshot(snapshotPath).then((collections) => {
+        const counts = Object.entries(collections).map(([ name, points ]) => `${name}: ${points.length}`);
+        console.log(`✅ Loaded local vector store from ${snapshotPath} (${counts.join(', ') || 'empty'})`);
+        return collections;
+      });
+    }
+    return loading;
+  };
+
+  return {
+    name: 'local',
+    /**
+     * Same parameters and results as Qdrant's search
+     * @param {string} collectionName
+     * @param {object} params: { vector, limit, score_threshold, filter, with_payload }
+     * @returns {Promise<array>} [{ id, score, payload }] best first
+     */
+    search: async (collectionName, {
+      vector, limit = 10, score_threshold: scoreThreshold, filter, with_payload: withPayload = true,
+    }) => {
+      const points = (await getCollections())[collectionName] || [];
+      const queryNorm = norm(vector);
+      const results = [];
+      points.forEach((point) => {
+        if (!matchesFilter(point.payload, filter)) return;
+        const score = cosine(vector, point.vector, queryNorm, point.norm);
+        if (scoreThreshold !== undefined && score < scoreThreshold) return;
+        results.push({ id: point.id, score, ...(withPayload ? { payload: point.payload } : {}) });
+      });
+      return _.orderBy(results, 'score', 'desc').slice(0, limit);
+    },
+  };
+};
+
+module.exports = {
+  matchesFilter,
+  createLocalStore,
+};
@@ -0,0 +1,21 @@
+const { QdrantClient } = require('@qdrant/js-client-rest');
+
+/**
+ * Qdrant vector store, the solver node collections live on a Qdrant server
+ * @param {object} options: { host, port }
+ * @returns {object} store, see utils/vector-stores
+ */
+const createQdrantStore = ({ host, port }) => {
+  const client = new QdrantClient({ host, port });
+  console.log(`✅ Initialized Qdrant client at ${host}:${port}`);
+
+  return {
+    name: 'qdrant',
+    client,
+    search: (collectionName, params) => client.search(collectionName, params),
+  };
+};
+
+module.exports = {
+  createQdrantStore,
+};
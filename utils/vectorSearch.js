@@ -1,5 +1,3 @@
-const { QdrantClient } = require('@qdrant/js-client-rest');
-
 // Import solver-node napi bindings
 const { 
   buildFeatureVector: buildFeatureVectorRust,
@@ -11,9 +9,8 @@ const {
 
 // Import position bucket utilities
 const { buildPositionBucketFilters, getPositionBucket } = require('./position-buckets');
-
-// Qdrant client (singleton)
-let qdrantClient = null;
+const { canonicalizeBoard, mapCardsBetweenBoards } = require('./board-canonical');
+const { getVectorStore } = require('./vector-stores');
 
 /**
  * Vector Search Module for Solver Node Lookup
@@ -21,31 +18,15 @@ let qdrantClient = null;
  * 
  * This module handles:
  * - Building feature vectors from SnapshotInput objects using Rust napi bindings
- * - Querying Pinecone vector database for similar nodes
+ * - Querying the vector store (Qdrant or a local snapshot, see utils/vector-stores) for similar nodes
  * - Returning matched LeanNodeMeta documents
  */
 
-/**
- * Initialize Qdrant client (lazy initialization)
- */
-async function initializeQdrant() {
-  if (!qdrantClient) {
-    qdrantClient = new QdrantClient({
-      host: process.env.QDRANT_HOST || 'localhost',
-      port: parseInt(process.env.QDRANT_PORT) || 6333,
-    });
-    
-    console.log(`✅ Initialized Qdrant client at ${process.env.QDRANT_HOST || 'localhost'}:${process.env.QDRANT_PORT || 6333}`);
-  }
-  
-  return qdrantClient;
-}
-
 // Note: Position mappings, street encodings, and other constants are now handled 
 // internally by the Rust napi bindings for optimal performance and consistency
 
 /**
- * Determine which Qdrant collection to use based on street
+ * Determine which vector store collection to use based on street
  * @param {string} street - The street (FLOP, TURN, RIVER)
  * @returns {string} Collection name
  */
@@ -175,7 +156,7 @@ function buildFeatureVector(snapshotInput) {
 }
 
 /**
- * Find similar node using Qdrant Vector Search with parent fallback strategy
+ * Find similar node using vector search with parent fallback strategy
  * @param {Object} snapshotInput - The snapshot input to search for
  * @param {Object} options - Optional configuration
  * @returns {Promise<Object|null>} LeanNodeMeta if found with score > 0.55, null otherwise
@@ -189,19 +170,24 @@ async function findSimilarNode(snapshotInput, options = {}) {
   } = options;
 
   try {
-    // Initialize Qdrant client
-    const client = await initializeQdrant();
+    const store = getVectorStore();
     const collectionName = getCollectionName(snapshotInput.street);
     
+    // Suit-equivalent boards search with the same canonical board and hero cards
+    const canonical = canonicalizeBoard(snapshotInput.board || [], [ snapshotInput.heroCards ]);
+    const searchInput = canonical
+      ? { ...snapshotInput, board: canonical.board, heroCards: snapshotInput.heroCards && canonical.holeCards[0] }
+      : snapshotInput;
+    
     // Build feature vector (71 dimensions)
-    const originalVector = buildFeatureVector(snapshotInput);
+    const originalVector = buildFeatureVector(searchInput);
     
     console.log(`DEBUG: Built ${originalVector.length}-dimension feature vector`);
     
     // Generate action sequence for filtering
     const actionSequence = generateActionSequence(snapshotInput.action_history || []);
     
-    // Build filter conditions for Qdrant
+    // Build filter conditions (Qdrant filter syntax, also understood by the local store)
     const filter = {
       must: []
     };
@@ -244,7 +230,7 @@ async function findSimilarNode(snapshotInput, options = {}) {
     // });
   
 
-    const queryFlopArchetype = getFlopArchetypeName(snapshotInput.board);
+    const queryFlopArchetype = getFlopArchetypeName(searchInput.board);
     filter.must.push({
       key: "flop_archetype",
       match: {
@@ -264,7 +250,7 @@ async function findSimilarNode(snapshotInput, options = {}) {
       }
     }
     
-    // Perform vector search using Qdrant
+    // Perform vector search
     const searchParams = {
       vector: originalVector,
       limit: limit * 3, // Fetch more candidates for filtering
@@ -277,7 +263,7 @@ async function findSimilarNode(snapshotInput, options = {}) {
       searchParams.filter = filter;
     }
     
-    const searchResults = await client.search(collectionName, searchParams);
+    const searchResults = await store.search(collectionName, searchParams);
     
     // Check if we have valid matches
     if (!searchResults || searchResults.length === 0) {
@@ -293,7 +279,7 @@ async function findSimilarNode(snapshotInput, options = {}) {
 
     console.log(JSON.stringify(bestMatch, null, 2))
     
-    // Reconstruct the LeanNodeMeta structure from Qdrant payload
+    // Reconstruct the LeanNodeMeta structure from the point payload
     const nodeMetadata = {
       _id: bestMatch.id,
       ...bestMatch.payload,
@@ -301,8 +287,14 @@ async function findSimilarNode(snapshotInput, options = {}) {
       score: bestMatch.score
     };
 
+    // Hero cards on the matched node's board, its suits may differ from the hand's
+    const heroCards = snapshotInput.heroCards && bestMatch.payload.board
+      ? mapCardsBetweenBoards(snapshotInput.heroCards, snapshotInput.board, bestMatch.payload.board)
+      : null;
+
     return {
       nodeMetadata,
+      heroCards: heroCards || snapshotInput.heroCards,
       similarityScore: bestMatch.score,
       isApproximation: bestMatch.score < 0.75 // Flag if score is below high confidence threshold
     };
@@ -404,6 +396,6 @@ module.exports = {
   canonicalizeActionHistory,
   calculateCanonicalActionHash,
   generateActionSequence,
-  // Qdrant utilities
-  initializeQdrant,
+  // Vector store utilities
+  getVectorStore,
 };
\ No newline at end of file